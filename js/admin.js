@@ -0,0 +1,579 @@
+/**
+ * Admin Content Editor
+ * 
+ * Purpose: Let the shop edit business details, testimonials and product
+ * descriptions in the browser instead of in index.html and js/config.js
+ * Responsibilities:
+ * - Hidden mode: open the site with ?admin and enter the passphrase
+ * - Outline editable content; clicking it opens an editor with a live preview
+ * - Keep the draft on this device (localStorage, js/site-content.js)
+ * - Export the checked draft as site-content.json to publish
+ * 
+ * The passphrase only keeps visitors out of the editor - changes never leave
+ * this device until the exported file is uploaded.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Admin = (function() {
+    
+    /**
+     * Page content that opens an editor in admin mode
+     */
+    const EDITABLE = '[data-bind], [data-hours], .testimonial-card[data-testimonial], .product-card__description';
+    
+    /**
+     * Rating choices for testimonials (half stars allowed)
+     */
+    const RATINGS = [5, 4.5, 4, 3.5, 3, 2.5, 2, 1.5, 1];
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Draft bundle being edited - same shape as data/site-content.json
+     */
+    let draft = null;
+    
+    /**
+     * Open editor: { type: 'business' | 'testimonial' | 'product', index, sku }
+     */
+    let editing = null;
+    
+    /**
+     * Initialize admin mode when the page was opened with the URL flag
+     */
+    function init() {
+        DOM = {
+            bar: Utils.getElement('#adminBar'),
+            status: Utils.getElement('#adminBarStatus'),
+            errors: Utils.getElement('#adminBarErrors'),
+            unlockModal: Utils.getElement('#adminUnlockModal'),
+            unlockForm: Utils.getElement('#adminUnlockForm'),
+            unlockError: Utils.getElement('#adminUnlockError'),
+            editorModal: Utils.getElement('#adminEditorModal'),
+            editorTitle: Utils.getElement('#adminEditorTitle'),
+            editorForm: Utils.getElement('#adminEditorForm')
+        };
+        
+        if (!isRequested() || !DOM.bar || !DOM.editorForm) return;
+        
+        if (!CONFIG.admin.passphraseHash) {
+            KelahApp.showNotification('Admin mode is off - set admin.passphraseHash in js/config.js', 'error');
+            return;
+        }
+        
+        if (isUnlocked()) {
+            activate();
+            return;
+        }
+        
+        DOM.unlockForm.addEventListener('submit', handleUnlock);
+        Modal.open(DOM.unlockModal);
+    }
+    
+    /**
+     * Whether the page was opened with ?admin
+     * 
+     * @returns {boolean}
+     */
+    function isRequested() {
+        return new URLSearchParams(window.location.search).has(CONFIG.admin.urlFlag);
+    }
+    
+    /**
+     * Admin mode requested and the passphrase entered in this tab
+     * Read before startup so the draft can replace the published content
+     * 
+     * @returns {boolean}
+     */
+    function isUnlocked() {
+        if (!isRequested() || !CONFIG.admin.passphraseHash) return false;
+        
+        try {
+            return sessionStorage.getItem(CONFIG.admin.sessionKey) === CONFIG.admin.passphraseHash;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // ==========================================
+    // UNLOCK
+    // ==========================================
+    
+    /**
+     * SHA-256 of a passphrase, as hex
+     * 
+     * @param {string} text - Passphrase
+     * @returns {Promise<string>}
+     */
+    async function hash(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Check the passphrase and switch admin mode on
+     */
+    async function handleUnlock(e) {
+        e.preventDefault();
+        
+        // crypto.subtle only exists on HTTPS (and localhost)
+        if (!window.crypto || !crypto.subtle) {
+            showUnlockError('Admin mode needs the site on HTTPS.');
+            return;
+        }
+        
+        const input = DOM.unlockForm.elements.passphrase;
+        
+        if (await hash(input.value) !== CONFIG.admin.passphraseHash) {
+            showUnlockError('Wrong passphrase.');
+            input.select();
+            return;
+        }
+        
+        try {
+            sessionStorage.setItem(CONFIG.admin.sessionKey, CONFIG.admin.passphraseHash);
+        } catch (error) {
+            // Storage unavailable - admin mode lasts until the page is reloaded
+        }
+        
+        // The page started with the published content - reload to preview the draft
+        if (SiteContent.getDraft()) {
+            window.location.reload();
+            return;
+        }
+        
+        Modal.close();
+        activate();
+    }
+    
+    /**
+     * @param {string} message - Shown under the passphrase field
+     */
+    function showUnlockError(message) {
+        DOM.unlockError.textContent = message;
+        DOM.unlockError.hidden = false;
+    }
+    
+    /**
+     * Show the admin bar and outline editable content
+     */
+    function activate() {
+        draft = SiteContent.getDraft() || SiteContent.getPublished();
+        
+        document.body.classList.add('is-admin');
+        DOM.bar.hidden = false;
+        
+        // Capture phase - runs before links and the catalog's own handlers
+        document.addEventListener('click', handleEditClick, true);
+        DOM.bar.addEventListener('click', handleBarClick);
+        DOM.editorForm.addEventListener('input', handleEditorInput);
+        DOM.editorForm.addEventListener('click', handleEditorClick);
+        DOM.editorForm.addEventListener('submit', e => {
+            e.preventDefault();
+            Modal.close();
+        });
+        
+        updateStatus();
+    }
+    
+    // ==========================================
+    // EDITORS
+    // ==========================================
+    
+    /**
+     * Open the editor for clicked content
+     */
+    function handleEditClick(e) {
+        if (e.target.closest('.admin-bar, .modal')) return;
+        
+        const target = e.target.closest(EDITABLE);
+        if (!target) return;
+        
+        if (target.matches('.product-card__description')) {
+            editProduct(target.closest('.product-card').dataset.sku);
+        } else if (target.matches('.testimonial-card')) {
+            editTestimonial(Number(target.dataset.testimonial));
+        } else {
+            const path = target.dataset.bind || 'business.hours.weekdays';
+            if (!SiteContent.getFields().some(field => field.path === path)) return;
+            
+            editBusiness(path);
+        }
+        
+        e.preventDefault();
+        e.stopPropagation();
+    }
+    
+    /**
+     * Business details and opening hours
+     * 
+     * @param {string} focusPath - CONFIG path to focus, e.g. 'business.phone'
+     */
+    function editBusiness(focusPath = null) {
+        const business = Branches.getDefaults();
+        
+        const fields = SiteContent.getFields().map(field => {
+            const name = `config.${field.path}`;
+            const value = SiteContent.getPath(draft, name);
+            
+            return renderField({
+                name,
+                label: field.label,
+                hint: field.hint,
+                value: value !== undefined ? value : SiteContent.getPath({ business }, field.path)
+            });
+        });
+        
+        openEditor({ type: 'business' }, 'Business details', fields.join(''));
+        
+        if (focusPath) DOM.editorForm.elements[`config.${focusPath}`].focus();
+    }
+    
+    /**
+     * One testimonial
+     * 
+     * @param {number} index - Position in the list
+     * @param {Object} options - { added: true } for one just added from the admin bar
+     */
+    function editTestimonial(index, { added = false } = {}) {
+        const list = getTestimonials();
+        const item = list[index];
+        if (!item) return;
+        
+        const name = key => `testimonials.${index}.${key}`;
+        const ratings = RATINGS.map(rating => `
+            <option value="${rating}"${item.rating === rating ? ' selected' : ''}>${rating} ★</option>
+        `).join('');
+        
+        openEditor({ type: 'testimonial', index, added }, 'Testimonial', `
+            ${renderField({ name: name('name'), label: 'Name', value: item.name })}
+            ${renderField({ name: name('role'), label: 'Role', hint: 'e.g. Poultry Farmer', value: item.role })}
+            ${renderField({ name: name('location'), label: 'Location', value: item.location })}
+            <label class="form-field">
+                <span class="form-field__label">Rating</span>
+                <select name="${name('rating')}" class="form-field__input">
+                    <option value="">No rating</option>
+                    ${ratings}
+                </select>
+            </label>
+            ${renderField({ name: name('quote'), label: 'Quote', value: item.quote, multiline: true })}
+            <button type="button" class="btn btn--outline btn--small admin-editor__delete" data-action="delete"${list.length < 2 ? ' disabled' : ''}>Delete testimonial</button>
+        `);
+    }
+    
+    /**
+     * A product's description
+     * 
+     * @param {string} sku - Product SKU
+     */
+    function editProduct(sku) {
+        const product = Catalog.getProduct(sku);
+        if (!product) return;
+        
+        openEditor({ type: 'product', sku }, product.name, renderField({
+            name: `products.${sku}.description`,
+            label: 'Description',
+            value: product.description,
+            multiline: true
+        }));
+    }
+    
+    /**
+     * Fill and open the editor dialog
+     * 
+     * @param {Object} target - What is being edited (see `editing`)
+     * @param {string} title - Dialog title
+     * @param {string} fields - Form fields HTML
+     */
+    function openEditor(target, title, fields) {
+        // Let an open editor finish first - see closeEditor()
+        Modal.close();
+        
+        editing = target;
+        DOM.editorTitle.textContent = title;
+        DOM.editorForm.innerHTML = `
+            ${fields}
+            <button type="submit" class="btn btn--primary admin-editor__done">Done</button>
+        `;
+        
+        Modal.open(DOM.editorModal, { onClose: closeEditor });
+        showFieldErrors();
+    }
+    
+    /**
+     * Editor dismissed - a testimonial added but left without a name or quote
+     * has no card to reopen it from, so it is dropped
+     */
+    function closeEditor() {
+        const target = editing;
+        editing = null;
+        
+        if (!target || !target.added) return;
+        
+        const list = getTestimonials();
+        const item = list[target.index];
+        if (!item || (item.name && item.quote)) return;
+        
+        list.splice(target.index, 1);
+        Testimonials.render(list);
+        saveDraft();
+    }
+    
+    /**
+     * Labelled input or textarea
+     * 
+     * @param {Object} field - { name, label, hint, value, multiline }
+     * @returns {string} HTML string
+     */
+    function renderField({ name, label, hint = '', value = '', multiline = false }) {
+        const text = Utils.escapeHTML(value == null ? '' : String(value));
+        
+        return `
+            <label class="form-field">
+                <span class="form-field__label">${Utils.escapeHTML(label)}</span>
+                ${multiline
+                    ? `<textarea name="${Utils.escapeHTML(name)}" class="form-field__input" rows="5">${text}</textarea>`
+                    : `<input type="text" name="${Utils.escapeHTML(name)}" class="form-field__input" value="${text}">`}
+                ${hint ? `<span class="admin-editor__hint">${Utils.escapeHTML(hint)}</span>` : ''}
+                <p class="form-field__error" hidden></p>
+            </label>
+        `;
+    }
+    
+    /**
+     * Testimonials in the draft, starting from the ones on the page
+     * 
+     * @returns {Array<Object>}
+     */
+    function getTestimonials() {
+        if (!draft.testimonials) {
+            draft.testimonials = JSON.parse(JSON.stringify(Testimonials.getAll()));
+        }
+        
+        return draft.testimonials;
+    }
+    
+    // ==========================================
+    // LIVE PREVIEW
+    // ==========================================
+    
+    /**
+     * Copy an edit into the draft and show it on the page
+     */
+    function handleEditorInput(e) {
+        const field = e.target;
+        if (!field.name || !editing) return;
+        
+        let value = field.value;
+        if (field.name.endsWith('.rating')) value = value === '' ? undefined : Number(value);
+        
+        SiteContent.setPath(draft, field.name, value);
+        preview();
+        saveDraft();
+        showFieldErrors();
+    }
+    
+    /**
+     * Delete button in the testimonial editor
+     */
+    function handleEditorClick(e) {
+        if (!e.target.closest('[data-action="delete"]') || !editing || editing.type !== 'testimonial') return;
+        
+        getTestimonials().splice(editing.index, 1);
+        preview();
+        saveDraft();
+        
+        // Already gone - nothing for closeEditor() to drop
+        editing = null;
+        Modal.close();
+    }
+    
+    /**
+     * Re-render what the open editor changes
+     */
+    function preview() {
+        if (editing.type === 'business') previewBusiness();
+        if (editing.type === 'testimonial') Testimonials.render(getTestimonials());
+        if (editing.type === 'product') previewProduct(editing.sku);
+    }
+    
+    /**
+     * Apply draft business details behind every branch - bindings, hours and
+     * the "Open now" badge follow
+     */
+    function previewBusiness() {
+        const business = Branches.getDefaults();
+        business.hours = Object.assign({}, business.hours);
+        
+        SiteContent.getFields().forEach(field => {
+            const value = SiteContent.getPath(draft, `config.${field.path}`);
+            if (value !== undefined) SiteContent.setPath({ business }, field.path, value);
+        });
+        
+        const values = {};
+        SiteContent.getFields().forEach(field => {
+            const key = field.path.split('.')[1];
+            values[key] = business[key];
+        });
+        
+        Branches.setDefaults(values);
+    }
+    
+    /**
+     * Show a draft description on the product's card
+     * 
+     * @param {string} sku - Product SKU
+     */
+    function previewProduct(sku) {
+        const product = Catalog.getProduct(sku);
+        const description = SiteContent.getPath(draft, `products.${sku}.description`);
+        if (!product) return;
+        
+        product.description = description;
+        
+        Utils.getElements('.product-card').forEach(card => {
+            if (card.dataset.sku !== sku) return;
+            card.querySelector('.product-card__description').textContent = description;
+        });
+    }
+    
+    /**
+     * Problems with the fields in the open editor
+     */
+    function showFieldErrors() {
+        const errors = SiteContent.validate(draft);
+        
+        Array.from(DOM.editorForm.elements).forEach(field => {
+            if (!field.name) return;
+            
+            const error = errors.find(item => item.path === field.name);
+            const message = field.closest('.form-field').querySelector('.form-field__error');
+            
+            field.setAttribute('aria-invalid', String(Boolean(error)));
+            if (!message) return;
+            
+            message.textContent = error ? error.message : '';
+            message.hidden = !error;
+        });
+    }
+    
+    // ==========================================
+    // ADMIN BAR
+    // ==========================================
+    
+    /**
+     * Save the draft on this device
+     */
+    function saveDraft() {
+        if (!SiteContent.saveDraft(draft)) {
+            KelahApp.showNotification('Could not save changes on this device - export them now', 'error');
+        }
+        
+        updateStatus();
+    }
+    
+    /**
+     * Whether the draft differs from the published content
+     * 
+     * @returns {boolean}
+     */
+    function hasChanges() {
+        return JSON.stringify(draft) !== JSON.stringify(SiteContent.getPublished());
+    }
+    
+    /**
+     * Admin bar text
+     */
+    function updateStatus() {
+        DOM.status.textContent = hasChanges()
+            ? 'Admin mode - changes are saved on this device only. Export and upload to publish.'
+            : 'Admin mode - click any outlined text to edit it.';
+    }
+    
+    /**
+     * Admin bar buttons
+     */
+    function handleBarClick(e) {
+        const button = e.target.closest('[data-admin-action]');
+        if (!button) return;
+        
+        const action = button.dataset.adminAction;
+        
+        if (action === 'business') editBusiness();
+        
+        if (action === 'add-testimonial') {
+            // Closing an open editor may drop a testimonial and shift the list
+            Modal.close();
+            
+            const list = getTestimonials();
+            list.push({ name: '', role: '', location: '', rating: CONFIG.testimonials.bestRating, quote: '' });
+            saveDraft();
+            editTestimonial(list.length - 1, { added: true });
+        }
+        
+        if (action === 'export') exportBundle();
+        
+        if (action === 'discard' && window.confirm('Throw away all changes that have not been published?')) {
+            SiteContent.clearDraft();
+            window.location.reload();
+        }
+        
+        if (action === 'exit') exit();
+    }
+    
+    /**
+     * Check the draft and download it as site-content.json
+     */
+    function exportBundle() {
+        const products = Catalog.getProducts();
+        const bundle = Object.assign({}, draft, { updated: BusinessHours.now().date });
+        const errors = SiteContent.validate(bundle, {
+            skus: products.length ? products.map(product => product.sku) : null
+        });
+        
+        DOM.errors.innerHTML = errors.map(error => `
+            <li><code>${Utils.escapeHTML(error.path)}</code>: ${Utils.escapeHTML(error.message)}</li>
+        `).join('');
+        DOM.errors.hidden = !errors.length;
+        
+        if (errors.length) {
+            KelahApp.showNotification(`Fix ${errors.length} problem${errors.length === 1 ? '' : 's'} before exporting`, 'error');
+            return;
+        }
+        
+        Utils.downloadFile('site-content.json', JSON.stringify(bundle, null, 4), 'application/json');
+        KelahApp.showNotification('Exported - upload it as data/site-content.json to publish', 'success');
+    }
+    
+    /**
+     * Leave admin mode - the draft stays on this device
+     */
+    function exit() {
+        try {
+            sessionStorage.removeItem(CONFIG.admin.sessionKey);
+        } catch (error) {
+            // Storage unavailable - nothing to forget
+        }
+        
+        const url = new URL(window.location.href);
+        url.searchParams.delete(CONFIG.admin.urlFlag);
+        window.location.href = url.toString();
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        isUnlocked,
+        hash
+    };
+
+})();
+
+// Make Admin globally available
+window.Admin = Admin;
\ No newline at end of file
@@ -0,0 +1,191 @@
+/**
+ * Analytics Event Layer
+ * 
+ * Purpose: Measure which sections drive calls, WhatsApp chats and product views
+ * Responsibilities:
+ * - Queue events and send them in batches
+ * - Hand batches to pluggable adapters (console, GA4 dataLayer, beacon endpoint)
+ * - Hold events until analytics consent is given (js/consent.js), drop them if refused
+ * - Flush pending events with navigator.sendBeacon when the page unloads
+ * 
+ * Adapter shape:
+ * {
+ *     send(events, { unloading }) { ... }   // events: [{ name, params, timestamp, page }]
+ * }
+ * 
+ * Usage: Analytics.track('phone_call', { source: 'hero' });
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Analytics = (function() {
+    
+    /**
+     * Built-in adapters - add more with Analytics.registerAdapter()
+     */
+    const adapters = {
+        // Development: log events to the console
+        console: {
+            send(events) {
+                events.forEach(event => console.log(`📊 ${event.name}`, event.params));
+            }
+        },
+        
+        // GA4 / Google Tag Manager: push onto window.dataLayer
+        dataLayer: {
+            send(events) {
+                window.dataLayer = window.dataLayer || [];
+                events.forEach(event => window.dataLayer.push({ event: event.name, ...event.params }));
+            }
+        },
+        
+        // Custom collector endpoint
+        beacon: {
+            send(events, { unloading }) {
+                const url = CONFIG.analytics.beaconUrl;
+                if (!url) return;
+                
+                const body = JSON.stringify({ events });
+                
+                // sendBeacon survives page unload; fetch keepalive is the fallback
+                if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+                    return;
+                }
+                
+                fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: unloading
+                }).catch(error => Utils.logError('Analytics beacon failed', error));
+            }
+        }
+    };
+    
+    /**
+     * Analytics state
+     */
+    const state = {
+        queue: [],
+        consent: null    // null = not asked yet, true/false once decided
+    };
+    
+    /**
+     * Initialize analytics
+     */
+    function init() {
+        if (!isEnabled()) return;
+        
+        if (!CONFIG.analytics.requireConsent) {
+            state.consent = true;
+        } else {
+            // Follow the visitor's 'analytics' choice in the consent banner
+            if (Consent.hasDecided()) state.consent = Consent.has('analytics');
+            Consent.onChange(() => setConsent(Consent.has('analytics')));
+        }
+        
+        setInterval(flush, CONFIG.analytics.flushInterval);
+    }
+    
+    /**
+     * Check analytics is switched on
+     * 
+     * @returns {boolean}
+     */
+    function isEnabled() {
+        return Boolean(CONFIG.features.enableAnalytics);
+    }
+    
+    /**
+     * Record an event
+     * 
+     * @param {string} name - Event name, e.g. 'whatsapp_click'
+     * @param {Object} params - Event details, e.g. { source: 'products' }
+     */
+    function track(name, params = {}) {
+        if (!isEnabled() || state.consent === false) return;
+        
+        state.queue.push({
+            name,
+            params,
+            timestamp: new Date().toISOString(),
+            page: window.location.pathname + window.location.hash
+        });
+        
+        // Keep memory bounded while waiting for consent or a flush
+        if (state.queue.length > CONFIG.analytics.maxQueueSize) {
+            state.queue.shift();
+        }
+        
+        if (state.queue.length >= CONFIG.analytics.batchSize) {
+            flush();
+        }
+    }
+    
+    /**
+     * Send queued events to every configured adapter
+     * 
+     * @param {Object} options - { unloading: true when called during page unload }
+     */
+    function flush({ unloading = false } = {}) {
+        if (!state.consent || !state.queue.length) return;
+        
+        const events = state.queue.splice(0);
+        
+        CONFIG.analytics.adapters.forEach(name => {
+            const adapter = adapters[name];
+            
+            if (!adapter) {
+                Utils.logError(`Unknown analytics adapter "${name}"`);
+                return;
+            }
+            
+            // One broken adapter must not stop the others
+            try {
+                adapter.send(events, { unloading });
+            } catch (error) {
+                Utils.logError(`Analytics adapter "${name}" failed`, error);
+            }
+        });
+    }
+    
+    /**
+     * Record the visitor's analytics consent decision
+     * 
+     * @param {boolean} granted - true to start sending, false to drop queued events
+     */
+    function setConsent(granted) {
+        state.consent = Boolean(granted);
+        
+        if (state.consent) {
+            flush();
+        } else {
+            state.queue = [];
+        }
+    }
+    
+    /**
+     * Add or replace an adapter
+     * 
+     * @param {string} name - Name used in CONFIG.analytics.adapters
+     * @param {Object} adapter - { send(events, options) }
+     */
+    function registerAdapter(name, adapter) {
+        adapters[name] = adapter;
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        track,
+        flush,
+        setConsent,
+        registerAdapter
+    };
+
+})();
+
+// Make Analytics globally available
+window.Analytics = Analytics;
\ No newline at end of file
@@ -32,10 +32,12 @@ const Animations = {
      * 
      * Implementation: Intersection Observer API
      * Why: Much better performance than scroll event listeners
+     * 
+     * @param {string} selector - Elements to reveal (re-run for content rendered later)
      */
-    initScrollReveal() {
+    initScrollReveal(selector = '.service-card, .product-category, .testimonial-card, .contact__card') {
         // Add 'reveal' class to elements we want to animate
-        const revealElements = Utils.getElements('.service-card, .product-category, .testimonial, .contact__card');
+        const revealElements = Utils.getElements(selector);
         
         // Add initial hidden state
         revealElements.forEach(el => {
@@ -160,27 +162,6 @@ const Animations = {
         });
     },
     
-    /**
-     * Hero Parallax Effect (Optional Enhancement)
-     * Creates depth by moving hero image slower than scroll
-     * 
-     * Note: Disabled by default - can cause performance issues on low-end devices
-     * Uncomment to enable
-     */
-    initHeroParallax() {
-        const heroImage = Utils.getElement('.hero__image');
-        if (!heroImage || CONFIG.isMobile()) return;
-        
-        const handleParallax = Utils.throttle(() => {
-            const scrolled = window.pageYOffset;
-            const parallaxSpeed = 0.5; // Adjust for effect strength
-            
-            heroImage.style.transform = `translateY(${scrolled * parallaxSpeed}px)`;
-        }, 16); // ~60fps
-        
-        window.addEventListener('scroll', handleParallax);
-    },
-    
     /**
      * Button Click Ripple Effect
      * Adds material-design style ripple on button clicks
@@ -0,0 +1,112 @@
+/**
+ * Bindings
+ * 
+ * Purpose: Fill contact details in the markup from CONFIG, so changing the
+ * phone number or address is one edit in js/config.js
+ * Responsibilities:
+ * - [data-bind="business.phone"]       Text from a CONFIG path
+ *   + data-bind-format="phone"          Formatted, e.g. '+254 722 784 947'
+ *   + data-bind-format="hours"          CONFIG.business.hours as one line
+ * - [data-bind-href="phone"]            tel: link
+ * - [data-bind-href="whatsapp"]         wa.me link, with the link's own
+ *   + data-whatsapp-message="..."       message ({business.name} style placeholders)
+ * - [data-bind-href="email"]            mailto: link
+ * 
+ * The values written in the HTML stay as the no-JS fallback.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Bindings = (function() {
+    
+    /**
+     * Display formats for data-bind-format
+     */
+    const FORMATS = {
+        phone: value => Utils.formatPhone(value),
+        hours: () => BusinessHours.getHoursRows(true).map(row => `${row.label}: ${row.text}`).join(' · ')
+    };
+    
+    /**
+     * Link builders for data-bind-href
+     */
+    const LINKS = {
+        phone: () => CONFIG.getPhoneLink(),
+        whatsapp: element => CONFIG.getWhatsAppLink(fill(element.dataset.whatsappMessage || '')),
+        email: () => `mailto:${CONFIG.business.email}`
+    };
+    
+    /**
+     * Fill every binding on the page
+     */
+    function init() {
+        apply(document);
+    }
+    
+    /**
+     * Fill bindings inside an element (for content rendered later)
+     * 
+     * @param {HTMLElement|Document} root - Where to look
+     */
+    function apply(root) {
+        root.querySelectorAll('[data-bind]').forEach(element => {
+            const value = get(element.dataset.bind);
+            const format = FORMATS[element.dataset.bindFormat];
+            
+            if (value === undefined || value === '') {
+                Utils.logError(`Binding "${element.dataset.bind}" has no value in CONFIG`);
+                return;
+            }
+            
+            element.textContent = format ? format(value) : value;
+        });
+        
+        root.querySelectorAll('[data-bind-href]').forEach(element => {
+            const link = LINKS[element.dataset.bindHref];
+            
+            if (!link) {
+                Utils.logError(`Unknown link binding "${element.dataset.bindHref}"`);
+                return;
+            }
+            
+            element.href = link(element);
+        });
+    }
+    
+    /**
+     * Read a CONFIG value by path
+     * 
+     * @param {string} path - e.g. 'business.phone'
+     * @returns {*} Value, or undefined if the path doesn't exist
+     */
+    function get(path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), CONFIG);
+    }
+    
+    /**
+     * Replace {path} placeholders with CONFIG values
+     * 
+     * @param {string} template - e.g. 'Hello {business.name}'
+     * @returns {string} Filled text (unknown placeholders are left as written)
+     */
+    function fill(template) {
+        return template.replace(/\{([\w.]+)\}/g, (match, path) => {
+            const value = get(path);
+            return value === undefined ? match : value;
+        });
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        apply,
+        get,
+        fill
+    };
+
+})();
+
+// Make Bindings globally available
+window.Bindings = Bindings;
\ No newline at end of file
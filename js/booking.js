@@ -0,0 +1,326 @@
+/**
+ * Vet Consultation Booking
+ * 
+ * Purpose: Request a vet visit in a slot that falls within business hours
+ * Responsibilities:
+ * - Offer bookable days (skips closed days and public holidays)
+ * - Offer time slots within opening hours, respecting minimum notice
+ * - Collect animal type, symptoms and farm location
+ * - Send the request on WhatsApp and provide an .ics calendar file
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Booking = (function() {
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Last confirmed booking (for re-downloading the calendar file)
+     */
+    let lastBooking = null;
+    
+    /**
+     * Initialize booking module
+     */
+    function init() {
+        DOM = {
+            modal: Utils.getElement('#bookingModal'),
+            form: Utils.getElement('#bookingForm'),
+            days: Utils.getElement('#bookingDays'),
+            slots: Utils.getElement('#bookingSlots'),
+            animalType: Utils.getElement('#bookingAnimalType'),
+            done: Utils.getElement('#bookingDone'),
+            summary: Utils.getElement('#bookingSummary'),
+            triggers: Utils.getElements('[data-booking-open]')
+        };
+        
+        if (!DOM.modal || !DOM.form) return;
+        
+        // English values (the symptom checker prefills by value), translated text
+        DOM.animalType.innerHTML += CONFIG.booking.animalTypes
+            .map(type => `<option value="${Utils.escapeHTML(type)}" data-i18n="booking.animalTypes.${getTypeKey(type)}">${Utils.escapeHTML(type)}</option>`)
+            .join('');
+        I18n.apply(DOM.animalType);
+        
+        DOM.triggers.forEach(trigger => trigger.addEventListener('click', () => open()));
+        DOM.days.addEventListener('change', () => renderSlots(getSelectedDay()));
+        DOM.form.addEventListener('submit', handleSubmit);
+        DOM.form.elements.phone.addEventListener('input', () => DOM.form.elements.phone.setCustomValidity(''));
+        DOM.done.addEventListener('click', handleDoneClick);
+    }
+    
+    /**
+     * Open booking modal with fresh availability
+     * 
+     * @param {Object} details - Prefill { animalType, symptoms } (e.g. from the symptom checker)
+     */
+    function open({ animalType, symptoms } = {}) {
+        DOM.form.hidden = false;
+        DOM.done.hidden = true;
+        
+        if (animalType) DOM.animalType.value = animalType;
+        if (symptoms) DOM.form.elements.symptoms.value = symptoms;
+        
+        renderDays();
+        Modal.open(DOM.modal);
+    }
+    
+    // ==========================================
+    // AVAILABILITY
+    // ==========================================
+    
+    /**
+     * Slots for a date - each slot must finish by closing time
+     * 
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @returns {Array<number>} Slot start times (minutes after midnight)
+     */
+    function getSlots(dateKey) {
+        const hours = BusinessHours.getHoursForDate(dateKey);
+        if (!hours) return [];
+        
+        const now = BusinessHours.now();
+        const { slotMinutes, minNoticeMinutes } = CONFIG.booking;
+        
+        // Today: skip slots inside the notice window
+        const earliest = dateKey === now.date ? now.minutes + minNoticeMinutes : 0;
+        const slots = [];
+        
+        for (let start = hours.open; start + slotMinutes <= hours.close; start += slotMinutes) {
+            if (start >= earliest) slots.push(start);
+        }
+        
+        return slots;
+    }
+    
+    /**
+     * Upcoming days with at least one free slot
+     * 
+     * @returns {Array<string>} Date keys
+     */
+    function getBookableDays() {
+        const today = BusinessHours.now().date;
+        const days = [];
+        
+        for (let offset = 0; offset <= CONFIG.booking.daysAhead; offset++) {
+            const key = BusinessHours.addDays(today, offset);
+            if (getSlots(key).length) days.push(key);
+        }
+        
+        return days;
+    }
+    
+    // ==========================================
+    // RENDERING
+    // ==========================================
+    
+    /**
+     * Render day chips and select the first day
+     */
+    function renderDays() {
+        const days = getBookableDays();
+        
+        if (!days.length) {
+            DOM.days.innerHTML = `<p class="slot-picker__empty">${Utils.escapeHTML(I18n.t('booking.form.noSlots', {}, 'No slots available - please call us.'))}</p>`;
+            DOM.slots.innerHTML = '';
+            return;
+        }
+        
+        DOM.days.innerHTML = days.map((key, index) => `
+            <label class="slot">
+                <input type="radio" name="date" value="${key}" class="sr-only" ${index === 0 ? 'checked' : ''} required>
+                <span class="slot__label">${Utils.escapeHTML(BusinessHours.formatDate(key))}</span>
+            </label>
+        `).join('');
+        
+        renderSlots(days[0]);
+    }
+    
+    /**
+     * Render time slot chips for a day
+     * 
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     */
+    function renderSlots(dateKey) {
+        DOM.slots.innerHTML = getSlots(dateKey).map(start => `
+            <label class="slot">
+                <input type="radio" name="time" value="${start}" class="sr-only" required>
+                <span class="slot__label">${BusinessHours.formatTime(start)}</span>
+            </label>
+        `).join('');
+    }
+    
+    /**
+     * Currently selected day
+     * 
+     * @returns {string|null} Date key
+     */
+    function getSelectedDay() {
+        return DOM.form.elements.date ? DOM.form.elements.date.value : null;
+    }
+    
+    // ==========================================
+    // SUBMISSION
+    // ==========================================
+    
+    /**
+     * Read booking details from the form
+     * 
+     * @returns {Object} Booking
+     */
+    function readBooking() {
+        const elements = DOM.form.elements;
+        const start = Number(elements.time.value);
+        
+        return {
+            reference: Utils.generateId(),
+            date: elements.date.value,
+            start,
+            end: start + CONFIG.booking.slotMinutes,
+            name: elements.name.value.trim(),
+            phone: Utils.formatPhone(elements.phone.value.trim()),
+            animalType: elements.animalType.options[elements.animalType.selectedIndex].text,
+            animalCount: elements.animalCount.value,
+            symptoms: elements.symptoms.value.trim(),
+            location: elements.location.value.trim()
+        };
+    }
+    
+    /**
+     * Dictionary key for an animal type
+     * 
+     * @param {string} type - From CONFIG.booking.animalTypes, e.g. 'Dogs / cats'
+     * @returns {string} e.g. 'dogs-cats'
+     */
+    function getTypeKey(type) {
+        return type.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+    
+    /**
+     * Human-readable date and time range for a booking
+     * 
+     * @param {Object} booking - Booking
+     * @returns {string} e.g. 'Tue 20 Oct 2026, 9:00 AM - 10:00 AM'
+     */
+    function describeSlot(booking) {
+        const date = BusinessHours.formatDate(booking.date, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+        return `${date}, ${BusinessHours.formatTime(booking.start)} - ${BusinessHours.formatTime(booking.end)}`;
+    }
+    
+    /**
+     * Compose WhatsApp confirmation message in the visitor's language
+     * 
+     * @param {Object} booking - Booking
+     * @returns {string} Message text
+     */
+    function buildMessage(booking) {
+        const animals = booking.animalCount ? `${booking.animalType} (${booking.animalCount})` : booking.animalType;
+        
+        return [
+            `*${I18n.t('booking.title')}*`,
+            `${I18n.t('booking.reference')}: ${booking.reference}`,
+            '',
+            `*${I18n.t('booking.when')}:* ${describeSlot(booking)}`,
+            `*${I18n.t('booking.name')}:* ${booking.name}`,
+            `*${I18n.t('booking.phone')}:* ${booking.phone}`,
+            `*${I18n.t('booking.animals')}:* ${animals}`,
+            `*${I18n.t('booking.symptoms')}:* ${booking.symptoms}`,
+            `*${I18n.t('booking.location')}:* ${booking.location}`,
+            '',
+            I18n.t('booking.confirm')
+        ].join('\n');
+    }
+    
+    /**
+     * Calendar event for a booking
+     * 
+     * @param {Object} booking - Booking
+     * @returns {Object} Calendar event
+     */
+    function buildEvent(booking) {
+        return {
+            uid: booking.reference,
+            title: `Vet visit - ${CONFIG.business.name}`,
+            start: BusinessHours.toInstant(booking.date, booking.start),
+            end: BusinessHours.toInstant(booking.date, booking.end),
+            description: `${booking.animalType}: ${booking.symptoms}\nVet contact: ${Utils.formatPhone(CONFIG.business.phone)}\nRef: ${booking.reference}`,
+            location: booking.location,
+            alarmMinutes: 60
+        };
+    }
+    
+    /**
+     * Download booking as .ics
+     * 
+     * @param {Object} booking - Booking
+     */
+    function downloadCalendar(booking) {
+        Calendar.download(`kelah-vet-visit-${booking.date}`, [buildEvent(booking)]);
+    }
+    
+    /**
+     * Validate, send on WhatsApp and provide calendar file
+     */
+    function handleSubmit(e) {
+        e.preventDefault();
+        
+        const phone = DOM.form.elements.phone;
+        phone.setCustomValidity(phone.value && !Utils.parseKenyanPhone(phone.value) ? 'Enter a Kenyan number, e.g. 0722 784 947' : '');
+        
+        if (!DOM.form.checkValidity()) {
+            DOM.form.reportValidity();
+            return;
+        }
+        
+        lastBooking = readBooking();
+        
+        // Offline: kept in the outbox until it can be sent
+        Outbox.submit({
+            type: 'booking',
+            label: `Vet visit ${describeSlot(lastBooking)}`,
+            message: buildMessage(lastBooking),
+            payload: lastBooking
+        });
+        downloadCalendar(lastBooking);
+        
+        DOM.summary.textContent = describeSlot(lastBooking);
+        DOM.form.hidden = true;
+        DOM.done.hidden = false;
+        DOM.done.querySelector('button').focus();
+    }
+    
+    /**
+     * Done panel actions
+     */
+    function handleDoneClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        if (button.dataset.action === 'calendar' && lastBooking) {
+            downloadCalendar(lastBooking);
+        }
+        
+        if (button.dataset.action === 'close') {
+            DOM.form.reset();
+            Modal.close();
+        }
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        open,
+        getSlots,
+        getBookableDays
+    };
+
+})();
+
+// Make Booking globally available
+window.Booking = Booking;
\ No newline at end of file
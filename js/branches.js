@@ -0,0 +1,300 @@
+/**
+ * Branches
+ * 
+ * Purpose: Let visitors pick the shop they deal with
+ * Responsibilities:
+ * - Apply the chosen branch's phone, WhatsApp, address and hours to
+ *   CONFIG.business, so every call/WhatsApp button, the contact cards and
+ *   the "Open now" badge follow it
+ * - Branch picker in the contact section, choice remembered on this device
+ * - "Find nearest" using the Geolocation API - the list is the fallback
+ * 
+ * Branches only list what differs from CONFIG.business; the first is the default.
+ * The picker stays hidden while there's a single branch.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Branches = (function() {
+    
+    /**
+     * Fields a branch may override in CONFIG.business
+     */
+    const BRANCH_FIELDS = ['phone', 'whatsapp', 'email', 'address', 'hours', 'specialClosures'];
+    
+    /**
+     * CONFIG.business as written in config.js (before any branch was applied)
+     */
+    const defaults = {};
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Callbacks run after the branch changes
+     */
+    const listeners = [];
+    
+    /**
+     * Selected branch
+     */
+    let current = null;
+    
+    /**
+     * Initialize branches - applies the remembered branch before anything renders
+     */
+    function init() {
+        BRANCH_FIELDS.forEach(field => {
+            defaults[field] = CONFIG.business[field];
+        });
+        
+        DOM = {
+            picker: Utils.getElement('[data-branch-picker]'),
+            select: Utils.getElement('#branchSelect'),
+            locate: Utils.getElement('#branchLocate'),
+            message: Utils.getElement('#branchMessage')
+        };
+        
+        const stored = Utils.loadFromStorage(CONFIG.branchPicker.storageKey);
+        apply(getBranch(stored) || CONFIG.branches[0]);
+        
+        initPicker();
+    }
+    
+    /**
+     * Find a branch by id
+     * 
+     * @param {string} id - Branch id
+     * @returns {Object|null}
+     */
+    function getBranch(id) {
+        return CONFIG.branches.find(branch => branch.id === id) || null;
+    }
+    
+    /**
+     * Copy a branch's details into CONFIG.business
+     * 
+     * @param {Object} branch - Branch from CONFIG.branches
+     */
+    function apply(branch) {
+        if (!branch) return;
+        
+        current = branch;
+        
+        BRANCH_FIELDS.forEach(field => {
+            CONFIG.business[field] = branch[field] !== undefined ? branch[field] : defaults[field];
+        });
+    }
+    
+    /**
+     * Switch branch and refresh everything that shows its details
+     * 
+     * @param {string} id - Branch id
+     * @param {Object} options - { save: false } to skip remembering the choice
+     */
+    function select(id, { save = true } = {}) {
+        const branch = getBranch(id);
+        if (!branch) return;
+        
+        apply(branch);
+        
+        if (save) Utils.saveToStorage(CONFIG.branchPicker.storageKey, branch.id);
+        if (DOM.select) DOM.select.value = branch.id;
+        
+        Bindings.apply(document);
+        listeners.forEach(listener => listener(branch));
+    }
+    
+    // ==========================================
+    // PICKER
+    // ==========================================
+    
+    /**
+     * Fill the branch list and wire up the buttons
+     */
+    function initPicker() {
+        if (!DOM.picker || !DOM.select || CONFIG.branches.length < 2) return;
+        
+        renderOptions();
+        DOM.picker.hidden = false;
+        
+        DOM.select.addEventListener('change', () => {
+            select(DOM.select.value);
+            showMessage('');
+            Analytics.track('branch_select', { branch: DOM.select.value, source: 'list' });
+        });
+        
+        if (DOM.locate) {
+            if ('geolocation' in navigator) {
+                DOM.locate.addEventListener('click', findNearest);
+            } else {
+                DOM.locate.hidden = true;
+            }
+        }
+        
+        // Options read "Nakuru branch" / "Tawi la Nakuru"
+        I18n.onChange(renderOptions);
+    }
+    
+    /**
+     * One <option> per branch
+     */
+    function renderOptions() {
+        DOM.select.innerHTML = CONFIG.branches.map(branch => `
+            <option value="${Utils.escapeHTML(branch.id)}">${Utils.escapeHTML(I18n.t('branches.option', { name: branch.name }, '{name} branch'))}</option>
+        `).join('');
+        
+        DOM.select.value = current.id;
+    }
+    
+    /**
+     * Status line under the picker
+     * 
+     * @param {string} text - Message ('' clears)
+     */
+    function showMessage(text) {
+        if (DOM.message) DOM.message.textContent = text;
+    }
+    
+    // ==========================================
+    // NEAREST BRANCH
+    // ==========================================
+    
+    /**
+     * Ask for the visitor's location and switch to the closest branch
+     * Denied, unavailable or slow: point them at the list instead
+     */
+    function findNearest() {
+        DOM.locate.disabled = true;
+        showMessage(I18n.t('branches.locating'));
+        
+        navigator.geolocation.getCurrentPosition(position => {
+            DOM.locate.disabled = false;
+            
+            const nearest = getNearest(position.coords.latitude, position.coords.longitude);
+            
+            if (!nearest) {
+                showMessage(I18n.t('branches.chooseManually'));
+                return;
+            }
+            
+            select(nearest.branch.id);
+            showMessage(I18n.t('branches.nearestFound', {
+                name: nearest.branch.name,
+                distance: Math.max(1, Math.round(nearest.distance))
+            }));
+            Analytics.track('branch_select', { branch: nearest.branch.id, source: 'nearest' });
+        }, () => {
+            DOM.locate.disabled = false;
+            showMessage(I18n.t('branches.chooseManually'));
+            DOM.select.focus();
+        }, {
+            timeout: CONFIG.branchPicker.geolocationTimeout,
+            maximumAge: 10 * 60 * 1000
+        });
+    }
+    
+    /**
+     * Closest branch with coordinates
+     * 
+     * @param {number} lat - Visitor latitude
+     * @param {number} lng - Visitor longitude
+     * @returns {Object|null} { branch, distance } with distance in km
+     */
+    function getNearest(lat, lng) {
+        return CONFIG.branches
+            .filter(branch => branch.coordinates)
+            .map(branch => ({ branch, distance: getDistance(lat, lng, branch.coordinates.lat, branch.coordinates.lng) }))
+            .sort((a, b) => a.distance - b.distance)[0] || null;
+    }
+    
+    /**
+     * Straight-line distance between two points (haversine)
+     * 
+     * @returns {number} Kilometres
+     */
+    function getDistance(lat1, lng1, lat2, lng2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const dLat = toRadians(lat2 - lat1);
+        const dLng = toRadians(lng2 - lng1);
+        
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+        
+        return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+    
+    /**
+     * Business details behind every branch (as in config.js or the site content bundle)
+     * 
+     * @returns {Object} Copy of CONFIG.business without the branch's changes
+     */
+    function getDefaults() {
+        return Object.assign({}, CONFIG.business, defaults);
+    }
+    
+    /**
+     * Business details as a branch would show them
+     * 
+     * @param {string} id - Branch id
+     * @returns {Object|null} Copy of CONFIG.business with the branch's changes
+     */
+    function getDetails(id) {
+        const branch = getBranch(id);
+        if (!branch) return null;
+        
+        const details = getDefaults();
+        BRANCH_FIELDS.forEach(field => {
+            if (branch[field] !== undefined) details[field] = branch[field];
+        });
+        
+        return details;
+    }
+    
+    /**
+     * Change business details behind every branch and refresh the page (admin mode preview)
+     * A branch's own phone, address or hours still win
+     * 
+     * @param {Object} values - CONFIG.business fields, e.g. { phone, hours }
+     */
+    function setDefaults(values) {
+        Object.keys(values).forEach(field => {
+            if (BRANCH_FIELDS.includes(field)) {
+                defaults[field] = values[field];
+            } else {
+                CONFIG.business[field] = values[field];
+            }
+        });
+        
+        if (current) select(current.id, { save: false });
+    }
+    
+    /**
+     * Run a callback whenever the branch changes
+     * 
+     * @param {Function} listener - Receives the branch
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        select,
+        onChange,
+        getCurrent: () => current,
+        getNearest,
+        getDefaults,
+        getDetails,
+        setDefaults
+    };
+
+})();
+
+// Make Branches globally available
+window.Branches = Branches;
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * Calendar Export (.ics)
+ * 
+ * Purpose: Build iCalendar files that phones and Google Calendar can import
+ * Used by: vet booking confirmations, vaccination schedules
+ * 
+ * Event shape:
+ * {
+ *     uid: 'unique-id',
+ *     title: 'Vet visit',
+ *     start: Date,              // timed event (absolute instant)
+ *     end: Date,
+ *     date: 'YYYY-MM-DD',       // OR all-day event
+ *     description: '...',
+ *     location: '...',
+ *     alarmMinutes: 60          // optional reminder before start
+ * }
+ */
+
+const Calendar = {
+    
+    /**
+     * Escape text per RFC 5545 (backslash, comma, semicolon, newline)
+     * 
+     * @param {string} text - Raw text
+     * @returns {string}
+     */
+    escapeText(text) {
+        return String(text ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+    
+    /**
+     * Fold long lines - iCalendar lines should not exceed 75 characters
+     * 
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    foldLine(line) {
+        const parts = [];
+        
+        for (let i = 0; i < line.length; i += 73) {
+            parts.push((i ? ' ' : '') + line.slice(i, i + 73));
+        }
+        
+        return parts.join('\r\n');
+    },
+    
+    /**
+     * Format instant as UTC timestamp, e.g. 20261020T060000Z
+     * 
+     * @param {Date} date - Absolute time
+     * @returns {string}
+     */
+    formatInstant(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+    
+    /**
+     * Build .ics file contents
+     * 
+     * @param {Array} events - Events (see shape above)
+     * @returns {string} iCalendar text with CRLF line endings
+     */
+    buildICS(events) {
+        const stamp = this.formatInstant(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${CONFIG.business.name}//Website//EN`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        
+        events.forEach(event => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.uid}@${CONFIG.business.email.split('@')[1]}`,
+                `DTSTAMP:${stamp}`
+            );
+            
+            if (event.date) {
+                // All-day event: DTEND is the following day (exclusive)
+                lines.push(
+                    `DTSTART;VALUE=DATE:${event.date.replace(/-/g, '')}`,
+                    `DTEND;VALUE=DATE:${BusinessHours.addDays(event.date, 1).replace(/-/g, '')}`
+                );
+            } else {
+                lines.push(
+                    `DTSTART:${this.formatInstant(event.start)}`,
+                    `DTEND:${this.formatInstant(event.end)}`
+                );
+            }
+            
+            lines.push(`SUMMARY:${this.escapeText(event.title)}`);
+            
+            if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+            
+            if (event.alarmMinutes) {
+                lines.push(
+                    'BEGIN:VALARM',
+                    `TRIGGER:-PT${event.alarmMinutes}M`,
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${this.escapeText(event.title)}`,
+                    'END:VALARM'
+                );
+            }
+            
+            lines.push('END:VEVENT');
+        });
+        
+        lines.push('END:VCALENDAR');
+        
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    },
+    
+    /**
+     * Download events as an .ics file
+     * 
+     * @param {string} filename - File name (without extension)
+     * @param {Array} events - Events
+     */
+    download(filename, events) {
+        Utils.downloadFile(`${filename}.ics`, this.buildICS(events), 'text/calendar;charset=utf-8');
+    }
+};
+
+// Make Calendar globally available
+window.Calendar = Calendar;
\ No newline at end of file
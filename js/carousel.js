@@ -0,0 +1,331 @@
+/**
+ * Carousel
+ * 
+ * Purpose: Slideshow component (hero images, reusable for other sections)
+ * Responsibilities:
+ * - Previous/next arrows, one dot per slide, swipe on touch screens
+ * - Autoplay that pauses on hover, on keyboard focus, while the page is
+ *   hidden and when the visitor presses pause
+ * - No autoplay for visitors who prefer reduced motion
+ * 
+ * Markup (dots are generated):
+ * <div class="carousel" data-carousel aria-label="...">
+ *     <div class="carousel__track">
+ *         <figure class="carousel__slide">...</figure>
+ *     </div>
+ *     <button class="carousel__arrow carousel__arrow--prev" data-carousel-action="prev">
+ *     <button class="carousel__arrow carousel__arrow--next" data-carousel-action="next">
+ *     <div class="carousel__controls">
+ *         <button class="carousel__toggle" data-carousel-action="toggle">
+ *         <div class="carousel__dots"></div>
+ *     </div>
+ * </div>
+ * 
+ * Settings: CONFIG.animation.carousel
+ * Pattern: Module Pattern (encapsulation) - one controller per carousel element
+ */
+
+const Carousel = (function() {
+    
+    /**
+     * Controllers for every carousel on the page
+     */
+    const instances = [];
+    
+    /**
+     * Reduced motion preference (shared by all carousels)
+     */
+    let reducedMotion = null;
+    
+    /**
+     * Set up every [data-carousel] element
+     */
+    function init() {
+        reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        
+        Utils.getElements('[data-carousel]').forEach(root => create(root));
+        
+        // Visitor turns reduced motion on/off while the page is open
+        reducedMotion.addEventListener('change', () => {
+            instances.forEach(instance => instance.setPaused('motion', reducedMotion.matches));
+        });
+    }
+    
+    /**
+     * Create a carousel controller
+     * 
+     * @param {HTMLElement} root - .carousel element
+     * @param {Object} options - Overrides for CONFIG.animation.carousel
+     * @returns {Object|null} Controller { go, next, prev, setPaused, destroy }, null for a single slide
+     */
+    function create(root, options = {}) {
+        const settings = { ...CONFIG.animation.carousel, ...options };
+        const track = root.querySelector('.carousel__track');
+        const slides = track ? Array.from(track.children) : [];
+        
+        // Nothing to rotate - hide the controls
+        if (slides.length < 2) {
+            root.querySelectorAll('.carousel__arrow, .carousel__controls').forEach(el => { el.hidden = true; });
+            return null;
+        }
+        
+        const dots = root.querySelector('.carousel__dots');
+        const toggle = root.querySelector('[data-carousel-action="toggle"]');
+        
+        let index = 0;
+        let timer = null;
+        let swipe = null;
+        
+        // Every reason autoplay is currently held - it runs only when none apply
+        const pauses = new Set();
+        
+        root.setAttribute('role', 'region');
+        root.setAttribute('aria-roledescription', 'carousel');
+        root.style.setProperty('--carousel-duration', `${settings.transitionDuration}ms`);
+        
+        slides.forEach((slide, i) => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', `${i + 1} of ${slides.length}`);
+        });
+        
+        if (dots) {
+            dots.innerHTML = slides.map((slide, i) => `
+                <button type="button" class="carousel__dot" data-carousel-slide="${i}" aria-label="Show slide ${i + 1}"></button>
+            `).join('');
+        }
+        
+        /**
+         * Show a slide, wrapping around at either end
+         * 
+         * @param {number} target - Slide index (may be out of range)
+         */
+        function go(target) {
+            index = (target + slides.length) % slides.length;
+            
+            track.style.transform = `translateX(${-index * 100}%)`;
+            
+            slides.forEach((slide, i) => {
+                slide.setAttribute('aria-hidden', String(i !== index));
+            });
+            
+            if (dots) {
+                dots.querySelectorAll('.carousel__dot').forEach((dot, i) => {
+                    dot.classList.toggle('carousel__dot--active', i === index);
+                    dot.setAttribute('aria-current', String(i === index));
+                });
+            }
+            
+            // Manual navigation restarts the countdown
+            schedule();
+        }
+        
+        /**
+         * Queue the next automatic slide change
+         */
+        function schedule() {
+            clearTimeout(timer);
+            timer = null;
+            
+            if (!settings.autoplay || pauses.size) return;
+            
+            timer = setTimeout(() => go(index + 1), settings.interval);
+        }
+        
+        /**
+         * Hold or release autoplay for one reason
+         * 
+         * @param {string} reason - 'hover', 'focus', 'touch', 'hidden', 'user' or 'motion'
+         * @param {boolean} paused - Hold (true) or release (false)
+         */
+        function setPaused(reason, paused) {
+            if (paused) {
+                pauses.add(reason);
+            } else {
+                pauses.delete(reason);
+            }
+            
+            updateToggle();
+            schedule();
+            
+            // Screen readers announce slide changes only while autoplay is stopped
+            track.setAttribute('aria-live', timer ? 'off' : 'polite');
+        }
+        
+        /**
+         * Pause/play button label follows the visitor's own choice
+         */
+        function updateToggle() {
+            if (!toggle) return;
+            
+            const stopped = pauses.has('user') || pauses.has('motion');
+            toggle.setAttribute('aria-label', stopped ? 'Play slideshow' : 'Pause slideshow');
+            toggle.classList.toggle('carousel__toggle--paused', stopped);
+        }
+        
+        /**
+         * Arrows, dots and pause/play
+         */
+        function handleClick(e) {
+            const dot = e.target.closest('[data-carousel-slide]');
+            const button = e.target.closest('[data-carousel-action]');
+            
+            if (dot) {
+                go(Number(dot.dataset.carouselSlide));
+                return;
+            }
+            
+            if (!button) return;
+            
+            switch (button.dataset.carouselAction) {
+                case 'prev':
+                    go(index - 1);
+                    break;
+                case 'next':
+                    go(index + 1);
+                    break;
+                case 'toggle': {
+                    // Play overrides the reduced motion default - the visitor asked for it
+                    const stopped = pauses.has('user') || pauses.has('motion');
+                    pauses.delete('motion');
+                    setPaused('user', !stopped);
+                    break;
+                }
+            }
+        }
+        
+        /**
+         * Arrow keys while focus is inside the carousel
+         */
+        function handleKeydown(e) {
+            if (e.key === 'ArrowLeft') {
+                go(index - 1);
+            } else if (e.key === 'ArrowRight') {
+                go(index + 1);
+            }
+        }
+        
+        /**
+         * Touch swipe: the track follows the finger, then snaps
+         */
+        function handleTouchStart(e) {
+            swipe = { x: e.touches[0].clientX, y: e.touches[0].clientY, dx: 0, horizontal: null };
+            root.classList.add('carousel--dragging');
+            setPaused('touch', true);
+        }
+        
+        function handleTouchMove(e) {
+            if (!swipe) return;
+            
+            const dx = e.touches[0].clientX - swipe.x;
+            const dy = e.touches[0].clientY - swipe.y;
+            
+            // Decide once per gesture: sideways swipes move slides, vertical ones scroll the page
+            if (swipe.horizontal === null && (Math.abs(dx) > 5 || Math.abs(dy) > 5)) {
+                swipe.horizontal = Math.abs(dx) > Math.abs(dy);
+            }
+            
+            if (!swipe.horizontal) return;
+            
+            e.preventDefault();
+            swipe.dx = dx;
+            track.style.transform = `translateX(calc(${-index * 100}% + ${dx}px))`;
+        }
+        
+        function handleTouchEnd() {
+            if (!swipe) return;
+            
+            const { dx } = swipe;
+            swipe = null;
+            root.classList.remove('carousel--dragging');
+            
+            if (Math.abs(dx) > settings.swipeThreshold) {
+                go(index + (dx < 0 ? 1 : -1));
+            } else {
+                go(index);
+            }
+            
+            setPaused('touch', false);
+        }
+        
+        /**
+         * Back to plain markup (e.g. when a slider is only wanted on mobile)
+         */
+        function destroy() {
+            clearTimeout(timer);
+            listeners.abort();
+            instances.splice(instances.indexOf(instance), 1);
+            
+            track.style.transform = '';
+            track.removeAttribute('aria-live');
+            root.removeAttribute('role');
+            root.removeAttribute('aria-roledescription');
+            slides.forEach(slide => {
+                ['role', 'aria-roledescription', 'aria-label', 'aria-hidden'].forEach(name => slide.removeAttribute(name));
+            });
+            if (dots) dots.innerHTML = '';
+        }
+        
+        // One signal removes every listener in destroy()
+        const listeners = new AbortController();
+        const { signal } = listeners;
+        
+        root.addEventListener('click', handleClick, { signal });
+        root.addEventListener('keydown', handleKeydown, { signal });
+        root.addEventListener('touchstart', handleTouchStart, { passive: true, signal });
+        root.addEventListener('touchmove', handleTouchMove, { passive: false, signal });
+        root.addEventListener('touchend', handleTouchEnd, { signal });
+        root.addEventListener('touchcancel', handleTouchEnd, { signal });
+        
+        if (settings.pauseOnHover) {
+            root.addEventListener('mouseenter', () => setPaused('hover', true), { signal });
+            root.addEventListener('mouseleave', () => setPaused('hover', false), { signal });
+        }
+        
+        root.addEventListener('focusin', () => setPaused('focus', true), { signal });
+        root.addEventListener('focusout', e => {
+            if (!root.contains(e.relatedTarget)) setPaused('focus', false);
+        }, { signal });
+        
+        if (reducedMotion && reducedMotion.matches) pauses.add('motion');
+        if (document.hidden) pauses.add('hidden');
+        
+        const instance = {
+            go,
+            next: () => go(index + 1),
+            prev: () => go(index - 1),
+            setPaused,
+            destroy
+        };
+        
+        instances.push(instance);
+        updateToggle();
+        go(0);
+        setPaused('hidden', document.hidden);
+        
+        return instance;
+    }
+    
+    /**
+     * Pause or resume every carousel when the page is hidden/shown
+     * Called from the visibilitychange handler in main.js
+     * 
+     * @param {boolean} hidden - document.hidden
+     */
+    function setPageHidden(hidden) {
+        instances.forEach(instance => instance.setPaused('hidden', hidden));
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        create,
+        setPageHidden
+    };
+
+})();
+
+// Make Carousel globally available
+window.Carousel = Carousel;
\ No newline at end of file
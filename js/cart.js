@@ -0,0 +1,582 @@
+/**
+ * WhatsApp Order Cart
+ * 
+ * Purpose: Let customers build an order and send it as one WhatsApp message
+ * Responsibilities:
+ * - Persist cart lines (SKU + pack size + quantity) in localStorage
+ * - Handle "Add to cart" forms rendered on catalog product cards
+ * - Render the cart drawer with quantities and retail/wholesale pricing
+ * - Show the delivery fee and order total for the customer's town (js/delivery.js)
+ * - Compose a structured order message staff can fulfil without calling back
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Cart = (function() {
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Cart state - persisted as a whole to localStorage
+     * items: [{ sku, size, quantity }]
+     */
+    const state = {
+        items: [],
+        priceType: 'retail',
+        customer: {
+            name: '',
+            town: ''
+        },
+        isOpen: false
+    };
+    
+    /**
+     * Element focused before the drawer opened (focus is returned on close)
+     */
+    let lastFocused = null;
+    
+    /**
+     * Initialize cart - restores saved cart and binds UI
+     */
+    function init() {
+        DOM = {
+            toggle: Utils.getElement('#cartToggle'),
+            count: Utils.getElement('#cartCount'),
+            drawer: Utils.getElement('#cartDrawer'),
+            overlay: Utils.getElement('#cartOverlay'),
+            items: Utils.getElement('#cartItems'),
+            subtotal: Utils.getElement('#cartSubtotal'),
+            delivery: Utils.getElement('#cartDelivery'),
+            deliveryZone: Utils.getElement('#cartDeliveryZone'),
+            deliveryFee: Utils.getElement('#cartDeliveryFee'),
+            deliveryNote: Utils.getElement('#cartDeliveryNote'),
+            total: Utils.getElement('#cartTotal'),
+            form: Utils.getElement('#cartCheckout')
+        };
+        
+        if (!DOM.toggle || !DOM.drawer) return;
+        
+        restore();
+        bindEvents();
+        renderCount();
+        
+        // Drop lines for products that no longer exist in the catalog
+        Catalog.ready().then(loaded => {
+            if (!loaded) return;
+            
+            state.items = state.items.filter(item => resolveLine(item));
+            save();
+            render();
+        });
+        
+        I18n.onChange(render);
+    }
+    
+    /**
+     * Restore saved cart from localStorage
+     */
+    function restore() {
+        const saved = Utils.loadFromStorage(CONFIG.cart.storageKey, {});
+        
+        state.items = Array.isArray(saved.items) ? saved.items : [];
+        state.priceType = saved.priceType === 'wholesale' ? 'wholesale' : 'retail';
+        state.customer = Object.assign({ name: '', town: '' }, saved.customer);
+    }
+    
+    /**
+     * Persist cart to localStorage
+     */
+    function save() {
+        Utils.saveToStorage(CONFIG.cart.storageKey, {
+            items: state.items,
+            priceType: state.priceType,
+            customer: state.customer
+        });
+    }
+    
+    /**
+     * Bind drawer, checkout and add-to-cart events
+     */
+    function bindEvents() {
+        DOM.toggle.addEventListener('click', open);
+        DOM.overlay.addEventListener('click', close);
+        DOM.drawer.addEventListener('click', handleDrawerClick);
+        DOM.drawer.addEventListener('change', handleDrawerChange);
+        DOM.drawer.addEventListener('keydown', e => {
+            if (e.key === 'Escape') close();
+        });
+        DOM.form.addEventListener('submit', handleCheckout);
+        DOM.form.elements.customerTown.addEventListener('input', renderDelivery);
+        
+        // Add-to-cart forms are rendered by the catalog after load
+        document.addEventListener('submit', handleAddToCart);
+    }
+    
+    // ==========================================
+    // CART OPERATIONS
+    // ==========================================
+    
+    /**
+     * Clamp quantity to a sane whole number
+     * 
+     * @param {number} quantity - Requested quantity
+     * @returns {number} Quantity between 1 and CONFIG.cart.maxQuantity
+     */
+    function clampQuantity(quantity) {
+        const value = Math.floor(Number(quantity)) || 1;
+        return Math.min(Math.max(value, 1), CONFIG.cart.maxQuantity);
+    }
+    
+    /**
+     * Find existing cart line
+     * 
+     * @param {string} sku - Product SKU
+     * @param {string} size - Pack size label
+     * @returns {Object|undefined}
+     */
+    function findItem(sku, size) {
+        return state.items.find(item => item.sku === sku && item.size === size);
+    }
+    
+    /**
+     * Add product pack to cart (merges with an existing line)
+     * 
+     * @param {string} sku - Product SKU
+     * @param {string} size - Pack size label
+     * @param {number} quantity - Number of packs
+     * @returns {boolean} False if the product/pack doesn't exist
+     */
+    function add(sku, size, quantity = 1) {
+        if (!resolveLine({ sku, size, quantity: 1 })) return false;
+        
+        const existing = findItem(sku, size);
+        
+        if (existing) {
+            existing.quantity = clampQuantity(existing.quantity + Number(quantity));
+        } else {
+            state.items.push({ sku, size, quantity: clampQuantity(quantity) });
+        }
+        
+        save();
+        render();
+        return true;
+    }
+    
+    /**
+     * Set quantity of a cart line
+     * 
+     * @param {string} sku - Product SKU
+     * @param {string} size - Pack size label
+     * @param {number} quantity - New quantity (0 removes the line)
+     */
+    function setQuantity(sku, size, quantity) {
+        if (Number(quantity) <= 0) {
+            remove(sku, size);
+            return;
+        }
+        
+        const item = findItem(sku, size);
+        if (!item) return;
+        
+        item.quantity = clampQuantity(quantity);
+        save();
+        render();
+    }
+    
+    /**
+     * Remove a cart line
+     * 
+     * @param {string} sku - Product SKU
+     * @param {string} size - Pack size label
+     */
+    function remove(sku, size) {
+        state.items = state.items.filter(item => !(item.sku === sku && item.size === size));
+        save();
+        render();
+    }
+    
+    /**
+     * Empty the cart (customer details are kept for next time)
+     */
+    function clear() {
+        state.items = [];
+        save();
+        render();
+    }
+    
+    /**
+     * Resolve a stored line against catalog data
+     * 
+     * @param {Object} item - { sku, size, quantity }
+     * @returns {Object|null} Line with product, unit price and total
+     */
+    function resolveLine(item) {
+        const product = Catalog.getProduct(item.sku);
+        const pack = product && product.packSizes.find(p => p.size === item.size);
+        
+        if (!pack) return null;
+        
+        const unitPrice = pack[state.priceType];
+        
+        return {
+            sku: item.sku,
+            size: item.size,
+            quantity: item.quantity,
+            product,
+            unitPrice,
+            total: unitPrice * item.quantity
+        };
+    }
+    
+    /**
+     * Get resolved cart lines at the current price type
+     * 
+     * @returns {Array} Lines
+     */
+    function getLines() {
+        return state.items.map(resolveLine).filter(Boolean);
+    }
+    
+    /**
+     * Sum of line totals
+     * 
+     * @returns {number} Subtotal in KES
+     */
+    function getSubtotal() {
+        return getLines().reduce((sum, line) => sum + line.total, 0);
+    }
+    
+    /**
+     * Total packs in cart (shown on the header badge)
+     * 
+     * @returns {number}
+     */
+    function getCount() {
+        return state.items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+    
+    // ==========================================
+    // ORDER MESSAGE
+    // ==========================================
+    
+    /**
+     * Compose WhatsApp order message in the visitor's language
+     * Uses WhatsApp *bold* formatting for headings
+     * 
+     * @param {Object} details - { name, town, notes }
+     * @returns {string} Message text
+     */
+    function buildOrderMessage(details) {
+        const priceLabel = I18n.t(state.priceType === 'wholesale' ? 'order.wholesale' : 'order.retail');
+        const subtotal = getSubtotal();
+        const delivery = Delivery.estimate(details.town, subtotal);
+        
+        const lines = getLines().map((line, index) => {
+            return `${index + 1}. ${line.product.name} (${line.sku})\n` +
+                `   ${line.size} x ${line.quantity} @ ${Utils.formatCurrency(line.unitPrice)} = ${Utils.formatCurrency(line.total)}`;
+        });
+        
+        const message = [
+            `*${I18n.t('order.title')}*`,
+            '',
+            `*${I18n.t('order.customer')}:* ${details.name}`,
+            `*${I18n.t('order.town')}:* ${details.town}`,
+            `*${I18n.t('order.pricing')}:* ${priceLabel}`,
+            '',
+            `*${I18n.t('order.items')}:*`,
+            ...lines,
+            '',
+            `*${I18n.t('order.subtotal')}:* ${Utils.formatCurrency(subtotal)}`
+        ];
+        
+        // Towns outside the zone table are quoted by staff
+        if (delivery) {
+            message.push(
+                `*${I18n.t('order.delivery')}:* ${delivery.zone.name} - ${Delivery.formatFee(delivery)} (${Delivery.formatEta(delivery.zone)})`,
+                `*${I18n.t('order.total')}:* ${Utils.formatCurrency(subtotal + delivery.fee)}`
+            );
+        } else {
+            message.push(`*${I18n.t('order.delivery')}:* ${I18n.t('order.deliveryToConfirm')}`);
+        }
+        
+        if (details.notes) {
+            message.push('', `*${I18n.t('order.notes')}:* ${details.notes}`);
+        }
+        
+        return message.join('\n');
+    }
+    
+    // ==========================================
+    // UI
+    // ==========================================
+    
+    /**
+     * Re-render badge and drawer contents
+     */
+    function render() {
+        renderCount();
+        renderItems();
+    }
+    
+    /**
+     * Update header badge
+     */
+    function renderCount() {
+        const count = getCount();
+        
+        DOM.count.textContent = count;
+        DOM.count.hidden = count === 0;
+        DOM.toggle.setAttribute('aria-label', count === 1
+            ? I18n.t('cart.openOne', {}, 'Open cart (1 item)')
+            : I18n.t('cart.open', { count }, `Open cart (${count} items)`));
+    }
+    
+    /**
+     * Render drawer line items, price type and subtotal
+     */
+    function renderItems() {
+        const lines = getLines();
+        
+        DOM.form.elements.priceType.value = state.priceType;
+        DOM.subtotal.textContent = Utils.formatCurrency(getSubtotal());
+        DOM.form.querySelector('[type="submit"]').disabled = !lines.length;
+        renderDelivery();
+        
+        if (!lines.length) {
+            DOM.items.innerHTML = `<li class="cart-drawer__empty">${Utils.escapeHTML(I18n.t('cart.empty', {}, 'Your cart is empty. Browse the product categories to add items.'))}</li>`;
+            return;
+        }
+        
+        DOM.items.innerHTML = lines.map(line => {
+            const item = `${line.product.name} ${line.size}`;
+            const unitPrice = Utils.formatCurrency(line.unitPrice);
+            
+            return `
+                <li class="cart-item" data-sku="${Utils.escapeHTML(line.sku)}" data-size="${Utils.escapeHTML(line.size)}">
+                    <div class="cart-item__info">
+                        <p class="cart-item__name">${Utils.escapeHTML(line.product.name)}</p>
+                        <p class="cart-item__meta">${Utils.escapeHTML(line.size)} · ${Utils.escapeHTML(I18n.t('cart.each', { price: unitPrice }, `${unitPrice} each`))}</p>
+                    </div>
+                    <div class="cart-item__quantity">
+                        <button type="button" class="cart-item__step" data-action="decrease" aria-label="${Utils.escapeHTML(I18n.t('cart.decrease', {}, 'Decrease quantity'))}">−</button>
+                        <input type="number" class="cart-item__input" min="1" max="${CONFIG.cart.maxQuantity}" value="${line.quantity}" aria-label="${Utils.escapeHTML(I18n.t('cart.quantityOf', { item }, `Quantity of ${item}`))}">
+                        <button type="button" class="cart-item__step" data-action="increase" aria-label="${Utils.escapeHTML(I18n.t('cart.increase', {}, 'Increase quantity'))}">+</button>
+                    </div>
+                    <p class="cart-item__total">${Utils.formatCurrency(line.total)}</p>
+                    <button type="button" class="cart-item__remove" data-action="remove" aria-label="${Utils.escapeHTML(I18n.t('cart.remove', { item: line.product.name }, `Remove ${line.product.name}`))}">&times;</button>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Delivery fee, order total and zone thresholds for the town entered
+     */
+    function renderDelivery() {
+        const subtotal = getSubtotal();
+        const delivery = Delivery.estimate(DOM.form.elements.customerTown.value, subtotal);
+        
+        DOM.delivery.hidden = !delivery;
+        if (!delivery) return;
+        
+        const zone = delivery.zone.name;
+        
+        DOM.deliveryZone.textContent = I18n.t('cart.deliveryZone', { zone }, `Delivery (${zone})`);
+        DOM.deliveryFee.textContent = Delivery.formatFee(delivery);
+        DOM.total.textContent = Utils.formatCurrency(subtotal + delivery.fee);
+        
+        if (delivery.belowMinimum) {
+            const minimum = Utils.formatCurrency(delivery.zone.minimumOrder);
+            DOM.deliveryNote.textContent = I18n.t('cart.belowMinimum', { zone, minimum }, `Minimum order for delivery to ${zone} is ${minimum}`);
+        } else if (subtotal > 0 && delivery.toFree > 0) {
+            const amount = Utils.formatCurrency(delivery.toFree);
+            DOM.deliveryNote.textContent = I18n.t('cart.toFree', { amount }, `Add ${amount} more for free delivery`);
+        } else {
+            DOM.deliveryNote.textContent = '';
+        }
+        
+        DOM.deliveryNote.hidden = !DOM.deliveryNote.textContent;
+    }
+    
+    /**
+     * Open cart drawer
+     */
+    function open() {
+        lastFocused = document.activeElement;
+        state.isOpen = true;
+        
+        // Fill saved customer details - or the town last checked in the delivery estimator
+        DOM.form.elements.customerName.value = state.customer.name;
+        DOM.form.elements.customerTown.value = state.customer.town || Delivery.getTown();
+        
+        renderItems();
+        DOM.drawer.hidden = false;
+        DOM.overlay.hidden = false;
+        DOM.toggle.setAttribute('aria-expanded', 'true');
+        document.body.style.overflow = 'hidden';
+        
+        DOM.drawer.focus();
+    }
+    
+    /**
+     * Close cart drawer
+     */
+    function close() {
+        if (!state.isOpen) return;
+        
+        state.isOpen = false;
+        DOM.drawer.hidden = true;
+        DOM.overlay.hidden = true;
+        DOM.toggle.setAttribute('aria-expanded', 'false');
+        document.body.style.overflow = 'auto';
+        
+        if (lastFocused) lastFocused.focus();
+    }
+    
+    /**
+     * Handle "Add to cart" form on product cards
+     */
+    function handleAddToCart(e) {
+        const form = e.target.closest('[data-cart-form]');
+        if (!form) return;
+        
+        e.preventDefault();
+        
+        const sku = form.dataset.sku;
+        const size = form.elements.size.value;
+        const quantity = clampQuantity(form.elements.quantity.value);
+        
+        if (add(sku, size, quantity)) {
+            const product = Catalog.getProduct(sku);
+            const item = `${product.name} (${size})`;
+            KelahApp.showNotification(I18n.t('cart.added', { quantity, item }, `Added ${quantity} x ${item} to cart`), 'success');
+        }
+    }
+    
+    /**
+     * Handle quantity steppers, remove and clear buttons
+     */
+    function handleDrawerClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        const action = button.dataset.action;
+        
+        if (action === 'close') {
+            close();
+            return;
+        }
+        
+        if (action === 'clear') {
+            clear();
+            return;
+        }
+        
+        const line = button.closest('.cart-item');
+        if (!line) return;
+        
+        const { sku, size } = line.dataset;
+        const item = findItem(sku, size);
+        
+        if (action === 'increase') setQuantity(sku, size, item.quantity + 1);
+        if (action === 'decrease') setQuantity(sku, size, item.quantity - 1);
+        if (action === 'remove') remove(sku, size);
+    }
+    
+    /**
+     * Handle typed quantities and price type switch
+     */
+    function handleDrawerChange(e) {
+        if (e.target.name === 'priceType') {
+            state.priceType = e.target.value;
+            save();
+            renderItems();
+            return;
+        }
+        
+        // Town picked from the suggestions
+        if (e.target.name === 'customerTown') {
+            renderDelivery();
+            return;
+        }
+        
+        if (e.target.classList.contains('cart-item__input')) {
+            const { sku, size } = e.target.closest('.cart-item').dataset;
+            setQuantity(sku, size, e.target.value);
+        }
+    }
+    
+    /**
+     * Send order via WhatsApp
+     */
+    async function handleCheckout(e) {
+        e.preventDefault();
+        
+        if (!DOM.form.checkValidity()) {
+            DOM.form.reportValidity();
+            return;
+        }
+        
+        const details = {
+            name: DOM.form.elements.customerName.value.trim(),
+            town: DOM.form.elements.customerTown.value.trim(),
+            notes: DOM.form.elements.orderNotes.value.trim()
+        };
+        
+        // Remember who is ordering for next time
+        state.customer = { name: details.name, town: details.town };
+        save();
+        
+        const count = getCount();
+        const delivery = Delivery.estimate(details.town, getSubtotal());
+        
+        // Offline: kept in the outbox until it can be sent
+        const result = await Outbox.submit({
+            type: 'order',
+            label: `Order (${count} pack${count === 1 ? '' : 's'})`,
+            message: buildOrderMessage(details),
+            payload: {
+                customer: details,
+                priceType: state.priceType,
+                lines: getLines().map(line => ({
+                    sku: line.sku,
+                    name: line.product.name,
+                    size: line.size,
+                    quantity: line.quantity,
+                    unitPrice: line.unitPrice,
+                    total: line.total
+                })),
+                subtotal: getSubtotal(),
+                delivery: delivery ? { zone: delivery.zone.id, fee: delivery.fee } : null
+            }
+        });
+        
+        if (result === 'whatsapp') {
+            KelahApp.showNotification(I18n.t('cart.ready', {}, 'Order ready in WhatsApp - tap send to confirm'), 'success');
+        }
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        add,
+        remove,
+        setQuantity,
+        clear,
+        open,
+        close,
+        getLines,
+        getSubtotal,
+        getCount,
+        buildOrderMessage
+    };
+
+})();
+
+// Make Cart globally available
+window.Cart = Cart;
\ No newline at end of file
@@ -0,0 +1,496 @@
+/**
+ * Product Catalog
+ * 
+ * Purpose: Render product categories and listings from data/products.json
+ * Responsibilities:
+ * - Load and hold catalog data (categories + products)
+ * - Render the category grid in #products
+ * - Show a product listing view for the selected category
+ * - Deep-link listings via the URL hash (#catalog/<category>/<sku>)
+ * - Read pack sizes as amounts and pick the cheapest packs for an amount
+ *   (dosage calculator, vaccination plans, crop planner)
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Catalog = (function() {
+    
+    /**
+     * Hash prefix for catalog deep links
+     * Example: #catalog/poultry or #catalog/poultry/PLT-001
+     */
+    const ROUTE_PREFIX = '#catalog/';
+    
+    /**
+     * Pack size units -> base unit and how many of it one pack unit holds
+     * Pack sizes are written like '100 ml', '1 L', '50 kg', '1000 doses'
+     */
+    const PACK_UNITS = {
+        ml: { unit: 'ml', factor: 1 },
+        l: { unit: 'ml', factor: 1000 },
+        kg: { unit: 'kg', factor: 1 },
+        g: { unit: 'kg', factor: 0.001 },
+        dose: { unit: 'doses', factor: 1 },
+        doses: { unit: 'doses', factor: 1 }
+    };
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Catalog state
+     */
+    const state = {
+        categories: [],
+        products: [],
+        loaded: false,
+        activeCategory: null
+    };
+    
+    /**
+     * Resolves once data has loaded (or failed)
+     * Other modules wait on this before reading products
+     */
+    let readyPromise = Promise.resolve(false);
+    
+    /**
+     * Initialize catalog - loads data and renders the category grid
+     * 
+     * @returns {Promise<boolean>} True if the grid was rendered from data
+     */
+    function init() {
+        DOM = {
+            grid: Utils.getElement('#productsGrid'),
+            view: Utils.getElement('#catalogView')
+        };
+        
+        if (!DOM.grid || !DOM.view) return readyPromise;
+        
+        readyPromise = loadData()
+            .then(() => {
+                renderCategories();
+                DOM.view.addEventListener('click', handleViewClick);
+                window.addEventListener('hashchange', handleRoute);
+                handleRoute();
+                
+                // Category cards translate through data-i18n; the open listing is re-rendered,
+                // and again for a new branch so restock enquiries go to its WhatsApp
+                I18n.onChange(refreshListing);
+                Branches.onChange(refreshListing);
+                return true;
+            })
+            .catch(error => {
+                // Static fallback cards stay in place
+                Utils.logError('Product catalog failed to load', error);
+                return false;
+            });
+        
+        return readyPromise;
+    }
+    
+    /**
+     * Load catalog data file
+     */
+    async function loadData() {
+        const data = await Utils.fetchJSON(CONFIG.catalog.dataUrl);
+        
+        state.categories = data.categories || [];
+        // Descriptions edited in admin mode (js/site-content.js)
+        state.products = SiteContent.applyProducts(data.products || []);
+        state.loaded = true;
+    }
+    
+    // ==========================================
+    // RENDERING
+    // ==========================================
+    
+    /**
+     * Render category cards into the products grid
+     * Replaces the static fallback markup in index.html
+     * Categories without a dictionary entry keep the names from data/products.json
+     */
+    function renderCategories() {
+        DOM.grid.innerHTML = state.categories.map(category => {
+            const key = `catalog.categories.${Utils.escapeHTML(category.id)}`;
+            
+            return `
+                <div class="product-category" data-category="${Utils.escapeHTML(category.id)}" role="button" tabindex="0" aria-controls="catalogView">
+                    <div class="product-category__image">
+                        <img src="${Utils.escapeHTML(category.image)}" alt="${Utils.escapeHTML(category.imageAlt || category.name)}" data-i18n-attr="alt:${key}.image" loading="lazy">
+                    </div>
+                    <div class="product-category__content">
+                        <h3 class="product-category__title" data-i18n="${key}.name">${Utils.escapeHTML(category.name)}</h3>
+                        <p class="product-category__description" data-i18n="${key}.description">${Utils.escapeHTML(category.description)}</p>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        I18n.apply(DOM.grid);
+    }
+    
+    /**
+     * Category name in the visitor's language
+     * 
+     * @param {Object} category - Category record
+     * @returns {string}
+     */
+    function getCategoryName(category) {
+        return I18n.t(`catalog.categories.${category.id}.name`, {}, category.name);
+    }
+    
+    /**
+     * Render listing view for a category
+     * 
+     * @param {Object} category - Category record
+     */
+    function renderListing(category) {
+        const products = getProducts(category.id);
+        
+        const items = products.length
+            ? products.map(renderProductCard).join('')
+            : `<p class="catalog-view__empty">${Utils.escapeHTML(I18n.t('catalog.empty', {}, 'No products listed yet - call or WhatsApp us for availability.'))}</p>`;
+        const count = products.length === 1
+            ? I18n.t('catalog.countOne', {}, '1 product')
+            : I18n.t('catalog.count', { count: products.length }, '{count} products');
+        
+        // Animal categories link to the symptom checker, vet products to the dosage calculator,
+        // poultry and vaccines to the vaccination planner, crops to the crop input planner
+        const tools = [
+            SymptomChecker.getSpecies(category.id).length
+                ? `<button type="button" class="btn btn--outline btn--small catalog-view__symptoms" data-symptom-open="${Utils.escapeHTML(category.id)}">${Utils.escapeHTML(I18n.t('catalog.symptoms', {}, '🩺 Check symptoms'))}</button>`
+                : '',
+            Dosage.getProducts(category.id).length
+                ? `<button type="button" class="btn btn--outline btn--small catalog-view__dosage" data-dosage-open>${Utils.escapeHTML(I18n.t('catalog.dosage', {}, '💉 Dosage calculator'))}</button>`
+                : '',
+            Vaccination.covers(category.id)
+                ? `<button type="button" class="btn btn--outline btn--small catalog-view__vaccination" data-vaccination-open>${Utils.escapeHTML(I18n.t('catalog.vaccination', {}, '📅 Vaccination plan'))}</button>`
+                : '',
+            CropPlanner.covers(category.id)
+                ? `<button type="button" class="btn btn--outline btn--small catalog-view__crop-plan" data-crop-plan-open>${Utils.escapeHTML(I18n.t('catalog.cropPlan', {}, '🌱 Plan inputs per acre'))}</button>`
+                : ''
+        ].join('');
+        
+        DOM.view.innerHTML = `
+            <div class="catalog-view__header">
+                <h3 class="catalog-view__title" id="catalogViewTitle" tabindex="-1">${Utils.escapeHTML(getCategoryName(category))}</h3>
+                <p class="catalog-view__count">${Utils.escapeHTML(count)}</p>
+                ${tools ? `<div class="catalog-view__tools">${tools}</div>` : ''}
+                <button type="button" class="catalog-view__close" data-action="close" aria-label="${Utils.escapeHTML(I18n.t('catalog.close', {}, 'Close product list'))}">&times;</button>
+            </div>
+            <div class="catalog-view__grid">${items}</div>
+        `;
+    }
+    
+    /**
+     * Re-render the open listing in place
+     */
+    function refreshListing() {
+        if (state.activeCategory) renderListing(getCategory(state.activeCategory));
+    }
+    
+    /**
+     * Render a single product card
+     * 
+     * @param {Object} product - Product record
+     * @returns {string} Card markup
+     */
+    function renderProductCard(product) {
+        const stockClass = product.stock.replace(/_/g, '-');
+        const stockLabel = I18n.t(`catalog.stock.${product.stock}`, {}, CONFIG.catalog.stockLabels[product.stock] || product.stock);
+        const inStock = product.stock !== 'out_of_stock';
+        const enquiry = I18n.t('catalog.restock', { product: product.name, sku: product.sku },
+            `Hello ${CONFIG.business.name}, when will ${product.name} (SKU ${product.sku}) be back in stock?`);
+        const text = (key, fallback, params = {}) => Utils.escapeHTML(I18n.t(`catalog.${key}`, params, fallback));
+        
+        const options = product.packSizes.map(pack => `
+            <option value="${Utils.escapeHTML(pack.size)}">${Utils.escapeHTML(pack.size)}</option>
+        `).join('');
+        
+        const rows = product.packSizes.map(pack => `
+            <tr>
+                <td>${Utils.escapeHTML(pack.size)}</td>
+                <td>${Utils.formatCurrency(pack.retail)}</td>
+                <td>${Utils.formatCurrency(pack.wholesale)}</td>
+            </tr>
+        `).join('');
+        
+        return `
+            <article class="product-card" id="product-${Utils.escapeHTML(product.sku)}" data-sku="${Utils.escapeHTML(product.sku)}">
+                <div class="product-card__image">
+                    <img src="${Utils.escapeHTML(product.image)}" alt="${Utils.escapeHTML(product.name)}" loading="lazy">
+                </div>
+                <div class="product-card__body">
+                    <span class="product-card__stock product-card__stock--${stockClass}">${Utils.escapeHTML(stockLabel)}</span>
+                    <h4 class="product-card__name">${Utils.escapeHTML(product.name)}</h4>
+                    <p class="product-card__sku">${text('sku', 'SKU: {sku}', { sku: product.sku })}</p>
+                    <p class="product-card__description">${Utils.escapeHTML(product.description)}</p>
+                    <table class="product-card__prices">
+                        <thead>
+                            <tr><th scope="col">${text('pack', 'Pack')}</th><th scope="col">${text('retail', 'Retail')}</th><th scope="col">${text('wholesale', 'Wholesale')}</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    ${inStock ? `
+                        <form class="product-card__actions" data-cart-form data-sku="${Utils.escapeHTML(product.sku)}">
+                            <label class="sr-only" for="size-${Utils.escapeHTML(product.sku)}">${text('packSize', 'Pack size')}</label>
+                            <select class="product-card__select" id="size-${Utils.escapeHTML(product.sku)}" name="size">${options}</select>
+                            <label class="sr-only" for="qty-${Utils.escapeHTML(product.sku)}">${text('quantity', 'Quantity')}</label>
+                            <input class="product-card__quantity" id="qty-${Utils.escapeHTML(product.sku)}" name="quantity" type="number" min="1" max="${CONFIG.cart.maxQuantity}" value="1">
+                            <button type="submit" class="btn btn--primary btn--small">${text('addToCart', 'Add to Cart')}</button>
+                        </form>
+                    ` : `
+                        <div class="product-card__actions">
+                            <a href="${CONFIG.getWhatsAppLink(enquiry)}" class="btn btn--whatsapp btn--small" target="_blank" rel="noopener">${text('askRestock', 'Ask About Restock')}</a>
+                        </div>
+                    `}
+                </div>
+            </article>
+        `;
+    }
+    
+    // ==========================================
+    // ROUTING
+    // ==========================================
+    
+    /**
+     * Build a catalog deep link
+     * 
+     * @param {string} categoryId - Category ID
+     * @param {string|null} sku - Optional product SKU to highlight
+     * @returns {string} Hash route
+     */
+    function buildRoute(categoryId, sku = null) {
+        return `${ROUTE_PREFIX}${categoryId}${sku ? `/${sku}` : ''}`;
+    }
+    
+    /**
+     * Parse current hash into { categoryId, sku }
+     * 
+     * @returns {Object|null} Route or null if not a catalog route
+     */
+    function parseRoute() {
+        const hash = decodeURIComponent(window.location.hash);
+        if (!hash.startsWith(ROUTE_PREFIX)) return null;
+        
+        const [categoryId, sku = null] = hash.slice(ROUTE_PREFIX.length).split('/');
+        return { categoryId, sku };
+    }
+    
+    /**
+     * Show or hide the listing view to match the URL hash
+     */
+    function handleRoute() {
+        const route = parseRoute();
+        const category = route && getCategory(route.categoryId);
+        
+        if (!category) {
+            hideListing();
+            return;
+        }
+        
+        showListing(category, route.sku);
+    }
+    
+    /**
+     * Open listing view for a category
+     * 
+     * @param {Object} category - Category record
+     * @param {string|null} sku - Product to scroll to
+     */
+    function showListing(category, sku = null) {
+        state.activeCategory = category.id;
+        
+        renderListing(category);
+        DOM.view.hidden = false;
+        
+        Utils.getElements('.product-category').forEach(card => {
+            card.classList.toggle('product-category--active', card.dataset.category === category.id);
+        });
+        
+        const product = sku && getProduct(sku);
+        const target = product ? `#product-${product.sku}` : '#catalogView';
+        
+        if (product) {
+            Utils.getElement(target).classList.add('product-card--highlight');
+        }
+        
+        Utils.smoothScrollTo(target);
+        Utils.getElement('#catalogViewTitle').focus({ preventScroll: true });
+    }
+    
+    /**
+     * Hide listing view
+     */
+    function hideListing() {
+        if (!state.activeCategory) return;
+        
+        state.activeCategory = null;
+        DOM.view.hidden = true;
+        DOM.view.innerHTML = '';
+        
+        Utils.getElements('.product-category--active').forEach(card => {
+            card.classList.remove('product-category--active');
+        });
+    }
+    
+    /**
+     * Handle clicks inside listing view
+     */
+    function handleViewClick(e) {
+        if (e.target.closest('[data-action="close"]')) {
+            close();
+        }
+    }
+    
+    // ==========================================
+    // PUBLIC HELPERS
+    // ==========================================
+    
+    /**
+     * Open the listing view for a category
+     * 
+     * @param {string} categoryId - Category ID
+     * @param {string|null} sku - Optional product to highlight
+     * @returns {boolean} False if catalog isn't loaded or category is unknown
+     */
+    function openCategory(categoryId, sku = null) {
+        if (!getCategory(categoryId)) return false;
+        
+        const route = buildRoute(categoryId, sku);
+        
+        if (window.location.hash === route) {
+            handleRoute();
+        } else {
+            window.location.hash = route;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Close listing view and return to the category grid
+     */
+    function close() {
+        history.pushState(null, null, '#products');
+        hideListing();
+        Utils.smoothScrollTo('#products');
+    }
+    
+    /**
+     * Get category by ID
+     * 
+     * @param {string} id - Category ID
+     * @returns {Object|undefined}
+     */
+    function getCategory(id) {
+        return state.categories.find(category => category.id === id);
+    }
+    
+    /**
+     * Get products, optionally filtered by category
+     * 
+     * @param {string} categoryId - Optional category ID
+     * @returns {Array} Product records
+     */
+    function getProducts(categoryId = null) {
+        if (!categoryId) return state.products.slice();
+        return state.products.filter(product => product.category === categoryId);
+    }
+    
+    /**
+     * Get product by SKU
+     * 
+     * @param {string} sku - Product SKU
+     * @returns {Object|undefined}
+     */
+    function getProduct(sku) {
+        return state.products.find(product => product.sku === sku);
+    }
+    
+    // ==========================================
+    // PACK SIZES
+    // ==========================================
+    
+    /**
+     * A product's packs measured in a unit, largest first
+     * Packs in other units (or unreadable sizes) are left out
+     * 
+     * @param {string} sku - Product SKU
+     * @param {string} unit - 'ml', 'kg' or 'doses'
+     * @returns {Array<Object>} [{ size, contents, price }] - retail price
+     */
+    function getPacks(sku, unit) {
+        const product = getProduct(sku);
+        if (!product) return [];
+        
+        return product.packSizes
+            .map(pack => {
+                const match = String(pack.size).match(/^([\d.]+)\s*([a-z]+)$/i);
+                const packUnit = match && PACK_UNITS[match[2].toLowerCase()];
+                if (!packUnit || packUnit.unit !== unit) return null;
+                
+                return { size: pack.size, contents: Number(match[1]) * packUnit.factor, price: pack.retail };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.contents - a.contents);
+    }
+    
+    /**
+     * Cheapest mix of packs that holds an amount (less left over on a tie)
+     * 
+     * @param {number} amount - Amount needed, in the packs' unit
+     * @param {Array<Object>} packs - From getPacks(), largest first
+     * @returns {Object} { items: [{ size, count }], cost, contents }
+     */
+    function choosePacks(amount, packs) {
+        if (!packs.length) return { items: [], cost: 0, contents: 0 };
+        
+        const [pack, ...smaller] = packs;
+        const most = Math.ceil(amount / pack.contents);
+        let best = null;
+        
+        // Smallest pack: just enough of it; otherwise try each count of this size
+        for (let count = most; count >= (smaller.length ? 0 : most); count--) {
+            const rest = choosePacks(Math.max(0, amount - count * pack.contents), smaller);
+            const option = {
+                items: count ? [{ size: pack.size, count }, ...rest.items] : rest.items,
+                cost: count * pack.price + rest.cost,
+                contents: count * pack.contents + rest.contents
+            };
+            
+            if (option.contents < amount) continue;
+            
+            if (!best || option.cost < best.cost || (option.cost === best.cost && option.contents < best.contents)) {
+                best = option;
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        ready: () => readyPromise,
+        isLoaded: () => state.loaded,
+        openCategory,
+        close,
+        getCategories: () => state.categories.slice(),
+        getCategory,
+        getCategoryName,
+        getProducts,
+        getProduct,
+        getPacks,
+        choosePacks,
+        getProductLink: product => buildRoute(product.category, product.sku)
+    };
+
+})();
+
+// Make Catalog globally available
+window.Catalog = Catalog;
\ No newline at end of file
@@ -17,18 +17,58 @@ const CONFIG = {
     business: {
         name: 'KELAH Agrovet',
         tagline: 'Your Trusted Partner in Animal Health & Farm Success',
+        // Shown on the page through data-bind attributes (js/bindings.js)
         phone: '+254722784947',
-        whatsapp: '254722784947',  // No + sign for WhatsApp links
+        whatsapp: '',  // Only if WhatsApp is on a different number - digits, no + sign
         email: 'info@kelah-agrovet.co.ke',
-        address: 'Main Street, Your Town, Kenya',
+        address: 'Moi Road, Utalii Arcade, Nakuru',  // 'Street/building, Town'
         
         // Operating hours
+        // Format: 'h:mm AM - h:mm PM' or 'Closed' (parsed by js/hours.js)
         hours: {
             weekdays: '8:00 AM - 6:00 PM',
             saturday: '8:00 AM - 6:00 PM',
             sunday: 'Closed'
         },
         
+        // Shop time zone - Kenya has no daylight saving
+        timezone: 'Africa/Nairobi',
+        utcOffsetMinutes: 180,
+        
+        // Kenyan public holidays - shop closed, no bookings
+        // Note: Eid dates depend on the moon sighting - confirm against the gazette notice
+        holidays: [
+            { date: '2026-01-01', name: "New Year's Day" },
+            { date: '2026-03-20', name: 'Idd-ul-Fitr' },
+            { date: '2026-04-03', name: 'Good Friday' },
+            { date: '2026-04-06', name: 'Easter Monday' },
+            { date: '2026-05-01', name: 'Labour Day' },
+            { date: '2026-05-27', name: 'Idd-ul-Adha' },
+            { date: '2026-06-01', name: 'Madaraka Day' },
+            { date: '2026-10-10', name: 'Mazingira Day' },
+            { date: '2026-10-20', name: 'Mashujaa Day' },
+            { date: '2026-12-12', name: 'Jamhuri Day' },
+            { date: '2026-12-25', name: 'Christmas Day' },
+            { date: '2026-12-26', name: 'Boxing Day' },
+            { date: '2027-01-01', name: "New Year's Day" },
+            { date: '2027-03-10', name: 'Idd-ul-Fitr' },
+            { date: '2027-03-26', name: 'Good Friday' },
+            { date: '2027-03-29', name: 'Easter Monday' },
+            { date: '2027-05-01', name: 'Labour Day' },
+            { date: '2027-05-17', name: 'Idd-ul-Adha' },
+            { date: '2027-06-01', name: 'Madaraka Day' },
+            { date: '2027-10-11', name: 'Mazingira Day (observed)' },
+            { date: '2027-10-20', name: 'Mashujaa Day' },
+            { date: '2027-12-13', name: 'Jamhuri Day (observed)' },
+            { date: '2027-12-25', name: 'Christmas Day' },
+            { date: '2027-12-27', name: 'Boxing Day (observed)' }
+        ],
+        
+        // One-off closures (stocktake, staff training) - shop closed all day
+        // Add hours to open for part of the day instead, e.g.
+        // { date: '2026-12-24', name: 'Christmas Eve', hours: '8:00 AM - 1:00 PM' }
+        specialClosures: [],
+        
         // Social media (add when available)
         social: {
             facebook: '',
@@ -37,6 +77,23 @@ const CONFIG = {
         }
     },
     
+    // ==========================================
+    // BRANCHES (js/branches.js)
+    // ==========================================
+    // The first branch is the default. A branch only lists what differs from
+    // business above: phone, whatsapp, email, address, hours, specialClosures.
+    // The branch picker appears once there are two or more, e.g.
+    // { id: 'eldoret', name: 'Eldoret', phone: '+2547...', address: 'Oloo Street, Eldoret',
+    //   coordinates: { lat: 0.5143, lng: 35.2698 }, hours: { ... } }
+    branches: [
+        { id: 'nakuru', name: 'Nakuru', coordinates: { lat: -0.2833, lng: 36.0667 } }
+    ],
+    
+    branchPicker: {
+        storageKey: 'kelah-branch',
+        geolocationTimeout: 10000  // ms before falling back to the list
+    },
+    
     // ==========================================
     // ANIMATION SETTINGS
     // ==========================================
@@ -56,9 +113,352 @@ const CONFIG = {
             fast: 150,
             normal: 250,
             slow: 350
+        },
+        
+        // Hero carousel (js/carousel.js)
+        carousel: {
+            autoplay: true,
+            interval: 6000,            // ms each slide stays on screen
+            transitionDuration: 600,   // ms slide animation
+            swipeThreshold: 50,        // px a finger must travel to change slide
+            pauseOnHover: true
+            // Autoplay is always off for visitors who prefer reduced motion
+        }
+    },
+    
+    // ==========================================
+    // GALLERY LIGHTBOX (js/lightbox.js)
+    // ==========================================
+    gallery: {
+        swipeThreshold: 50,   // px a finger must travel to change photo
+        maxZoom: 4,           // Pinch/wheel zoom limit
+        doubleTapZoom: 2.5    // Zoom level for double-tap / double-click
+    },
+    
+    // ==========================================
+    // PRODUCT CATALOG
+    // ==========================================
+    catalog: {
+        dataUrl: 'data/products.json',
+        currency: 'KES',
+        
+        // Labels shown on product cards for each stock status
+        stockLabels: {
+            in_stock: 'In Stock',
+            low_stock: 'Few Left',
+            out_of_stock: 'Out of Stock'
+        }
+    },
+    
+    // ==========================================
+    // PRODUCT SEARCH
+    // ==========================================
+    search: {
+        synonymsUrl: 'data/search-synonyms.json',
+        minQueryLength: 2,
+        maxResults: 8
+    },
+    
+    // ==========================================
+    // WHATSAPP ORDER CART
+    // ==========================================
+    cart: {
+        storageKey: 'kelah-cart',
+        maxQuantity: 999
+    },
+    
+    // ==========================================
+    // DELIVERY ESTIMATOR (js/delivery.js)
+    // ==========================================
+    delivery: {
+        // Zones: towns, fee, delivery days, minimum order, free-delivery threshold
+        zonesUrl: 'data/delivery-zones.json',
+        storageKey: 'kelah-delivery-town',
+        maxSuggestions: 6
+    },
+    
+    // ==========================================
+    // WHOLESALE QUOTES (js/quote.js)
+    // ==========================================
+    quote: {
+        // Volume price breaks - % off the wholesale price, by packs of one product/pack size.
+        // A pack can set its own fixed prices instead: "tiers" in data/products.json
+        tiers: [
+            { minQuantity: 1, discount: 0 },
+            { minQuantity: 10, discount: 0.03 },
+            { minQuantity: 50, discount: 0.06 },
+            { minQuantity: 100, discount: 0.1 }
+        ],
+        
+        // Credit terms (credit: true) need an approved credit account
+        // Labels are translated as quote.paymentTerms.<id> in data/i18n
+        paymentTerms: [
+            { id: 'cash', label: 'Cash / M-Pesa on delivery', surcharge: 0 },
+            { id: 'credit-14', label: '14-day credit', surcharge: 0.02, credit: true },
+            { id: 'credit-30', label: '30-day credit', surcharge: 0.04, credit: true },
+            { id: 'harvest', label: 'Pay after harvest / milk payment (up to 90 days)', surcharge: 0.08, credit: true }
+        ],
+        
+        validDays: 7,  // Prices held this long on a printed/sent quote
+        storageKey: 'kelah-quote',
+        maxQuantity: 9999
+    },
+    
+    // ==========================================
+    // TESTIMONIALS (js/testimonials.js)
+    // ==========================================
+    testimonials: {
+        dataUrl: 'data/testimonials.json',
+        bestRating: 5,
+        
+        // Below CONFIG.breakpoints.mobile the cards become a slider
+        slider: {
+            interval: 8000,   // Longer than the hero - there's text to read
+            transitionDuration: 500
         }
     },
     
+    // ==========================================
+    // LANGUAGES (js/i18n.js)
+    // ==========================================
+    i18n: {
+        // One dictionary per language: data/i18n/en.json, data/i18n/sw.json
+        languages: {
+            en: { label: 'English', short: 'EN', locale: 'en-KE' },
+            sw: { label: 'Kiswahili', short: 'SW', locale: 'sw-KE' }
+        },
+        defaultLanguage: 'en',
+        dataUrl: 'data/i18n/{lang}.json',
+        storageKey: 'kelah-language'
+    },
+    
+    // ==========================================
+    // STRUCTURED DATA / JSON-LD (js/structured-data.js)
+    // ==========================================
+    structuredData: {
+        // schema.org LocalBusiness subtype
+        type: 'VeterinaryCare',
+        image: 'assets/images/hero/hero-vet-consultation.jpg',
+        logo: 'assets/images/icons/kelah-logo-primary.svg',
+        
+        // Add a Product + Offers entry for every catalog product
+        includeProducts: true,
+        
+        // Publish holidays/closures this far ahead
+        upcomingDays: 60
+    },
+    
+    // ==========================================
+    // WHOLESALE CREDIT APPLICATION
+    // ==========================================
+    creditApplication: {
+        // POST JSON applications here when set; otherwise WhatsApp/email only
+        endpoint: '',
+        draftKey: 'kelah-credit-draft'
+    },
+    
+    // ==========================================
+    // OFFLINE OUTBOX (js/outbox-store.js, js/outbox.js)
+    // ==========================================
+    outbox: {
+        // Optional collector for orders and bookings made while offline -
+        // receives { type, reference, createdAt, payload } as JSON.
+        // Without it, queued items wait for the customer to send them on WhatsApp.
+        endpoint: '',
+        
+        // Retry with exponential backoff: 5s, 10s, 20s... capped at 5 minutes
+        baseDelay: 5000,
+        maxDelay: 300000,
+        
+        // After this many failed sends, offer WhatsApp instead
+        maxAttempts: 6,
+        
+        // Sent items stay listed (as "Sent") this long
+        keepSentHours: 24
+    },
+    
+    // ==========================================
+    // VET CONSULTATION BOOKING
+    // ==========================================
+    booking: {
+        slotMinutes: 60,
+        daysAhead: 14,
+        
+        // Earliest bookable slot from now (vet needs travel time)
+        minNoticeMinutes: 120,
+        
+        // Translated as booking.animalTypes.<type> in data/i18n - lowercase, dashes ('Dogs / cats' is dogs-cats)
+        animalTypes: ['Dairy cattle', 'Beef cattle', 'Goats', 'Sheep', 'Poultry', 'Pigs', 'Dogs / cats', 'Other']
+    },
+    
+    // ==========================================
+    // SYMPTOM CHECKER (js/symptom-checker.js)
+    // ==========================================
+    symptomChecker: {
+        // Species, questions, possible conditions and urgency - maintained by the vets
+        dataUrl: 'data/symptom-checker.json'
+    },
+    
+    // ==========================================
+    // DOSAGE CALCULATOR (js/dosage.js)
+    // ==========================================
+    dosage: {
+        // Doses per species, withdrawal periods and heart-girth weigh bands
+        dataUrl: 'data/dosing.json',
+        maxAnimals: 10000
+    },
+    
+    // ==========================================
+    // POULTRY VACCINATION SCHEDULE (js/vaccination.js)
+    // ==========================================
+    vaccination: {
+        // Tasks by bird type and age in days
+        dataUrl: 'data/vaccination-schedules.json',
+        storageKey: 'kelah-vaccination',
+        maxFlock: 10000,
+        
+        // "Order by" this many days before each vaccine (moved back to an open day)
+        reorderDays: 3,
+        
+        // Calendar reminder: 6 PM the evening before (all-day events start at midnight)
+        reminderMinutes: 360
+    },
+    
+    // ==========================================
+    // CROP INPUT PLANNER (js/crop-planner.js)
+    // ==========================================
+    cropPlanner: {
+        // Per-acre fertilizer, seed and spray rates by crop and season
+        dataUrl: 'data/crop-plans.json',
+        storageKey: 'kelah-crop-plan',
+        maxAcres: 500
+    },
+    
+    // ==========================================
+    // SITE CONTENT (js/site-content.js)
+    // ==========================================
+    content: {
+        // Exported from admin mode - replaces the business details, hours,
+        // testimonials and product descriptions written here and in data/
+        dataUrl: 'data/site-content.json',
+        
+        // The page waits for the content before it starts - on a slow connection,
+        // start with the values written here instead (ms)
+        timeout: 3000,
+        
+        draftKey: 'kelah-content-draft'  // Unpublished admin changes on this device
+    },
+    
+    // ==========================================
+    // ADMIN CONTENT EDITOR (js/admin.js)
+    // ==========================================
+    admin: {
+        // Open the site with ?admin and enter the passphrase
+        urlFlag: 'admin',
+        
+        // SHA-256 of the passphrase, as hex - '' turns admin mode off
+        // Make one with: printf '%s' 'your passphrase' | sha256sum
+        passphraseHash: '',
+        sessionKey: 'kelah-admin'
+    },
+    
+    // ==========================================
+    // STORE STATUS ("Open now / Closes in X")
+    // ==========================================
+    storeStatus: {
+        refreshInterval: 60000,    // Recalculate every minute
+        closingSoonMinutes: 60,    // Highlight when closing within this time
+        upcomingClosureDays: 14    // List holidays/closures this far ahead
+    },
+    
+    // ==========================================
+    // CONSENT (Kenya Data Protection Act, 2019)
+    // ==========================================
+    consent: {
+        storageKey: 'kelah-consent',
+        
+        // Bump when categories or the privacy notice change - everyone is asked again
+        version: 1,
+        expiryDays: 180,
+        
+        // Privacy notice page (link hidden when empty)
+        policyUrl: '',
+        
+        categories: {
+            necessary: {
+                label: 'Necessary',
+                description: 'Keeps your cart, quote, form drafts, branch, delivery town, language and these choices on this device. Always on.',
+                required: true
+            },
+            analytics: {
+                label: 'Analytics',
+                description: 'Counts which sections lead to calls and WhatsApp chats so we can improve the site. No names or numbers are collected.'
+            },
+            external: {
+                label: 'External content',
+                description: 'Loads fonts and icons from Google Fonts and Simple Icons. These services see your IP address.'
+            }
+        }
+    },
+    
+    // ==========================================
+    // ANALYTICS (requires features.enableAnalytics)
+    // ==========================================
+    analytics: {
+        // Where events go: 'console', 'dataLayer' (GA4 / Tag Manager), 'beacon'
+        adapters: ['console'],
+        
+        // Custom collector for the 'beacon' adapter - receives { events: [...] } as JSON
+        beaconUrl: '',
+        
+        // Hold events until the visitor allows the 'analytics' consent category
+        requireConsent: true,
+        
+        batchSize: 10,           // Send once this many events are queued
+        flushInterval: 15000,    // ...or at least this often (ms)
+        maxQueueSize: 100        // Oldest events dropped beyond this
+    },
+    
+    // ==========================================
+    // ERROR REPORTING (js/error-reporter.js)
+    // ==========================================
+    errorReporting: {
+        // Collector URL - receives { errors: [...], dropped } as JSON
+        // Leave empty to only log errors to the console
+        endpoint: '',
+        
+        batchSize: 5,             // Send once this many reports are queued
+        flushInterval: 10000,     // ...or at least this often (ms)
+        maxPerMinute: 10,         // Rate limit - extra reports are counted, not sent
+        dedupeWindow: 300000,     // Same error within 5 minutes only bumps a counter
+        
+        // Unsent reports survive offline periods and page reloads
+        storageKey: 'kelah-error-queue',
+        maxStored: 50
+    },
+    
+    // ==========================================
+    // OFFLINE / INSTALLABLE APP (sw.js, js/pwa.js)
+    // ==========================================
+    pwa: {
+        // Bump on every deploy - the service worker then re-downloads
+        // all files into a fresh cache and deletes the old one
+        version: '2026.10.1',
+        
+        serviceWorker: 'sw.js',
+        offlinePage: 'offline.html',
+        
+        // Product and hero photos cached as visitors view them
+        imageCache: {
+            maxEntries: 60,
+            maxAgeDays: 30
+        },
+        
+        // "Install app" prompt
+        installDismissKey: 'kelah-install-dismissed',
+        installDismissDays: 30      // Don't ask again for this long after "Not now"
+    },
+    
     // ==========================================
     // RESPONSIVE BREAKPOINTS
     // ==========================================
@@ -95,13 +495,30 @@ const CONFIG = {
 
 /**
  * Get WhatsApp link with pre-filled message
- * @param {string} message - Optional custom message
+ * @param {string} message - Optional custom message (default greets in the current language)
  * @returns {string} WhatsApp URL
  */
 CONFIG.getWhatsAppLink = function(message = '') {
-    const defaultMessage = `Hello KELAH Agrovet, I'd like to inquire about your services.`;
+    // In the visitor's language once its dictionary has loaded - English until then
+    const english = `Hello ${this.business.name}, I'd like to inquire about your services.`;
+    const defaultMessage = window.I18n ? I18n.t('whatsapp.default', {}, english) : english;
     const text = encodeURIComponent(message || defaultMessage);
-    return `https://wa.me/${this.business.whatsapp}?text=${text}`;
+    const phone = this.business.whatsapp || this.business.phone;
+    
+    // wa.me needs the international number without + (0722... -> 254722...)
+    const number = Utils.parseKenyanPhone(phone) || phone.replace(/\D/g, '');
+    return `https://wa.me/${number}?text=${text}`;
+};
+
+/**
+ * Get email link with subject and body
+ * @param {string} subject - Email subject
+ * @param {string} body - Email body
+ * @returns {string} Mailto URL
+ */
+CONFIG.getEmailLink = function(subject = '', body = '') {
+    const params = `subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    return `mailto:${this.business.email}?${params}`;
 };
 
 /**
@@ -0,0 +1,303 @@
+/**
+ * Consent Manager
+ * 
+ * Purpose: Ask before using analytics or loading third-party content
+ * Responsibilities:
+ * - Show a consent banner until the visitor makes a choice
+ * - Preferences modal with one switch per category (CONFIG.consent.categories)
+ * - Store choices with a version and expiry, re-asking when either lapses
+ * - Load consent-gated assets once their category is allowed
+ * 
+ * Gated markup - the real URL sits in a data attribute until allowed:
+ * <img data-consent="external" data-consent-src="https://cdn.example.com/icon.svg">
+ * <link rel="stylesheet" data-consent="external" data-consent-href="https://...">
+ * 
+ * Usage: if (Consent.has('analytics')) { ... }
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Consent = (function() {
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Stored record: { version, categories: { name: boolean }, savedAt, expiresAt }
+     */
+    let record = null;
+    
+    /**
+     * Callbacks run whenever choices change
+     */
+    const listeners = [];
+    
+    /**
+     * Initialize consent manager
+     * Runs before other modules so has() answers correctly from the start
+     */
+    function init() {
+        DOM = {
+            banner: Utils.getElement('#consentBanner'),
+            modal: Utils.getElement('#consentModal'),
+            form: Utils.getElement('#consentForm'),
+            options: Utils.getElement('#consentOptions'),
+            policyLinks: Utils.getElements('[data-consent-policy]')
+        };
+        
+        record = loadRecord();
+        
+        renderOptions();
+        initPolicyLinks();
+        loadAllowedAssets();
+        
+        if (DOM.banner) {
+            DOM.banner.hidden = hasDecided();
+            DOM.banner.addEventListener('click', handleActionClick);
+        }
+        
+        if (DOM.form) {
+            DOM.form.addEventListener('submit', handleSave);
+            DOM.form.addEventListener('click', handleActionClick);
+        }
+        
+        // "Cookie settings" links can appear anywhere (e.g. footer)
+        document.addEventListener('click', e => {
+            if (e.target.closest('[data-consent-open]')) {
+                e.preventDefault();
+                openPreferences();
+            }
+        });
+    }
+    
+    // ==========================================
+    // STORED CHOICES
+    // ==========================================
+    
+    /**
+     * Read stored choices, ignoring outdated or expired ones
+     * 
+     * @returns {Object|null} Record or null if the visitor must be asked
+     */
+    function loadRecord() {
+        const stored = Utils.loadFromStorage(CONFIG.consent.storageKey);
+        
+        if (!stored || stored.version !== CONFIG.consent.version) return null;
+        if (new Date(stored.expiresAt) <= new Date()) return null;
+        
+        return stored;
+    }
+    
+    /**
+     * Save choices and notify listeners
+     * 
+     * @param {Object} categories - { analytics: true, external: false }
+     */
+    function save(categories) {
+        const now = new Date();
+        const expires = new Date(now.getTime() + CONFIG.consent.expiryDays * 24 * 60 * 60 * 1000);
+        const choices = {};
+        
+        // Only record known optional categories
+        getOptionalCategories().forEach(name => {
+            choices[name] = Boolean(categories[name]);
+        });
+        
+        record = {
+            version: CONFIG.consent.version,
+            categories: choices,
+            savedAt: now.toISOString(),
+            expiresAt: expires.toISOString()
+        };
+        
+        Utils.saveToStorage(CONFIG.consent.storageKey, record);
+        
+        if (DOM.banner) DOM.banner.hidden = true;
+        
+        loadAllowedAssets();
+        listeners.forEach(listener => listener(getChoices()));
+    }
+    
+    /**
+     * Categories the visitor can switch off
+     * 
+     * @returns {Array<string>} Category names
+     */
+    function getOptionalCategories() {
+        return Object.keys(CONFIG.consent.categories)
+            .filter(name => !CONFIG.consent.categories[name].required);
+    }
+    
+    /**
+     * Check a category is allowed
+     * 
+     * @param {string} category - e.g. 'analytics', 'external'
+     * @returns {boolean}
+     */
+    function has(category) {
+        const definition = CONFIG.consent.categories[category];
+        if (!definition) return false;
+        if (definition.required) return true;
+        
+        return Boolean(record && record.categories[category]);
+    }
+    
+    /**
+     * Check the visitor has made a (still valid) choice
+     * 
+     * @returns {boolean}
+     */
+    function hasDecided() {
+        return Boolean(record);
+    }
+    
+    /**
+     * Current choice for every category
+     * 
+     * @returns {Object} { necessary: true, analytics: false, ... }
+     */
+    function getChoices() {
+        const choices = {};
+        Object.keys(CONFIG.consent.categories).forEach(name => {
+            choices[name] = has(name);
+        });
+        return choices;
+    }
+    
+    /**
+     * Run a callback whenever choices change
+     * 
+     * @param {Function} listener - Receives getChoices() result
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+    
+    // ==========================================
+    // THIRD-PARTY ASSETS
+    // ==========================================
+    
+    /**
+     * Swap in real URLs for gated assets whose category is allowed
+     */
+    function loadAllowedAssets() {
+        Utils.getElements('[data-consent]').forEach(element => {
+            if (!has(element.dataset.consent)) return;
+            
+            if (element.dataset.consentSrc) {
+                element.src = element.dataset.consentSrc;
+                delete element.dataset.consentSrc;
+            }
+            
+            if (element.dataset.consentHref) {
+                element.href = element.dataset.consentHref;
+                delete element.dataset.consentHref;
+            }
+            
+            element.hidden = false;
+        });
+    }
+    
+    // ==========================================
+    // BANNER AND PREFERENCES
+    // ==========================================
+    
+    /**
+     * Render one switch per category into the preferences form
+     * Categories without a dictionary entry keep the text from CONFIG
+     */
+    function renderOptions() {
+        if (!DOM.options) return;
+        
+        DOM.options.innerHTML = Object.entries(CONFIG.consent.categories).map(([name, category]) => `
+            <label class="form-check consent-option">
+                <input type="checkbox" name="${name}" ${category.required ? 'checked disabled' : ''}>
+                <span>
+                    <strong data-i18n="consent.categories.${name}.label">${Utils.escapeHTML(category.label)}</strong>
+                    <span class="consent-option__description" data-i18n="consent.categories.${name}.description">${Utils.escapeHTML(category.description)}</span>
+                </span>
+            </label>
+        `).join('');
+        
+        I18n.apply(DOM.options);
+    }
+    
+    /**
+     * Point privacy notice links at CONFIG.consent.policyUrl, or hide them
+     */
+    function initPolicyLinks() {
+        DOM.policyLinks.forEach(link => {
+            if (CONFIG.consent.policyUrl) {
+                link.href = CONFIG.consent.policyUrl;
+            } else {
+                link.hidden = true;
+            }
+        });
+    }
+    
+    /**
+     * Open preferences with the current choices ticked
+     */
+    function openPreferences() {
+        if (!DOM.modal) return;
+        
+        getOptionalCategories().forEach(name => {
+            DOM.form.elements[name].checked = has(name);
+        });
+        
+        Modal.open(DOM.modal);
+    }
+    
+    /**
+     * Accept all / reject all / open preferences buttons
+     */
+    function handleActionClick(e) {
+        const button = e.target.closest('[data-consent-action]');
+        if (!button) return;
+        
+        const action = button.dataset.consentAction;
+        const all = value => Object.fromEntries(getOptionalCategories().map(name => [name, value]));
+        
+        if (action === 'accept') save(all(true));
+        if (action === 'reject') save(all(false));
+        if (action === 'customize') openPreferences();
+        
+        if (action !== 'customize' && Modal.getActive() === DOM.modal) Modal.close();
+    }
+    
+    /**
+     * Save choices from the preferences form
+     */
+    function handleSave(e) {
+        e.preventDefault();
+        
+        const categories = {};
+        getOptionalCategories().forEach(name => {
+            categories[name] = DOM.form.elements[name].checked;
+        });
+        
+        save(categories);
+        Modal.close();
+        
+        KelahApp.showNotification('Your privacy choices have been saved.', 'success');
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        has,
+        hasDecided,
+        getChoices,
+        onChange,
+        save,
+        openPreferences
+    };
+
+})();
+
+// Make Consent globally available
+window.Consent = Consent;
\ No newline at end of file
@@ -0,0 +1,601 @@
+/**
+ * Wholesale Credit Application
+ * 
+ * Purpose: Multi-step credit application for bulk buyers
+ * Responsibilities:
+ * - Step through business, credit, references and repayment details
+ * - Field-level validation (Kenyan phone numbers, KRA PIN, email)
+ * - Autosave drafts to localStorage and restore them
+ * - Summary step, then send via endpoint (POST), WhatsApp or email
+ * - Endpoint and WhatsApp sends made offline wait in the outbox (js/outbox.js)
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const CreditApplication = (function() {
+    
+    /**
+     * Field rules - label is used in errors, summary and message
+     * (translated as credit.fields.<name>, this label is the English fallback)
+     * validate() returns an error message, or '' when valid
+     */
+    const RULES = {
+        businessName: { label: 'Business name', required: true },
+        contactName: { label: 'Contact person', required: true },
+        phone: { label: 'Phone', required: true, validate: validatePhone, format: Utils.formatPhone.bind(Utils) },
+        email: { label: 'Email', validate: validateEmail },
+        town: { label: 'Town / County', required: true },
+        businessType: { label: 'Business type', required: true },
+        kraPin: {
+            label: 'KRA PIN',
+            required: true,
+            validate: value => Utils.isValidKraPin(value) ? '' : text('errors.kraPin', 'KRA PIN should look like P051234567X'),
+            format: value => value.trim().toUpperCase()
+        },
+        yearsInBusiness: { label: 'Years in business', validate: validateNonNegative },
+        monthlyVolume: { label: 'Expected monthly volume', required: true },
+        creditLimit: { label: 'Credit limit requested (KES)', validate: validateNonNegative },
+        ref1Name: { label: 'Reference 1 name', required: true },
+        ref1Phone: { label: 'Reference 1 phone', required: true, validate: validatePhone, format: Utils.formatPhone.bind(Utils) },
+        ref2Name: { label: 'Reference 2 name' },
+        ref2Phone: { label: 'Reference 2 phone', validate: validatePhone, format: Utils.formatPhone.bind(Utils) },
+        repaymentCycle: { label: 'Repayment cycle', required: true },
+        consent: { label: 'Confirmation', required: true }
+    };
+    
+    /**
+     * Summary/message sections, in display order
+     * Titles are translated as credit.steps.<id>
+     */
+    const SECTIONS = [
+        { id: 'business', title: 'Business', step: 0, fields: ['businessName', 'contactName', 'phone', 'email', 'town', 'businessType'] },
+        { id: 'credit', title: 'Credit', step: 1, fields: ['kraPin', 'yearsInBusiness', 'monthlyVolume', 'creditLimit'] },
+        { id: 'references', title: 'References', step: 2, fields: ['ref1Name', 'ref1Phone', 'ref2Name', 'ref2Phone'] },
+        { id: 'repayment', title: 'Repayment', step: 3, fields: ['repaymentCycle'] }
+    ];
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Form state
+     */
+    const state = {
+        step: 0,
+        stepCount: 0,
+        submitting: false
+    };
+    
+    /**
+     * Initialize credit application
+     */
+    function init() {
+        DOM = {
+            modal: Utils.getElement('#creditModal'),
+            form: Utils.getElement('#creditForm'),
+            steps: Utils.getElements('#creditForm .form-step'),
+            progress: Utils.getElements('#creditSteps .stepper__step'),
+            summary: Utils.getElement('#creditSummary'),
+            status: Utils.getElement('#creditDraftStatus'),
+            triggers: Utils.getElements('[data-credit-apply]')
+        };
+        
+        if (!DOM.modal || !DOM.form) return;
+        
+        state.stepCount = DOM.steps.length;
+        
+        // Only offer online submission when an endpoint is configured
+        const endpointBtn = DOM.form.querySelector('[data-channel="endpoint"]');
+        if (endpointBtn) endpointBtn.hidden = !CONFIG.creditApplication.endpoint;
+        
+        DOM.triggers.forEach(trigger => {
+            trigger.addEventListener('click', e => {
+                e.preventDefault();
+                open();
+            });
+        });
+        
+        DOM.form.addEventListener('click', handleClick);
+        DOM.form.addEventListener('submit', e => {
+            // Enter key moves forward rather than submitting
+            e.preventDefault();
+            next();
+        });
+        DOM.form.addEventListener('focusout', handleBlur);
+        DOM.form.addEventListener('input', Utils.debounce(saveDraft, 500));
+        
+        // The summary is built in JavaScript
+        I18n.onChange(() => {
+            if (!DOM.modal.hidden && state.step === state.stepCount - 1) renderSummary();
+        });
+    }
+    
+    /**
+     * Open application modal, restoring any saved draft
+     */
+    function open() {
+        const restored = restoreDraft();
+        
+        showStep(state.step);
+        DOM.status.textContent = restored ? text('draftRestored', 'Draft restored - continue where you left off.') : '';
+        
+        Modal.open(DOM.modal);
+    }
+    
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+    
+    /**
+     * Field validators - return an error message, or '' when valid
+     */
+    function validatePhone(value) {
+        return Utils.parseKenyanPhone(value) ? '' : text('errors.phone', 'Enter a Kenyan number, e.g. 0722 784 947');
+    }
+    
+    function validateEmail(value) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? '' : text('errors.email', 'Enter a valid email address');
+    }
+    
+    function validateNonNegative(value) {
+        return Number(value) >= 0 ? '' : text('errors.number', 'Enter a number of 0 or more');
+    }
+    
+    /**
+     * Text in the visitor's language
+     * 
+     * @param {string} key - Key under credit., e.g. 'errors.phone'
+     * @param {string} fallback - English, used until the dictionary loads
+     * @param {Object} params - Placeholder values
+     * @returns {string}
+     */
+    function text(key, fallback, params = {}) {
+        return I18n.t(`credit.${key}`, params, fallback);
+    }
+    
+    /**
+     * @param {string} name - Field name
+     * @returns {string} Translated field label
+     */
+    function getLabel(name) {
+        return text(`fields.${name}`, RULES[name].label);
+    }
+    
+    /**
+     * Read a field's value (text, select, radio group or checkbox)
+     * 
+     * @param {string} name - Field name
+     * @returns {string|boolean}
+     */
+    function getValue(name) {
+        const field = DOM.form.elements[name];
+        if (!field) return '';
+        if (field.type === 'checkbox') return field.checked;
+        
+        return String(field.value || '').trim();
+    }
+    
+    /**
+     * Validate one field
+     * 
+     * @param {string} name - Field name
+     * @returns {string} Error message, or '' when valid
+     */
+    function validateField(name) {
+        const rule = RULES[name];
+        const value = getValue(name);
+        
+        // A second reference needs both name and phone
+        if (name === 'ref2Phone' && !value && getValue('ref2Name')) {
+            return text('errors.ref2Phone', 'Add a phone number for this reference');
+        }
+        
+        if (!value) {
+            return rule.required ? text('errors.required', '{label} is required', { label: getLabel(name) }) : '';
+        }
+        
+        return rule.validate ? rule.validate(value) : '';
+    }
+    
+    /**
+     * Show or clear error under a field
+     * 
+     * @param {string} name - Field name
+     * @param {string} message - Error message ('' clears)
+     */
+    function setError(name, message) {
+        const field = DOM.form.elements[name];
+        const input = field instanceof RadioNodeList ? field[0] : field;
+        const wrapper = input.closest('.form-field, .form-check, .form-choice');
+        let error = wrapper.querySelector('.form-field__error');
+        
+        if (!error) {
+            error = document.createElement('p');
+            error.className = 'form-field__error';
+            error.id = `${name}Error`;
+            wrapper.appendChild(error);
+        }
+        
+        error.textContent = message;
+        error.hidden = !message;
+        
+        const inputs = field instanceof RadioNodeList ? Array.from(field) : [field];
+        inputs.forEach(el => {
+            el.setAttribute('aria-invalid', String(Boolean(message)));
+            el.setAttribute('aria-describedby', error.id);
+        });
+    }
+    
+    /**
+     * Validate every field in a step
+     * 
+     * @param {number} step - Step index
+     * @returns {boolean} True if the step is valid
+     */
+    function validateStep(step) {
+        const names = fieldNames(DOM.steps[step]);
+        let firstInvalid = null;
+        
+        names.forEach(name => {
+            const message = validateField(name);
+            
+            setError(name, message);
+            if (message && !firstInvalid) firstInvalid = name;
+        });
+        
+        if (firstInvalid) {
+            const field = DOM.form.elements[firstInvalid];
+            (field instanceof RadioNodeList ? field[0] : field).focus();
+        }
+        
+        return !firstInvalid;
+    }
+    
+    /**
+     * Names of rule-backed fields inside an element
+     * 
+     * @param {HTMLElement} container - Step fieldset
+     * @returns {Array<string>} Unique field names
+     */
+    function fieldNames(container) {
+        const names = Array.from(container.querySelectorAll('[name]')).map(el => el.name);
+        return [...new Set(names)].filter(name => RULES[name]);
+    }
+    
+    /**
+     * Validate and tidy a field when the user leaves it
+     */
+    function handleBlur(e) {
+        const name = e.target.name;
+        if (!RULES[name] || e.target.type === 'radio') return;
+        
+        const message = validateField(name);
+        
+        // Normalize formatting once valid (e.g. 0722784947 -> +254 722 784 947)
+        if (!message && RULES[name].format && e.target.value.trim()) {
+            e.target.value = RULES[name].format(e.target.value);
+        }
+        
+        // Don't nag about empty required fields until Next is pressed
+        if (!getValue(name)) return;
+        
+        setError(name, message);
+    }
+    
+    // ==========================================
+    // STEPS
+    // ==========================================
+    
+    /**
+     * Show a step and update the progress indicator
+     * 
+     * @param {number} step - Step index
+     */
+    function showStep(step) {
+        state.step = Math.min(Math.max(step, 0), state.stepCount - 1);
+        const isLast = state.step === state.stepCount - 1;
+        
+        DOM.steps.forEach((fieldset, index) => {
+            fieldset.hidden = index !== state.step;
+        });
+        
+        DOM.progress.forEach((item, index) => {
+            item.classList.toggle('stepper__step--active', index === state.step);
+            item.classList.toggle('stepper__step--done', index < state.step);
+            
+            if (index === state.step) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+        
+        DOM.form.querySelector('[data-action="back"]').hidden = state.step === 0;
+        DOM.form.querySelector('[data-action="next"]').hidden = isLast;
+        DOM.form.querySelector('.form-nav__submit').hidden = !isLast;
+        
+        if (isLast) renderSummary();
+    }
+    
+    /**
+     * Go to next step if current one is valid
+     */
+    function next() {
+        if (state.step === state.stepCount - 1) return;
+        if (!validateStep(state.step)) return;
+        
+        showStep(state.step + 1);
+        saveDraft();
+        DOM.steps[state.step].querySelector('legend').focus();
+    }
+    
+    /**
+     * Go back one step
+     */
+    function back() {
+        showStep(state.step - 1);
+        saveDraft();
+    }
+    
+    /**
+     * Render summary of all answers with per-section edit links
+     */
+    function renderSummary() {
+        DOM.summary.innerHTML = SECTIONS.map(section => {
+            const rows = section.fields
+                .filter(name => getValue(name))
+                .map(name => `
+                    <dt>${Utils.escapeHTML(getLabel(name))}</dt>
+                    <dd>${Utils.escapeHTML(displayValue(name))}</dd>
+                `).join('');
+            
+            return `
+                <div class="form-summary__section">
+                    <div class="form-summary__header">
+                        <h4>${Utils.escapeHTML(text(`steps.${section.id}`, section.title))}</h4>
+                        <button type="button" class="form-summary__edit" data-action="edit" data-step="${section.step}">${Utils.escapeHTML(text('edit', 'Edit'))}</button>
+                    </div>
+                    <dl class="form-summary__list">${rows}</dl>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Human-readable value (select/radio option text rather than value)
+     * 
+     * @param {string} name - Field name
+     * @returns {string}
+     */
+    function displayValue(name) {
+        const value = getValue(name);
+        const field = DOM.form.elements[name];
+        const rule = RULES[name];
+        
+        if (field.tagName === 'SELECT') {
+            return field.options[field.selectedIndex].text;
+        }
+        
+        if (field instanceof RadioNodeList) {
+            const checked = Array.from(field).find(radio => radio.checked);
+            return checked ? checked.closest('label').textContent.trim() : value;
+        }
+        
+        return rule.format ? rule.format(value) : value;
+    }
+    
+    // ==========================================
+    // DRAFTS
+    // ==========================================
+    
+    /**
+     * Save current answers and step to localStorage
+     * Consent is never saved - it must be given fresh
+     */
+    function saveDraft() {
+        // Debounced saves can land after submission closed the form
+        if (DOM.modal.hidden) return;
+        
+        const values = {};
+        
+        Object.keys(RULES).forEach(name => {
+            if (name !== 'consent') values[name] = getValue(name);
+        });
+        
+        const saved = Utils.saveToStorage(CONFIG.creditApplication.draftKey, {
+            step: state.step,
+            values,
+            savedAt: new Date().toISOString()
+        });
+        
+        if (saved) {
+            const time = new Date().toLocaleTimeString(I18n.getLocale(), { hour: '2-digit', minute: '2-digit' });
+            DOM.status.textContent = text('draftSaved', 'Draft saved at {time}', { time });
+        }
+    }
+    
+    /**
+     * Restore draft into the form
+     * 
+     * @returns {boolean} True if a draft was restored
+     */
+    function restoreDraft() {
+        const draft = Utils.loadFromStorage(CONFIG.creditApplication.draftKey);
+        if (!draft || !draft.values) return false;
+        
+        Object.entries(draft.values).forEach(([name, value]) => {
+            const field = DOM.form.elements[name];
+            if (field && RULES[name]) field.value = value;
+        });
+        
+        // Never land a restored draft on the submit step without re-reading it
+        state.step = Math.min(Number(draft.step) || 0, state.stepCount - 2);
+        return true;
+    }
+    
+    /**
+     * Discard draft and reset the form
+     */
+    function discardDraft() {
+        Utils.removeFromStorage(CONFIG.creditApplication.draftKey);
+        DOM.form.reset();
+        Utils.getElements('#creditForm .form-field__error').forEach(error => error.remove());
+        showStep(0);
+        DOM.status.textContent = '';
+    }
+    
+    // ==========================================
+    // SUBMISSION
+    // ==========================================
+    
+    /**
+     * Build structured application payload
+     * 
+     * @returns {Object} Payload
+     */
+    function buildPayload() {
+        const applicant = {};
+        
+        SECTIONS.forEach(section => {
+            section.fields.forEach(name => {
+                applicant[name] = getValue(name) ? displayValue(name) : '';
+            });
+        });
+        
+        return {
+            type: 'wholesale_credit_application',
+            reference: Utils.generateId(),
+            submittedAt: new Date().toISOString(),
+            applicant
+        };
+    }
+    
+    /**
+     * Format payload as WhatsApp/email text, in the visitor's language
+     * 
+     * @param {Object} payload - From buildPayload()
+     * @returns {string} Message text
+     */
+    function buildMessage(payload) {
+        const lines = [
+            `*${text('message.title', 'Wholesale Credit Application - {business.name}')}*`,
+            `${text('message.reference', 'Ref')}: ${payload.reference}`
+        ];
+        
+        SECTIONS.forEach(section => {
+            lines.push('', `*${text(`steps.${section.id}`, section.title)}*`);
+            
+            section.fields.forEach(name => {
+                if (payload.applicant[name]) {
+                    lines.push(`${getLabel(name)}: ${payload.applicant[name]}`);
+                }
+            });
+        });
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Submit through the chosen channel
+     * 
+     * @param {string} channel - 'endpoint', 'whatsapp' or 'email'
+     */
+    async function submit(channel) {
+        if (state.submitting) return;
+        if (!validateStep(state.step)) return;
+        
+        const payload = buildPayload();
+        const message = buildMessage(payload);
+        const business = payload.applicant.businessName;
+        
+        const entry = {
+            type: 'credit_application',
+            label: text('message.label', 'Credit application - {name}', { name: business }),
+            message,
+            payload
+        };
+        
+        if (channel === 'whatsapp') {
+            // Offline: kept in the outbox until it can be sent
+            const result = await Outbox.submit(entry);
+            finish(result === 'whatsapp' ? text('readyWhatsApp', 'Application ready in WhatsApp - tap send to submit') : null);
+            return;
+        }
+        
+        if (channel === 'email') {
+            const subject = text('message.emailSubject', 'Credit Application - {name}', { name: business });
+            window.location.href = CONFIG.getEmailLink(subject, message.replace(/\*/g, ''));
+            finish(text('readyEmail', 'Application ready in your email app - tap send to submit'));
+            return;
+        }
+        
+        state.submitting = true;
+        
+        try {
+            // Failed or offline sends stay in the outbox and retry with backoff
+            const result = await Outbox.submit({ ...entry, endpoint: CONFIG.creditApplication.endpoint });
+            
+            if (result === 'failed') {
+                throw new Error('Endpoint unreachable');
+            }
+            
+            finish(result === 'sent' ? text('submitted', 'Application submitted - we will call you within 2 working days') : null);
+        } catch (error) {
+            Utils.logError('Credit application submission failed', error);
+            KelahApp.showNotification(text('failed', 'Could not submit online - please send via WhatsApp instead'), 'error');
+        } finally {
+            state.submitting = false;
+        }
+    }
+    
+    /**
+     * Clear draft, close modal and confirm
+     * 
+     * @param {string|null} message - Confirmation text (null when the outbox already said it was saved)
+     */
+    function finish(message) {
+        discardDraft();
+        Modal.close();
+        if (message) KelahApp.showNotification(message, 'success');
+    }
+    
+    /**
+     * Handle navigation, edit and submit buttons
+     */
+    function handleClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        switch (button.dataset.action) {
+            case 'next':
+                next();
+                break;
+            case 'back':
+                back();
+                break;
+            case 'edit':
+                showStep(Number(button.dataset.step));
+                break;
+            case 'discard':
+                discardDraft();
+                break;
+            case 'submit':
+                submit(button.dataset.channel);
+                break;
+        }
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        open
+    };
+
+})();
+
+// Make CreditApplication globally available
+window.CreditApplication = CreditApplication;
\ No newline at end of file
@@ -0,0 +1,621 @@
+/**
+ * Crop Input Planner
+ * 
+ * Purpose: Work out fertilizer, seed and spray quantities for a crop and acreage
+ * Responsibilities:
+ * - Load agronomy tables per crop and season from data/crop-plans.json
+ * - Scale per-acre rates to the farm, with a dated planting and spraying schedule
+ * - Shopping list in the cheapest catalog packs, with a retail estimate
+ * - Add the list to the cart or send it as a WhatsApp order
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const CropPlanner = (function() {
+    
+    /**
+     * A season's planting date still counts as "this season" until this many days after it
+     */
+    const LATE_PLANTING_DAYS = 28;
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Agronomy tables: { disclaimer, categories, seasons, crops }
+     */
+    let tables = null;
+    
+    /**
+     * Tables loading promise
+     */
+    let loading = null;
+    
+    /**
+     * Plan on screen - from buildPlan()
+     */
+    let current = null;
+    
+    /**
+     * Initialize crop input planner
+     */
+    function init() {
+        DOM = {
+            modal: Utils.getElement('#cropPlanModal'),
+            form: Utils.getElement('#cropPlanForm'),
+            crop: Utils.getElement('#cropPlanCrop'),
+            season: Utils.getElement('#cropPlanSeason'),
+            result: Utils.getElement('#cropPlanResult')
+        };
+        
+        if (!DOM.modal || !DOM.form) return;
+        
+        loading = loadTables();
+        
+        // Triggers are rendered with the catalog listing
+        document.addEventListener('click', e => {
+            const trigger = e.target.closest('[data-crop-plan-open]');
+            if (!trigger) return;
+            
+            e.preventDefault();
+            open();
+        });
+        
+        DOM.form.addEventListener('submit', handleSubmit);
+        DOM.result.addEventListener('click', handleResultClick);
+        
+        // A new season moves the planting date to that season
+        DOM.season.addEventListener('change', () => {
+            DOM.form.elements.plantingDate.value = getPlantingDate(DOM.season.value);
+        });
+        
+        // Dates and the WhatsApp message are in the visitor's language
+        I18n.onChange(() => {
+            if (current && !DOM.modal.hidden) renderPlan();
+        });
+    }
+    
+    /**
+     * Fetch the agronomy tables
+     * 
+     * @returns {Promise<boolean>} True if loaded
+     */
+    async function loadTables() {
+        try {
+            tables = await Utils.fetchJSON(CONFIG.cropPlanner.dataUrl);
+            return true;
+        } catch (error) {
+            Utils.logError('Crop plans failed to load', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Resolves once the tables have loaded
+     * 
+     * @returns {Promise<boolean>} True if the planner is available
+     */
+    function ready() {
+        return loading || Promise.resolve(false);
+    }
+    
+    /**
+     * Whether a catalog category links to the planner
+     * 
+     * @param {string} categoryId - Catalog category
+     * @returns {boolean}
+     */
+    function covers(categoryId) {
+        return Boolean(tables && tables.categories.includes(categoryId));
+    }
+    
+    /**
+     * Open the planner with the last plan's details
+     */
+    async function open() {
+        if (!await ready()) {
+            KelahApp.showNotification(text('unavailable', 'The crop planner is unavailable right now - please call or WhatsApp us.'), 'error');
+            return;
+        }
+        
+        const saved = Utils.loadFromStorage(CONFIG.cropPlanner.storageKey, {});
+        const elements = DOM.form.elements;
+        
+        DOM.crop.innerHTML = tables.crops.map(crop => `
+            <option value="${Utils.escapeHTML(crop.id)}">${Utils.escapeHTML(crop.name)}</option>
+        `).join('');
+        
+        DOM.season.innerHTML = tables.seasons.map(season => `
+            <option value="${Utils.escapeHTML(season.id)}">${Utils.escapeHTML(season.name)}</option>
+        `).join('');
+        
+        elements.acres.max = CONFIG.cropPlanner.maxAcres;
+        if (getCrop(saved.crop)) DOM.crop.value = saved.crop;
+        DOM.season.value = getSeason(saved.season) ? saved.season : getNextSeason().id;
+        if (saved.acres) elements.acres.value = saved.acres;
+        
+        // A saved date from a past season is no use - start from the season again
+        elements.plantingDate.value = getPlantingDate(DOM.season.value);
+        
+        DOM.result.hidden = true;
+        Modal.open(DOM.modal);
+    }
+    
+    // ==========================================
+    // PLAN
+    // ==========================================
+    
+    /**
+     * Quantities, shopping list and schedule for a crop
+     * 
+     * @param {Object} details - { crop, season, acres, plantingDate: 'YYYY-MM-DD' }
+     * @returns {Object|null} { crop, season, acres, plantingDate, note, schedule, list, total, priced }
+     */
+    function buildPlan({ crop: cropId, season: seasonId, acres, plantingDate }) {
+        const crop = getCrop(cropId);
+        const season = getSeason(seasonId);
+        if (!crop || !season || !(acres > 0)) return null;
+        
+        const schedule = [];
+        const needs = new Map();
+        
+        // Same product at several stages is bought together
+        function need(item, amount) {
+            const key = item.sku || item.name;
+            const entry = needs.get(key) || { sku: item.sku || null, name: item.name || '', unit: item.unit, amount: 0 };
+            entry.amount = round(entry.amount + amount);
+            needs.set(key, entry);
+        }
+        
+        crop.inputs.forEach(input => {
+            const rate = typeof input.ratePerAcre === 'number' ? input.ratePerAcre : input.ratePerAcre[season.id] || 0;
+            const amount = round(rate * acres);
+            if (!amount) return;
+            
+            need(input, amount);
+            schedule.push({
+                date: BusinessHours.addDays(plantingDate, input.week * 7),
+                week: input.week,
+                title: input.stage,
+                item: getItemName(input),
+                amount,
+                unit: input.unit,
+                detail: input.timing
+            });
+        });
+        
+        crop.sprays.forEach(spray => {
+            const amount = round(spray.perTank * spray.tanksPerAcre * acres);
+            const tanks = Math.ceil(spray.tanksPerAcre * acres);
+            
+            spray.weeks.forEach(week => {
+                need(spray, amount);
+                schedule.push({
+                    date: BusinessHours.addDays(plantingDate, week * 7),
+                    week,
+                    title: spray.title,
+                    item: getItemName(spray),
+                    amount,
+                    unit: spray.unit,
+                    perTank: spray.perTank,
+                    tanks,
+                    detail: spray.note || ''
+                });
+            });
+        });
+        
+        const list = [...needs.values()].map(entry => {
+            const product = entry.sku ? Catalog.getProduct(entry.sku) : null;
+            const packs = product ? Catalog.choosePacks(entry.amount, Catalog.getPacks(entry.sku, entry.unit)) : null;
+            
+            return Object.assign(entry, {
+                name: product ? product.name : entry.name,
+                packs: packs && packs.items.length ? packs : null
+            });
+        });
+        
+        return {
+            crop,
+            season,
+            acres,
+            plantingDate,
+            note: (crop.seasonNotes && crop.seasonNotes[season.id]) || '',
+            schedule: schedule.sort((a, b) => a.week - b.week),
+            list,
+            total: list.reduce((sum, entry) => sum + (entry.packs ? entry.packs.cost : 0), 0),
+            priced: list.every(entry => entry.packs)
+        };
+    }
+    
+    /**
+     * This year's planting date for a season, or next year's once it is well past
+     * 
+     * @param {string} seasonId - Season id
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    function getPlantingDate(seasonId) {
+        const season = getSeason(seasonId);
+        const today = BusinessHours.now().date;
+        if (!season) return today;
+        
+        const year = Number(today.slice(0, 4));
+        const date = `${year}-${season.plantingDate}`;
+        
+        return BusinessHours.addDays(date, LATE_PLANTING_DAYS) < today ? `${year + 1}-${season.plantingDate}` : date;
+    }
+    
+    /**
+     * Season planted next (or planted within the last few weeks)
+     * 
+     * @returns {Object}
+     */
+    function getNextSeason() {
+        return tables.seasons.reduce((next, season) => (getPlantingDate(season.id) < getPlantingDate(next.id) ? season : next));
+    }
+    
+    /**
+     * Crop by id
+     * 
+     * @param {string} id - Crop id
+     * @returns {Object|undefined}
+     */
+    function getCrop(id) {
+        return tables.crops.find(crop => crop.id === id);
+    }
+    
+    /**
+     * Season by id
+     * 
+     * @param {string} id - Season id
+     * @returns {Object|undefined}
+     */
+    function getSeason(id) {
+        return tables.seasons.find(season => season.id === id);
+    }
+    
+    /**
+     * Catalog name for a table row, or the row's own name when we don't list it
+     * 
+     * @param {Object} item - Input or spray row
+     * @returns {string}
+     */
+    function getItemName(item) {
+        const product = item.sku ? Catalog.getProduct(item.sku) : null;
+        return product ? product.name : item.name;
+    }
+    
+    /**
+     * Drop floating point noise from scaled rates
+     * 
+     * @param {number} amount
+     * @returns {number}
+     */
+    function round(amount) {
+        return Math.round(amount * 1000) / 1000;
+    }
+    
+    // ==========================================
+    // FORMATTING
+    // ==========================================
+    
+    /**
+     * Quantity in a readable unit, e.g. '125 kg', '50 g', '1.6 L'
+     * 
+     * @param {number} amount - Amount in the table's unit
+     * @param {string} unit - 'kg' or 'ml'
+     * @returns {string}
+     */
+    function formatQuantity(amount, unit) {
+        const locale = I18n.getLocale();
+        
+        if (unit === 'kg' && amount < 1) return `${Math.round(amount * 1000).toLocaleString(locale)} g`;
+        if (unit === 'ml' && amount >= 1000) return `${round(amount / 1000).toLocaleString(locale)} L`;
+        return `${amount.toLocaleString(locale)} ${unit}`;
+    }
+    
+    /**
+     * Packs to buy, e.g. '2 x 50 kg + 3 x 10 kg'
+     * 
+     * @param {Object} entry - Shopping list entry
+     * @returns {string}
+     */
+    function describePacks(entry) {
+        return entry.packs.items.map(item => `${item.count} x ${item.size}`).join(' + ');
+    }
+    
+    /**
+     * Short date, e.g. 'Sun 15 Mar 2027'
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @returns {string}
+     */
+    function formatDay(key) {
+        return BusinessHours.formatDate(key, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+    }
+    
+    /**
+     * Week label relative to planting, e.g. 'Planting', 'Week 6', '5 weeks before'
+     * 
+     * @param {number} week - Weeks after planting
+     * @returns {string}
+     */
+    function formatWeek(week) {
+        if (week === 0) return text('planting', 'Planting');
+        if (week === -1) return text('weekBefore', '1 week before');
+        if (week < 0) return text('weeksBefore', '{count} weeks before', { count: -week });
+        return text('week', 'Week {week}', { week });
+    }
+    
+    /**
+     * How to apply a step, e.g. '50 ml per 20 L knapsack, about 3 knapsacks · Spray in the evening'
+     * 
+     * @param {Object} step - Schedule step from buildPlan()
+     * @returns {string}
+     */
+    function describeStep(step) {
+        if (!step.perTank) return step.detail;
+        
+        const params = { amount: formatQuantity(step.perTank, step.unit), count: step.tanks };
+        const knapsacks = step.tanks === 1
+            ? text('knapsackOne', '{amount} per 20 L knapsack, about 1 knapsack', params)
+            : text('knapsacks', '{amount} per 20 L knapsack, about {count} knapsacks', params);
+        
+        return [knapsacks, step.detail].filter(Boolean).join(' · ');
+    }
+    
+    /**
+     * Heading for the plan, e.g. 'Maize - 2.5 acres, short rains, planting Thu 15 Oct 2026'
+     * 
+     * @returns {string}
+     */
+    function describeFarm() {
+        return text('farm', '{crop} - {acres} acres, {season}, planting {date}', {
+            crop: current.crop.name,
+            acres: current.acres.toLocaleString(I18n.getLocale()),
+            season: current.season.name,
+            date: formatDay(current.plantingDate)
+        });
+    }
+    
+    /**
+     * Text in the visitor's language
+     * 
+     * @param {string} key - Key under cropPlan., e.g. 'week'
+     * @param {string} fallback - English, used until the dictionary loads
+     * @param {Object} params - Placeholder values
+     * @returns {string}
+     */
+    function text(key, fallback, params = {}) {
+        return I18n.t(`cropPlan.${key}`, params, fallback);
+    }
+    
+    // ==========================================
+    // FORM
+    // ==========================================
+    
+    /**
+     * Validate and show the plan
+     */
+    async function handleSubmit(e) {
+        e.preventDefault();
+        
+        if (!DOM.form.checkValidity()) {
+            DOM.form.reportValidity();
+            return;
+        }
+        
+        const elements = DOM.form.elements;
+        const details = {
+            crop: elements.crop.value,
+            season: elements.season.value,
+            acres: Number(elements.acres.value),
+            plantingDate: elements.plantingDate.value
+        };
+        
+        // Pack sizes and prices come from the catalog
+        await Catalog.ready();
+        
+        current = buildPlan(details);
+        if (!current) return;
+        
+        Utils.saveToStorage(CONFIG.cropPlanner.storageKey, {
+            crop: details.crop,
+            season: details.season,
+            acres: details.acres
+        });
+        
+        renderPlan();
+        DOM.result.querySelector('[data-plan-title]').focus();
+        
+        Analytics.track('crop_plan', { crop: details.crop, season: details.season, acres: details.acres });
+    }
+    
+    // ==========================================
+    // RENDERING
+    // ==========================================
+    
+    /**
+     * Render the shopping list, schedule and order buttons
+     */
+    function renderPlan() {
+        const rows = current.list.map(entry => `
+            <tr>
+                <td>
+                    ${Utils.escapeHTML(entry.name)}
+                    <span class="crop-plan__amount">${Utils.escapeHTML(formatQuantity(entry.amount, entry.unit))}</span>
+                </td>
+                <td>${Utils.escapeHTML(entry.packs ? describePacks(entry) : text('askUs', 'Ask us'))}</td>
+                <td class="crop-plan__price">${entry.packs ? Utils.formatCurrency(entry.packs.cost) : '-'}</td>
+            </tr>
+        `).join('');
+        
+        const steps = current.schedule.map(step => `
+            <li class="crop-plan__step">
+                <p class="crop-plan__date">
+                    ${Utils.escapeHTML(formatDay(step.date))}
+                    <span class="crop-plan__week">${Utils.escapeHTML(formatWeek(step.week))}</span>
+                </p>
+                <p class="crop-plan__task">${Utils.escapeHTML(step.title)}: ${Utils.escapeHTML(step.item)}, ${Utils.escapeHTML(formatQuantity(step.amount, step.unit))}</p>
+                <p class="crop-plan__detail">${Utils.escapeHTML(describeStep(step))}</p>
+            </li>
+        `).join('');
+        
+        const inCart = current.list.some(entry => entry.packs);
+        
+        DOM.result.innerHTML = `
+            <h3 class="crop-plan__title" tabindex="-1" data-plan-title>${Utils.escapeHTML(describeFarm())}</h3>
+            ${current.note ? `<p class="crop-plan__note">${Utils.escapeHTML(current.note)}</p>` : ''}
+            
+            <h4 class="crop-plan__heading">${Utils.escapeHTML(text('shoppingList', 'Shopping list'))}</h4>
+            <table class="crop-plan__list">
+                <thead>
+                    <tr>
+                        <th scope="col">${Utils.escapeHTML(text('table.item', 'Item'))}</th>
+                        <th scope="col">${Utils.escapeHTML(text('table.packs', 'Packs'))}</th>
+                        <th scope="col">${Utils.escapeHTML(text('table.price', 'Price'))}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr>
+                        <th scope="row" colspan="2">${Utils.escapeHTML(current.priced
+                            ? text('total', 'Estimated total (retail)')
+                            : text('totalUnpriced', 'Estimated total (retail), plus items we price for you'))}</th>
+                        <td class="crop-plan__price">${Utils.formatCurrency(current.total)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+            
+            <h4 class="crop-plan__heading">${Utils.escapeHTML(text('schedule', 'Schedule'))}</h4>
+            <ol class="crop-plan__schedule">${steps}</ol>
+            
+            <div class="crop-plan__actions">
+                ${inCart ? `<button type="button" class="btn btn--primary" data-action="cart">${Utils.escapeHTML(text('addToCart', '🛒 Add to cart'))}</button>` : ''}
+                <button type="button" class="btn btn--whatsapp" data-action="whatsapp">${Utils.escapeHTML(text('order', '💬 Order on WhatsApp'))}</button>
+            </div>
+            <p class="crop-plan__disclaimer">${Utils.escapeHTML(tables.disclaimer)}</p>
+        `;
+        
+        DOM.result.hidden = false;
+    }
+    
+    // ==========================================
+    // ORDER
+    // ==========================================
+    
+    /**
+     * Shopping list as a WhatsApp order
+     * 
+     * @returns {string} Message text
+     */
+    function buildMessage() {
+        const lines = current.list.map(entry => entry.packs
+            ? `• ${entry.name}: ${describePacks(entry)} (${formatQuantity(entry.amount, entry.unit)}) - ${Utils.formatCurrency(entry.packs.cost)}`
+            : `• ${entry.name}: ${formatQuantity(entry.amount, entry.unit)} - ${text('askPrice', 'please quote')}`
+        );
+        
+        return [
+            `*${text('title', 'Crop Inputs Order - {business.name}')}*`,
+            describeFarm(),
+            '',
+            `*${text('items', 'Items')}:*`,
+            ...lines,
+            '',
+            `*${text('total', 'Estimated total (retail)')}:* ${Utils.formatCurrency(current.total)}`,
+            text('confirm', 'Please confirm stock, price and delivery.')
+        ].join('\n');
+    }
+    
+    /**
+     * Put the catalog packs in the cart
+     */
+    function addToCart() {
+        const added = [];
+        
+        current.list.filter(entry => entry.packs).forEach(entry => {
+            entry.packs.items.forEach(item => {
+                if (Cart.add(entry.sku, item.size, item.count)) added.push(item);
+            });
+        });
+        
+        if (!added.length) return;
+        
+        const missing = current.list.filter(entry => !entry.packs).map(entry => entry.name);
+        KelahApp.showNotification(
+            missing.length
+                ? text('addedAsk', 'Added to cart - ask us for {items}', { items: missing.join(', ') })
+                : text('added', 'Added your crop inputs to cart'),
+            'success'
+        );
+        
+        Modal.close();
+        Cart.open();
+    }
+    
+    /**
+     * Send the whole list (including items we price by hand) on WhatsApp
+     */
+    async function sendOrder() {
+        const result = await Outbox.submit({
+            type: 'crop-plan',
+            label: text('label', 'Crop inputs: {crop}, {acres} acres', { crop: current.crop.name, acres: current.acres }),
+            message: buildMessage(),
+            payload: {
+                crop: current.crop.id,
+                season: current.season.id,
+                acres: current.acres,
+                plantingDate: current.plantingDate,
+                items: current.list.map(entry => ({
+                    sku: entry.sku,
+                    name: entry.name,
+                    amount: entry.amount,
+                    unit: entry.unit,
+                    packs: entry.packs ? entry.packs.items : [],
+                    price: entry.packs ? entry.packs.cost : null
+                })),
+                total: current.total
+            }
+        });
+        
+        if (result === 'whatsapp') {
+            KelahApp.showNotification(text('ready', 'Order ready in WhatsApp - tap send and we will confirm stock and delivery'), 'success');
+        }
+    }
+    
+    /**
+     * Order buttons
+     */
+    function handleResultClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button || !current) return;
+        
+        const action = button.dataset.action;
+        
+        Analytics.track('crop_plan_order', {
+            channel: action,
+            crop: current.crop.id,
+            acres: current.acres,
+            value: current.total
+        });
+        
+        if (action === 'cart') addToCart();
+        if (action === 'whatsapp') sendOrder();
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        ready,
+        open,
+        covers,
+        buildPlan
+    };
+
+})();
+
+// Make CropPlanner globally available
+window.CropPlanner = CropPlanner;
\ No newline at end of file
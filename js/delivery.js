@@ -0,0 +1,416 @@
+/**
+ * Delivery Estimator
+ * 
+ * Purpose: Tell customers what delivery costs and how long it takes before they order
+ * Responsibilities:
+ * - Load the zone table from data/delivery-zones.json
+ *   (zone -> towns, fee, delivery days, minimum order, free-delivery threshold)
+ * - Town autocomplete on every [data-delivery-town] input (estimator and cart)
+ * - "Check delivery" modal with the fee, delivery time and cart thresholds
+ * - estimate() for the cart drawer and the WhatsApp order message
+ * 
+ * Towns not in the table get no price - customers are asked to check on WhatsApp.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Delivery = (function() {
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Delivery zones and a flat town list for lookups
+     * towns: [{ name, key, zone }]
+     */
+    const state = {
+        zones: [],
+        towns: [],
+        town: ''
+    };
+    
+    /**
+     * Zone table loading promise
+     */
+    let loading = null;
+    
+    /**
+     * Initialize delivery estimator
+     */
+    function init() {
+        DOM = {
+            modal: Utils.getElement('#deliveryModal'),
+            form: Utils.getElement('#deliveryForm'),
+            input: Utils.getElement('#deliveryTown'),
+            result: Utils.getElement('#deliveryResult'),
+            triggers: Utils.getElements('[data-delivery-open]')
+        };
+        
+        state.town = Utils.loadFromStorage(CONFIG.delivery.storageKey, '');
+        loading = loadZones();
+        
+        Utils.getElements('[data-delivery-town]').forEach(initAutocomplete);
+        
+        if (!DOM.modal || !DOM.form) return;
+        
+        DOM.triggers.forEach(trigger => trigger.addEventListener('click', open));
+        DOM.form.addEventListener('submit', e => {
+            e.preventDefault();
+            check(DOM.input.value);
+        });
+        DOM.input.addEventListener('change', () => check(DOM.input.value));
+        
+        // Result text is in the visitor's language
+        I18n.onChange(() => {
+            if (!DOM.result.hidden) renderResult(DOM.input.value);
+        });
+    }
+    
+    /**
+     * Resolves once the zone table has loaded
+     * 
+     * @returns {Promise<boolean>} True if zones are available
+     */
+    function ready() {
+        return loading || Promise.resolve(false);
+    }
+    
+    /**
+     * Fetch zone table and index the towns
+     * 
+     * @returns {Promise<boolean>}
+     */
+    async function loadZones() {
+        try {
+            const data = await Utils.fetchJSON(CONFIG.delivery.zonesUrl);
+            
+            state.zones = data.zones || [];
+            state.towns = state.zones.flatMap(zone => zone.towns.map(name => ({
+                name,
+                key: Utils.normalizeText(name),
+                zone
+            })));
+            
+            return true;
+        } catch (error) {
+            Utils.logError('Delivery zones failed to load', error);
+            return false;
+        }
+    }
+    
+    // ==========================================
+    // ESTIMATES
+    // ==========================================
+    
+    /**
+     * Find a town in the zone table (case and punctuation don't matter)
+     * 
+     * @param {string} town - Town as typed
+     * @returns {Object|null} { name, key, zone }
+     */
+    function findTown(town) {
+        const key = Utils.normalizeText(town);
+        return key ? state.towns.find(entry => entry.key === key) || null : null;
+    }
+    
+    /**
+     * Delivery cost for a town and order value
+     * 
+     * @param {string} town - Delivery town
+     * @param {number} subtotal - Order value in KES (0 if not known yet)
+     * @returns {Object|null} { town, zone, fee, free, belowMinimum, toFree } - null for unknown towns
+     */
+    function estimate(town, subtotal = 0) {
+        const match = findTown(town);
+        if (!match) return null;
+        
+        const { zone } = match;
+        const free = zone.freeOver != null && subtotal > 0 && subtotal >= zone.freeOver;
+        
+        return {
+            town: match.name,
+            zone,
+            fee: free ? 0 : zone.fee,
+            free,
+            belowMinimum: subtotal > 0 && subtotal < (zone.minimumOrder || 0),
+            toFree: zone.freeOver != null && !free ? zone.freeOver - subtotal : 0
+        };
+    }
+    
+    /**
+     * Delivery time as text, e.g. "Same day", "1-2 days"
+     * 
+     * @param {Object} zone - Delivery zone
+     * @returns {string}
+     */
+    function formatEta(zone) {
+        const [min, max] = zone.etaDays;
+        
+        if (max === 0) return I18n.t('delivery.etaSameDay');
+        if (max === 1) return I18n.t('delivery.etaNextDay');
+        
+        return I18n.t('delivery.etaDays', { days: min === max ? max : `${min}-${max}` });
+    }
+    
+    /**
+     * Fee as text ("Free" when the order qualifies)
+     * 
+     * @param {Object} result - From estimate()
+     * @returns {string}
+     */
+    function formatFee(result) {
+        return result.free ? I18n.t('delivery.free') : Utils.formatCurrency(result.fee);
+    }
+    
+    // ==========================================
+    // ESTIMATOR MODAL
+    // ==========================================
+    
+    /**
+     * Open the estimator with the last town checked
+     */
+    function open() {
+        DOM.input.value = state.town;
+        DOM.result.hidden = true;
+        
+        Modal.open(DOM.modal);
+        
+        if (state.town) ready().then(() => renderResult(state.town));
+    }
+    
+    /**
+     * Show the estimate for a town and remember it for the cart
+     * 
+     * @param {string} town - Town as typed or picked
+     */
+    function check(town) {
+        if (!town.trim()) return;
+        
+        const result = estimate(town, Cart.getSubtotal());
+        
+        state.town = result ? result.town : town.trim();
+        Utils.saveToStorage(CONFIG.delivery.storageKey, state.town);
+        
+        renderResult(town);
+        Analytics.track('delivery_estimate', {
+            zone: result ? result.zone.id : 'unknown',
+            town: state.town
+        });
+    }
+    
+    /**
+     * Render the result panel
+     * 
+     * @param {string} town - Town as typed or picked
+     */
+    function renderResult(town) {
+        const subtotal = Cart.getSubtotal();
+        const result = estimate(town, subtotal);
+        
+        DOM.result.hidden = false;
+        
+        if (!result) {
+            DOM.result.innerHTML = `
+                <p class="delivery-result__text">${Utils.escapeHTML(I18n.t('delivery.notFound', { town: town.trim() }))}</p>
+                <a href="${Utils.escapeHTML(CONFIG.getWhatsAppLink(I18n.t('delivery.whatsappUnknown', { town: town.trim() })))}" class="btn btn--whatsapp delivery-result__action" target="_blank" rel="noopener">
+                    ${Utils.escapeHTML(I18n.t('delivery.ask'))}
+                </a>
+            `;
+            return;
+        }
+        
+        const { zone } = result;
+        const rows = [
+            [I18n.t('delivery.fee'), formatFee(result)],
+            [I18n.t('delivery.eta'), formatEta(zone)]
+        ];
+        
+        if (zone.minimumOrder) rows.push([I18n.t('delivery.minimumOrder'), Utils.formatCurrency(zone.minimumOrder)]);
+        if (zone.freeOver != null) rows.push([I18n.t('delivery.freeOver'), Utils.formatCurrency(zone.freeOver)]);
+        
+        const message = I18n.t('delivery.whatsapp', {
+            town: result.town,
+            zone: zone.name,
+            fee: formatFee(result),
+            eta: formatEta(zone)
+        });
+        
+        DOM.result.innerHTML = `
+            <h3 class="delivery-result__title">${Utils.escapeHTML(result.town)} · ${Utils.escapeHTML(zone.name)}</h3>
+            <dl class="delivery-result__rows">
+                ${rows.map(([label, value]) => `
+                    <div class="delivery-result__row">
+                        <dt>${Utils.escapeHTML(label)}</dt>
+                        <dd>${Utils.escapeHTML(value)}</dd>
+                    </div>
+                `).join('')}
+            </dl>
+            ${subtotal > 0 ? `<p class="delivery-result__text">${Utils.escapeHTML(getCartNote(result, subtotal))}</p>` : ''}
+            <a href="${Utils.escapeHTML(CONFIG.getWhatsAppLink(message))}" class="btn btn--whatsapp delivery-result__action" target="_blank" rel="noopener">
+                ${Utils.escapeHTML(I18n.t('delivery.ask'))}
+            </a>
+        `;
+    }
+    
+    /**
+     * How the current cart compares with the zone's thresholds
+     * 
+     * @param {Object} result - From estimate()
+     * @param {number} subtotal - Cart subtotal
+     * @returns {string}
+     */
+    function getCartNote(result, subtotal) {
+        const amount = Utils.formatCurrency(subtotal);
+        
+        if (result.belowMinimum) {
+            return I18n.t('delivery.cartBelowMinimum', { amount, minimum: Utils.formatCurrency(result.zone.minimumOrder) });
+        }
+        
+        if (result.free) return I18n.t('delivery.cartFree', { amount });
+        if (result.toFree > 0) return I18n.t('delivery.cartToFree', { amount, more: Utils.formatCurrency(result.toFree) });
+        
+        return I18n.t('delivery.cartTotal', { amount, total: Utils.formatCurrency(subtotal + result.fee) });
+    }
+    
+    // ==========================================
+    // TOWN AUTOCOMPLETE
+    // ==========================================
+    
+    /**
+     * Combobox behaviour for a town input
+     * Picking a suggestion fills the input and fires "change"
+     * 
+     * @param {HTMLInputElement} input - Input with aria-controls pointing at its listbox
+     */
+    function initAutocomplete(input) {
+        const list = document.getElementById(input.getAttribute('aria-controls'));
+        if (!list) return;
+        
+        let matches = [];
+        let activeIndex = -1;
+        
+        const close = () => {
+            list.hidden = true;
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+        };
+        
+        const setActive = index => {
+            activeIndex = index;
+            
+            list.querySelectorAll('.autocomplete__option').forEach((option, i) => {
+                option.classList.toggle('autocomplete__option--active', i === index);
+                option.setAttribute('aria-selected', String(i === index));
+            });
+            
+            input.setAttribute('aria-activedescendant', `${list.id}-${index}`);
+        };
+        
+        const pick = index => {
+            if (!matches[index]) return;
+            
+            input.value = matches[index].name;
+            close();
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        };
+        
+        input.addEventListener('input', () => {
+            matches = getSuggestions(input.value);
+            activeIndex = -1;
+            
+            if (!matches.length) {
+                close();
+                return;
+            }
+            
+            list.innerHTML = matches.map((entry, index) => `
+                <li class="autocomplete__option" id="${list.id}-${index}" role="option" aria-selected="false" data-index="${index}">
+                    <span class="autocomplete__name">${Utils.escapeHTML(entry.name)}</span>
+                    <span class="autocomplete__meta">${Utils.escapeHTML(entry.zone.name)}</span>
+                </li>
+            `).join('');
+            
+            list.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+            input.removeAttribute('aria-activedescendant');
+        });
+        
+        input.addEventListener('keydown', e => {
+            const count = list.hidden ? 0 : matches.length;
+            
+            switch (e.key) {
+                case 'ArrowDown':
+                    if (!count) return;
+                    e.preventDefault();
+                    setActive((activeIndex + 1) % count);
+                    break;
+                
+                case 'ArrowUp':
+                    if (!count) return;
+                    e.preventDefault();
+                    setActive(activeIndex <= 0 ? count - 1 : activeIndex - 1);
+                    break;
+                
+                case 'Enter':
+                    if (!count || activeIndex < 0) return;
+                    e.preventDefault();
+                    pick(activeIndex);
+                    break;
+                
+                case 'Escape':
+                    if (!count) return;
+                    // Close the list only, not the surrounding modal/drawer
+                    e.stopPropagation();
+                    close();
+                    break;
+            }
+        });
+        
+        // mousedown fires before the input loses focus
+        list.addEventListener('mousedown', e => {
+            const option = e.target.closest('.autocomplete__option');
+            if (!option) return;
+            
+            e.preventDefault();
+            pick(Number(option.dataset.index));
+        });
+        
+        input.addEventListener('blur', close);
+    }
+    
+    /**
+     * Towns starting with the typed text first, then towns containing it
+     * 
+     * @param {string} text - Typed text
+     * @returns {Array} Town entries
+     */
+    function getSuggestions(text) {
+        const key = Utils.normalizeText(text);
+        if (!key) return [];
+        
+        const starts = state.towns.filter(entry => entry.key.startsWith(key));
+        const contains = state.towns.filter(entry => !entry.key.startsWith(key) && entry.key.includes(key));
+        
+        return [...starts, ...contains].slice(0, CONFIG.delivery.maxSuggestions);
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        ready,
+        estimate,
+        formatEta,
+        formatFee,
+        open,
+        getTown: () => state.town,
+        getZones: () => state.zones
+    };
+
+})();
+
+// Make Delivery globally available
+window.Delivery = Delivery;
\ No newline at end of file
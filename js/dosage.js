@@ -0,0 +1,442 @@
+/**
+ * Livestock Dosage Calculator
+ * 
+ * Purpose: Answer "how much do I give and how much do I buy?" for vet products
+ * Responsibilities:
+ * - Load the dosing table from data/dosing.json (dose by species, withdrawal periods)
+ * - Estimate weight from a heart-girth measurement (weigh-band tables per species)
+ * - Work out dose per animal, total for the herd and the cheapest packs that cover it
+ * - Show milk, meat and egg withdrawal periods
+ * - Add the packs to the cart so they go out with the WhatsApp order
+ * 
+ * Pack contents are read from the catalog's pack size labels ('100 ml', '1 L',
+ * '1000 doses'), so packs are only listed once - in data/products.json.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Dosage = (function() {
+    
+    /**
+     * Doses per animal are rounded up to this step (default 1)
+     */
+    const ROUNDING = {
+        ml: 0.5
+    };
+    
+    /**
+     * Row labels for withdrawal periods in the dosing table
+     * English fallback for the dosage.withdrawal dictionary keys
+     */
+    const WITHDRAWAL_LABELS = {
+        milk: 'Milk withdrawal',
+        meat: 'Meat withdrawal',
+        eggs: 'Egg withdrawal'
+    };
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Dosing table: { disclaimer, species, products }
+     */
+    let table = null;
+    
+    /**
+     * Table loading promise
+     */
+    let loading = null;
+    
+    /**
+     * Last calculation (for "Add to order")
+     */
+    let current = null;
+    
+    /**
+     * Initialize dosage calculator
+     */
+    function init() {
+        DOM = {
+            modal: Utils.getElement('#dosageModal'),
+            form: Utils.getElement('#dosageForm'),
+            product: Utils.getElement('#dosageProduct'),
+            species: Utils.getElement('#dosageSpecies'),
+            weight: Utils.getElement('#dosageWeight'),
+            girth: Utils.getElement('#dosageGirth'),
+            estimate: Utils.getElement('#dosageEstimate'),
+            result: Utils.getElement('#dosageResult')
+        };
+        
+        if (!DOM.modal || !DOM.form) return;
+        
+        loading = loadTable();
+        
+        // Triggers are rendered with the catalog listing
+        document.addEventListener('click', e => {
+            const trigger = e.target.closest('[data-dosage-open]');
+            if (!trigger) return;
+            
+            e.preventDefault();
+            open(trigger.dataset.dosageOpen);
+        });
+        
+        DOM.form.addEventListener('submit', e => e.preventDefault());
+        DOM.form.addEventListener('input', handleInput);
+        DOM.form.addEventListener('change', handleInput);
+        DOM.result.addEventListener('click', handleResultClick);
+        
+        // The result is built in JavaScript
+        I18n.onChange(() => {
+            if (!DOM.modal.hidden && table) update();
+        });
+    }
+    
+    /**
+     * Fetch the dosing table
+     * 
+     * @returns {Promise<boolean>} True if loaded
+     */
+    async function loadTable() {
+        try {
+            table = await Utils.fetchJSON(CONFIG.dosage.dataUrl);
+            return true;
+        } catch (error) {
+            Utils.logError('Dosing table failed to load', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Resolves once the dosing table has loaded
+     * 
+     * @returns {Promise<boolean>} True if the calculator is available
+     */
+    function ready() {
+        return loading || Promise.resolve(false);
+    }
+    
+    /**
+     * Dosed products that are in the catalog
+     * 
+     * @param {string} categoryId - Limit to a catalog category (optional)
+     * @returns {Array<Object>} Dosing entries
+     */
+    function getProducts(categoryId) {
+        if (!table) return [];
+        
+        return table.products.filter(entry => {
+            const product = Catalog.getProduct(entry.sku);
+            return product && (!categoryId || product.category === categoryId);
+        });
+    }
+    
+    /**
+     * Open the calculator
+     * 
+     * @param {string} sku - Product to preselect (optional)
+     */
+    async function open(sku) {
+        if (!await ready()) {
+            KelahApp.showNotification(text('unavailable', 'The dosage calculator is unavailable right now - please call or WhatsApp us.'), 'error');
+            return;
+        }
+        
+        const products = getProducts();
+        
+        DOM.product.innerHTML = products.map(entry => `
+            <option value="${Utils.escapeHTML(entry.sku)}">${Utils.escapeHTML(Catalog.getProduct(entry.sku).name)}</option>
+        `).join('');
+        
+        if (products.some(entry => entry.sku === sku)) DOM.product.value = sku;
+        
+        renderSpecies();
+        update();
+        Modal.open(DOM.modal);
+    }
+    
+    // ==========================================
+    // CALCULATION
+    // ==========================================
+    
+    /**
+     * Estimate live weight from heart girth
+     * Interpolates the species' weigh-band table; null outside it
+     * 
+     * @param {string} speciesId - Species id
+     * @param {number} girth - Heart girth in cm
+     * @returns {number|null} Weight in kg
+     */
+    function estimateWeight(speciesId, girth) {
+        const species = getSpecies(speciesId);
+        const bands = species && species.girth;
+        if (!bands || !(girth >= bands[0][0]) || girth > bands[bands.length - 1][0]) return null;
+        
+        const upper = bands.findIndex(([cm]) => cm >= girth);
+        if (upper === 0) return bands[0][1];
+        
+        const [cm1, kg1] = bands[upper - 1];
+        const [cm2, kg2] = bands[upper];
+        
+        return Math.round(kg1 + (kg2 - kg1) * (girth - cm1) / (cm2 - cm1));
+    }
+    
+    /**
+     * Dose, total and packs for a group of animals
+     * 
+     * @param {Object} input - { sku, species, weight, count }
+     * @returns {Object|null} { entry, dose, product, species, weight, count, perAnimal, total, packs }
+     */
+    function calculate(input) {
+        const entry = table && table.products.find(item => item.sku === input.sku);
+        const dose = entry && entry.doses[input.species];
+        const product = entry && Catalog.getProduct(entry.sku);
+        
+        if (!dose || !product) return null;
+        
+        // Weight-based doses need a weight; per-head doses don't
+        const count = Math.floor(input.count);
+        if (!(count >= 1) || count > CONFIG.dosage.maxAnimals) return null;
+        if (dose.perKg && !(input.weight > 0)) return null;
+        
+        const step = ROUNDING[entry.unit] || 1;
+        const exact = dose.perKg ? dose.amount * input.weight / dose.perKg : dose.amount;
+        const perAnimal = Math.ceil(exact / step) * step;
+        const total = perAnimal * count;
+        
+        return {
+            entry,
+            dose,
+            product,
+            species: input.species,
+            weight: dose.perKg ? input.weight : null,
+            count,
+            perAnimal,
+            total,
+            packs: Catalog.choosePacks(total, Catalog.getPacks(product.sku, entry.unit))
+        };
+    }
+    
+    // ==========================================
+    // FORM
+    // ==========================================
+    
+    /**
+     * Species entry by id
+     * 
+     * @param {string} id - Species id
+     * @returns {Object|null}
+     */
+    function getSpecies(id) {
+        return table.species.find(species => species.id === id) || null;
+    }
+    
+    /**
+     * Values from the form
+     * 
+     * @returns {Object} { sku, species, weight, count }
+     */
+    function readForm() {
+        const elements = DOM.form.elements;
+        
+        return {
+            sku: elements.product.value,
+            species: elements.species.value,
+            weight: Number(elements.weight.value),
+            count: Number(elements.count.value)
+        };
+    }
+    
+    /**
+     * Recalculate from the form and show the result
+     */
+    function update() {
+        current = calculate(readForm());
+        renderResult(current);
+    }
+    
+    /**
+     * Species the selected product is dosed for; weight fields only for weight-based doses
+     */
+    function renderSpecies() {
+        const entry = table.products.find(item => item.sku === DOM.product.value);
+        const ids = entry ? Object.keys(entry.doses) : [];
+        const selected = DOM.species.value;
+        
+        DOM.species.innerHTML = ids.map(id => {
+            const species = getSpecies(id);
+            return `<option value="${Utils.escapeHTML(id)}">${Utils.escapeHTML(species ? species.name : id)}</option>`;
+        }).join('');
+        
+        if (ids.includes(selected)) DOM.species.value = selected;
+        
+        renderWeightFields();
+    }
+    
+    /**
+     * Show weight (and heart girth, where there's a weigh-band table) as needed
+     */
+    function renderWeightFields() {
+        const entry = table.products.find(item => item.sku === DOM.product.value);
+        const dose = entry && entry.doses[DOM.species.value];
+        const species = getSpecies(DOM.species.value);
+        
+        DOM.weight.hidden = !(dose && dose.perKg);
+        DOM.girth.hidden = !(species && species.girth);
+    }
+    
+    /**
+     * Recalculate as the form changes
+     */
+    function handleInput(e) {
+        const name = e.target.name;
+        
+        if (name === 'product') renderSpecies();
+        if (name === 'species') renderWeightFields();
+        
+        // Heart girth fills in the weight
+        if (name === 'girth') {
+            const weight = estimateWeight(DOM.species.value, Number(e.target.value));
+            DOM.form.elements.weight.value = weight || '';
+            DOM.estimate.textContent = !e.target.value ? ''
+                : weight ? text('about', 'About {weight} kg', { weight: weight.toLocaleString(I18n.getLocale()) })
+                : text('outsideBands', 'Outside the weigh-band table - weigh the animal or ask us.');
+        }
+        
+        if (name === 'weight' || name === 'species') {
+            DOM.form.elements.girth.value = '';
+            DOM.estimate.textContent = '';
+        }
+        
+        update();
+    }
+    
+    // ==========================================
+    // RESULT
+    // ==========================================
+    
+    /**
+     * Text in the visitor's language
+     * 
+     * @param {string} key - Key under dosage., e.g. 'perAnimal'
+     * @param {string} fallback - English, used until the dictionary loads
+     * @param {Object} params - Placeholder values
+     * @returns {string}
+     */
+    function text(key, fallback, params = {}) {
+        return I18n.t(`dosage.${key}`, params, fallback);
+    }
+    
+    /**
+     * Amount with its unit, e.g. '32.5 ml'
+     * 
+     * @param {number} amount - Amount
+     * @param {string} unit - 'ml', 'doses'
+     * @returns {string}
+     */
+    function formatAmount(amount, unit) {
+        const name = amount === 1 ? unit.replace(/s$/, '') : unit;
+        return `${amount.toLocaleString(I18n.getLocale())} ${text(`units.${name}`, name)}`;
+    }
+    
+    /**
+     * Withdrawal period text
+     * 
+     * @param {number|null} days - Days (null: not allowed)
+     * @returns {string}
+     */
+    function formatWithdrawal(days) {
+        if (days === null) return text('doNotUse', 'Do not use');
+        if (days === 0) return text('none', 'None');
+        return days === 1 ? text('dayOne', '1 day') : text('days', '{days} days', { days });
+    }
+    
+    /**
+     * Render the calculation (hidden until the form is complete)
+     * 
+     * @param {Object|null} calculation - From calculate()
+     */
+    function renderResult(calculation) {
+        DOM.result.hidden = !calculation;
+        if (!calculation) return;
+        
+        const { entry, dose, product, count, perAnimal, total, packs } = calculation;
+        const animals = count === 1
+            ? text('animalOne', '1 animal')
+            : text('animals', '{count} animals', { count: count.toLocaleString(I18n.getLocale()) });
+        const inStock = product.stock !== 'out_of_stock';
+        
+        const packList = packs.items.length
+            ? packs.items.map(item => `${item.count} x ${Utils.escapeHTML(item.size)}`).join(' + ')
+            : Utils.escapeHTML(text('askPacks', 'Ask us for pack sizes'));
+        
+        const withdrawal = Object.keys(dose.withdrawal || {}).map(produce => `
+            <div class="dosage-result__row">
+                <dt>${Utils.escapeHTML(text(`withdrawal.${produce}`, WITHDRAWAL_LABELS[produce] || produce))}</dt>
+                <dd>${Utils.escapeHTML(formatWithdrawal(dose.withdrawal[produce]))}</dd>
+            </div>
+        `).join('');
+        
+        DOM.result.innerHTML = `
+            <dl class="dosage-result__rows">
+                <div class="dosage-result__row">
+                    <dt>${Utils.escapeHTML(text('perAnimal', 'Dose per animal'))}</dt>
+                    <dd>${Utils.escapeHTML(formatAmount(perAnimal, entry.unit))}</dd>
+                </div>
+                <div class="dosage-result__row">
+                    <dt>${Utils.escapeHTML(text('total', 'Total for {animals}', { animals }))}</dt>
+                    <dd>${Utils.escapeHTML(formatAmount(total, entry.unit))}</dd>
+                </div>
+                <div class="dosage-result__row">
+                    <dt>${Utils.escapeHTML(text('packs', 'Packs to buy'))}</dt>
+                    <dd>${packList}${packs.cost ? ` (${Utils.formatCurrency(packs.cost)})` : ''}</dd>
+                </div>
+                ${withdrawal}
+            </dl>
+            ${dose.note ? `<p class="dosage-result__note">${Utils.escapeHTML(dose.note)}</p>` : ''}
+            ${inStock ? '' : `<p class="dosage-result__note dosage-result__note--warning">${Utils.escapeHTML(text('outOfStock', "{product} is out of stock - ask us when it's back.", { product: product.name }))}</p>`}
+            <button type="button" class="btn btn--primary dosage-result__action" data-action="order" ${inStock && packs.items.length ? '' : 'disabled'}>${Utils.escapeHTML(text('order', 'Add packs to order'))}</button>
+            <p class="dosage-result__disclaimer">${Utils.escapeHTML(table.disclaimer)}</p>
+        `;
+    }
+    
+    /**
+     * Add the suggested packs to the cart and show it
+     */
+    function handleResultClick(e) {
+        if (!e.target.closest('[data-action="order"]') || !current) return;
+        
+        const { product, packs } = current;
+        const added = packs.items.filter(item => Cart.add(product.sku, item.size, item.count));
+        if (!added.length) return;
+        
+        const items = added.map(item => `${item.count} x ${product.name} (${item.size})`).join(', ');
+        KelahApp.showNotification(text('added', 'Added {items} to cart', { items }), 'success');
+        Analytics.track('dosage_add_to_order', {
+            sku: product.sku,
+            species: current.species,
+            animals: current.count,
+            packs: added.reduce((sum, item) => sum + item.count, 0)
+        });
+        
+        Modal.close();
+        Cart.open();
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        ready,
+        open,
+        calculate,
+        estimateWeight,
+        getProducts
+    };
+
+})();
+
+// Make Dosage globally available
+window.Dosage = Dosage;
\ No newline at end of file
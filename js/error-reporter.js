@@ -0,0 +1,237 @@
+/**
+ * Error Reporter
+ * 
+ * Purpose: See breakage on real customer devices (often low-end Android phones)
+ * Responsibilities:
+ * - Capture uncaught errors and unhandled promise rejections
+ * - Receive errors logged through Utils.logError()
+ * - Deduplicate and rate-limit reports
+ * - Attach context: current section, page, viewport, user agent
+ * - Batch-send to CONFIG.errorReporting.endpoint, keeping reports while offline
+ * 
+ * Installs itself as soon as the script loads (not from KelahApp.init) so
+ * errors thrown while the other scripts start up are caught too.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const ErrorReporter = (function() {
+    
+    /**
+     * Reporter state
+     */
+    const state = {
+        queue: [],            // Reports waiting to be sent
+        lastSeen: {},         // fingerprint -> time last queued (dedupe)
+        recent: [],           // Times of recent reports (rate limit)
+        dropped: 0,           // Reports skipped by the rate limit since last send
+        sending: false
+    };
+    
+    /**
+     * Start capturing errors
+     */
+    function init() {
+        state.queue = restoreQueue();
+        
+        window.addEventListener('error', handleError);
+        window.addEventListener('unhandledrejection', handleRejection);
+        
+        // Retry as soon as the connection comes back
+        window.addEventListener('online', flush);
+        
+        // Keep unsent reports for the next visit
+        window.addEventListener('pagehide', persistQueue);
+        
+        setInterval(flush, CONFIG.errorReporting.flushInterval);
+    }
+    
+    // ==========================================
+    // CAPTURE
+    // ==========================================
+    
+    /**
+     * Uncaught script errors
+     * Failed image/script loads also fire 'error' but aren't ErrorEvents - ignore them
+     */
+    function handleError(event) {
+        if (!(event instanceof ErrorEvent)) return;
+        
+        report(event.message, event.error, {
+            source: 'onerror',
+            filename: event.filename,
+            line: event.lineno,
+            column: event.colno
+        });
+    }
+    
+    /**
+     * Rejected promises nobody caught
+     */
+    function handleRejection(event) {
+        const reason = event.reason;
+        const message = reason instanceof Error ? reason.message : String(reason);
+        
+        report(`Unhandled rejection: ${message}`, reason instanceof Error ? reason : null, {
+            source: 'unhandledrejection'
+        });
+    }
+    
+    /**
+     * Queue an error report
+     * 
+     * @param {string} message - What went wrong
+     * @param {Error|null} error - Error object, if any
+     * @param {Object} details - { source, filename, line, column }
+     */
+    function report(message, error = null, details = {}) {
+        const stack = error && error.stack ? String(error.stack).slice(0, 2000) : '';
+        const fingerprint = [message, stack.split('\n')[1] || details.filename || '', details.line || ''].join('|');
+        const now = Date.now();
+        
+        // Duplicate still waiting to be sent - just count it
+        const queued = state.queue.find(item => item.fingerprint === fingerprint);
+        if (queued) {
+            queued.count++;
+            return;
+        }
+        
+        // Same error recently sent - skip
+        if (now - (state.lastSeen[fingerprint] || 0) < CONFIG.errorReporting.dedupeWindow) return;
+        
+        // Rate limit: at most maxPerMinute new reports
+        state.recent = state.recent.filter(time => now - time < 60000);
+        if (state.recent.length >= CONFIG.errorReporting.maxPerMinute) {
+            state.dropped++;
+            return;
+        }
+        
+        state.recent.push(now);
+        state.lastSeen[fingerprint] = now;
+        
+        state.queue.push({
+            fingerprint,
+            message: String(message),
+            name: error && error.name ? error.name : 'Error',
+            stack,
+            source: details.source || 'logError',
+            filename: details.filename || '',
+            line: details.line || null,
+            column: details.column || null,
+            count: 1,
+            timestamp: new Date(now).toISOString(),
+            context: getContext()
+        });
+        
+        // Oldest reports go first if the device stays offline for long
+        if (state.queue.length > CONFIG.errorReporting.maxStored) {
+            state.queue.shift();
+        }
+        
+        if (state.queue.length >= CONFIG.errorReporting.batchSize) {
+            flush();
+        }
+    }
+    
+    /**
+     * Where the visitor was and what they were using
+     * 
+     * @returns {Object} Context
+     */
+    function getContext() {
+        // KelahApp may not exist yet if the error happened during startup
+        const appState = window.KelahApp ? KelahApp.getState() : {};
+        
+        return {
+            section: appState.currentSection || null,
+            page: window.location.pathname + window.location.hash,
+            viewport: `${window.innerWidth}x${window.innerHeight}`,
+            userAgent: navigator.userAgent,
+            online: navigator.onLine
+        };
+    }
+    
+    // ==========================================
+    // TRANSPORT
+    // ==========================================
+    
+    /**
+     * Send queued reports to the endpoint
+     * Reports stay queued if sending fails, and are retried later
+     */
+    async function flush() {
+        const endpoint = CONFIG.errorReporting.endpoint;
+        
+        if (!endpoint || state.sending || !state.queue.length || !navigator.onLine) return;
+        
+        const batch = state.queue.slice();
+        const dropped = state.dropped;
+        state.sending = true;
+        
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ errors: batch, dropped }),
+                keepalive: true
+            });
+            
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            
+            state.queue = state.queue.filter(item => !batch.includes(item));
+            state.dropped -= dropped;
+        } catch (error) {
+            // Not Utils.logError - a failing endpoint would report itself forever
+            console.warn('[KELAH] Error reports not sent, will retry', error);
+        } finally {
+            state.sending = false;
+            persistQueue();
+        }
+    }
+    
+    /**
+     * Save unsent reports to localStorage
+     * Uses localStorage directly: Utils.saveToStorage logs failures via logError
+     */
+    function persistQueue() {
+        try {
+            if (state.queue.length) {
+                localStorage.setItem(CONFIG.errorReporting.storageKey, JSON.stringify(state.queue));
+            } else {
+                localStorage.removeItem(CONFIG.errorReporting.storageKey);
+            }
+        } catch (error) {
+            // Storage full or blocked - reports live in memory only
+        }
+    }
+    
+    /**
+     * Load reports saved by a previous visit
+     * 
+     * @returns {Array} Queue
+     */
+    function restoreQueue() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.errorReporting.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        report,
+        flush
+    };
+
+})();
+
+// Start immediately - see note at top of file
+ErrorReporter.init();
+
+// Make ErrorReporter globally available
+window.ErrorReporter = ErrorReporter;
\ No newline at end of file
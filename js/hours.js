@@ -0,0 +1,318 @@
+/**
+ * Business Hours
+ * 
+ * Purpose: Turn CONFIG.business.hours display strings into a usable schedule
+ * Used by: vet booking slots, store status, hours text
+ * 
+ * Dates are handled as 'YYYY-MM-DD' keys and minutes after midnight in the
+ * shop's time zone, so results don't depend on the visitor's device clock zone.
+ */
+
+const BusinessHours = {
+    
+    /**
+     * Which CONFIG.business.hours key applies to each day (0 = Sunday)
+     */
+    DAY_KEYS: ['sunday', 'weekdays', 'weekdays', 'weekdays', 'weekdays', 'weekdays', 'saturday'],
+    
+    /**
+     * Display labels for each CONFIG.business.hours key, in week order
+     */
+    LABELS: {
+        weekdays: { full: 'Monday - Friday', from: 'Mon', to: 'Fri' },
+        saturday: { full: 'Saturday', from: 'Sat', to: 'Sat' },
+        sunday: { full: 'Sunday', from: 'Sun', to: 'Sun' }
+    },
+    
+    /**
+     * Parse a clock time into minutes after midnight
+     * 
+     * @param {string} time - e.g. '8:00 AM', '6 PM', '18:30'
+     * @returns {number|null} Minutes, or null if unreadable
+     */
+    parseTime(time) {
+        const match = String(time).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?$/i);
+        if (!match) return null;
+        
+        let hours = Number(match[1]);
+        const minutes = Number(match[2] || 0);
+        const period = (match[3] || '').toUpperCase();
+        
+        if (period === 'PM' && hours < 12) hours += 12;
+        if (period === 'AM' && hours === 12) hours = 0;
+        
+        if (hours > 23 || minutes > 59) return null;
+        
+        return hours * 60 + minutes;
+    },
+    
+    /**
+     * Parse an opening hours string
+     * 
+     * @param {string} text - e.g. '8:00 AM - 6:00 PM' or 'Closed'
+     * @returns {Object|null} { open, close } in minutes, or null when closed
+     */
+    parseRange(text) {
+        const parts = String(text || '').split(/\s*[-–]\s*/);
+        if (parts.length !== 2) return null;
+        
+        const open = this.parseTime(parts[0]);
+        const close = this.parseTime(parts[1]);
+        
+        if (open === null || close === null || close <= open) return null;
+        
+        return { open, close };
+    },
+    
+    /**
+     * Weekly schedule from CONFIG
+     * 
+     * @param {Object} hours - Hours shaped like CONFIG.business.hours (defaults to the selected branch's)
+     * @returns {Array} Seven entries (Sunday first) of { open, close } or null
+     */
+    getWeeklySchedule(hours = CONFIG.business.hours) {
+        return this.DAY_KEYS.map(key => this.parseRange(hours[key]));
+    },
+    
+    /**
+     * Format minutes after midnight as a clock time
+     * 
+     * @param {number} minutes - Minutes after midnight
+     * @returns {string} e.g. '8:00 AM'
+     */
+    formatTime(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        const period = hours >= 12 ? 'PM' : 'AM';
+        const displayHours = hours % 12 || 12;
+        
+        return `${displayHours}:${String(mins).padStart(2, '0')} ${period}`;
+    },
+    
+    /**
+     * Opening hours rows for display, straight from CONFIG
+     * 
+     * @param {boolean} merge - Combine consecutive rows with the same hours
+     * @param {Object} labels - Day labels shaped like LABELS (e.g. translated)
+     * @returns {Array} [{ label, text, open }] e.g. { label: 'Mon-Sat', text: '8:00 AM - 6:00 PM', open: true }
+     */
+    getHoursRows(merge = false, labels = this.LABELS) {
+        const rows = [];
+        
+        Object.keys(this.LABELS).forEach(key => {
+            const text = CONFIG.business.hours[key];
+            const previous = rows[rows.length - 1];
+            
+            if (merge && previous && previous.text === text) {
+                previous.labels.push(labels[key]);
+            } else {
+                rows.push({ text, labels: [labels[key]] });
+            }
+        });
+        
+        return rows.map(({ text, labels }) => {
+            const first = labels[0];
+            const last = labels[labels.length - 1];
+            
+            return {
+                label: labels.length === 1 ? first.full : `${first.from}-${last.to}`,
+                text,
+                open: this.parseRange(text) !== null
+            };
+        });
+    },
+    
+    // ==========================================
+    // DATES
+    // ==========================================
+    
+    /**
+     * Build a UTC-midnight Date for a date key
+     * UTC is used purely as a zone-free calendar - no offsets applied
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @returns {Date}
+     */
+    fromKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day));
+    },
+    
+    /**
+     * Date key for a calendar Date built by fromKey()
+     * 
+     * @param {Date} date - Calendar date
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    toKey(date) {
+        return date.toISOString().slice(0, 10);
+    },
+    
+    /**
+     * Add days to a date key
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} New date key
+     */
+    addDays(key, days) {
+        const date = this.fromKey(key);
+        date.setUTCDate(date.getUTCDate() + days);
+        return this.toKey(date);
+    },
+    
+    /**
+     * Day of week for a date key
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @returns {number} 0 = Sunday
+     */
+    dayOfWeek(key) {
+        return this.fromKey(key).getUTCDay();
+    },
+    
+    /**
+     * Current date and time at the shop
+     * 
+     * @param {Date} now - Defaults to current time
+     * @returns {Object} { date: 'YYYY-MM-DD', day, minutes }
+     */
+    now(now = new Date()) {
+        const shifted = new Date(now.getTime() + CONFIG.business.utcOffsetMinutes * 60000);
+        
+        return {
+            date: this.toKey(shifted),
+            day: shifted.getUTCDay(),
+            minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+        };
+    },
+    
+    /**
+     * Convert shop-local date + minutes to a real instant
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @param {number} minutes - Minutes after midnight (shop time)
+     * @returns {Date} Absolute time
+     */
+    toInstant(key, minutes) {
+        const midnight = this.fromKey(key).getTime();
+        return new Date(midnight + (minutes - CONFIG.business.utcOffsetMinutes) * 60000);
+    },
+    
+    /**
+     * Human-readable date in the visitor's language, e.g. 'Tue 20 Oct' / 'Jumanne, 20 Okt'
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string}
+     */
+    formatDate(key, options = { weekday: 'short', day: 'numeric', month: 'short' }) {
+        const locale = window.I18n ? I18n.getLocale() : 'en-KE';
+        return this.fromKey(key).toLocaleDateString(locale, Object.assign({ timeZone: 'UTC' }, options));
+    },
+    
+    // ==========================================
+    // OPENING CHECKS
+    // ==========================================
+    
+    /**
+     * Public holiday on a date
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @returns {Object|null} { date, name } or null
+     */
+    getHoliday(key) {
+        return (CONFIG.business.holidays || []).find(holiday => holiday.date === key) || null;
+    },
+    
+    /**
+     * One-off closure or short day on a date
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @returns {Object|null} { date, name, hours? } or null
+     */
+    getSpecialClosure(key) {
+        return (CONFIG.business.specialClosures || []).find(closure => closure.date === key) || null;
+    },
+    
+    /**
+     * Why the shop keeps unusual hours on a date
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @returns {string|null} Holiday or closure name
+     */
+    getClosureReason(key) {
+        const closure = this.getSpecialClosure(key) || this.getHoliday(key);
+        return closure ? closure.name : null;
+    },
+    
+    /**
+     * Opening hours for a specific date
+     * Special closures win over holidays, holidays over the weekly schedule
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @returns {Object|null} { open, close } or null when closed
+     */
+    getHoursForDate(key) {
+        const closure = this.getSpecialClosure(key);
+        if (closure) return this.parseRange(closure.hours);
+        
+        if (this.getHoliday(key)) return null;
+        return this.getWeeklySchedule()[this.dayOfWeek(key)];
+    },
+    
+    /**
+     * Next opening time after a shop-local moment
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @param {number} minutes - Minutes after midnight
+     * @returns {Object|null} { date, minutes } or null if closed for two weeks
+     */
+    getNextOpening(key, minutes) {
+        for (let offset = 0; offset <= 14; offset++) {
+            const date = this.addDays(key, offset);
+            const hours = this.getHoursForDate(date);
+            
+            if (hours && (offset > 0 || minutes < hours.open)) {
+                return { date, minutes: hours.open };
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Open/closed state at a moment
+     * 
+     * @param {Date} now - Defaults to current time
+     * @returns {Object} { isOpen, closesAt | opensAt, minutesLeft, reason }
+     * closesAt/opensAt are { date, minutes } in shop time; when closed, reason
+     * is only set if the whole day is a holiday or closure
+     */
+    getStatus(now = new Date()) {
+        const current = this.now(now);
+        const hours = this.getHoursForDate(current.date);
+        const reason = this.getClosureReason(current.date);
+        
+        if (hours && current.minutes >= hours.open && current.minutes < hours.close) {
+            return {
+                isOpen: true,
+                closesAt: { date: current.date, minutes: hours.close },
+                minutesLeft: hours.close - current.minutes,
+                reason
+            };
+        }
+        
+        const opensAt = this.getNextOpening(current.date, current.minutes);
+        
+        return {
+            isOpen: false,
+            opensAt,
+            minutesLeft: opensAt ? Math.ceil((this.toInstant(opensAt.date, opensAt.minutes) - now) / 60000) : null,
+            reason: hours ? null : reason
+        };
+    }
+};
+
+// Make BusinessHours globally available
+window.BusinessHours = BusinessHours;
\ No newline at end of file
@@ -0,0 +1,243 @@
+/**
+ * Translations (English / Kiswahili)
+ * 
+ * Purpose: Show the page and WhatsApp messages in the visitor's language
+ * Responsibilities:
+ * - Load dictionaries from data/i18n/{lang}.json
+ * - [data-i18n="hero.title"]                    Text from the dictionary
+ * - [data-i18n-attr="aria-label:header.openCart"] Attributes (comma-separated)
+ * - Header language switch, choice remembered on this device
+ * - Keep <html lang> in step with the chosen language
+ * - t() for text built in JavaScript; onChange() to re-render it
+ * 
+ * English text written in index.html is the fallback until a dictionary loads.
+ * Placeholders: {name} from params, {business.name} style from CONFIG.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const I18n = (function() {
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Loaded dictionaries by language code
+     */
+    const dictionaries = {};
+    
+    /**
+     * Callbacks run after every language change
+     */
+    const listeners = [];
+    
+    /**
+     * Current language code
+     */
+    let language = CONFIG.i18n.defaultLanguage;
+    
+    /**
+     * Initialize translations
+     * 
+     * @returns {Promise} Resolves once the page is translated
+     */
+    async function init() {
+        DOM = {
+            switches: Utils.getElements('[data-language-switch]')
+        };
+        
+        renderSwitches();
+        
+        // English is the fallback for missing keys
+        await load(CONFIG.i18n.defaultLanguage);
+        await setLanguage(getPreferredLanguage(), { save: false });
+    }
+    
+    /**
+     * Stored choice, else the browser's language, else the default
+     * 
+     * @returns {string} Language code
+     */
+    function getPreferredLanguage() {
+        const stored = Utils.loadFromStorage(CONFIG.i18n.storageKey);
+        if (CONFIG.i18n.languages[stored]) return stored;
+        
+        const browser = (navigator.languages || [navigator.language])
+            .map(code => String(code).slice(0, 2).toLowerCase())
+            .find(code => CONFIG.i18n.languages[code]);
+        
+        return browser || CONFIG.i18n.defaultLanguage;
+    }
+    
+    /**
+     * Fetch a dictionary once
+     * 
+     * @param {string} code - Language code
+     * @returns {Promise<boolean>} True if available
+     */
+    async function load(code) {
+        if (dictionaries[code]) return true;
+        
+        try {
+            dictionaries[code] = await Utils.fetchJSON(CONFIG.i18n.dataUrl.replace('{lang}', code));
+            return true;
+        } catch (error) {
+            Utils.logError(`Translations for "${code}" failed to load`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * Switch language and re-translate the page
+     * 
+     * @param {string} code - Language code from CONFIG.i18n.languages
+     * @param {Object} options - { save: false } to skip remembering the choice
+     */
+    async function setLanguage(code, { save = true } = {}) {
+        if (!CONFIG.i18n.languages[code]) return;
+        if (!await load(code)) return;
+        
+        language = code;
+        document.documentElement.lang = code;
+        
+        if (save) Utils.saveToStorage(CONFIG.i18n.storageKey, code);
+        
+        apply(document);
+        updateSwitches();
+        
+        // WhatsApp messages come from the dictionary - rebuild the links
+        Bindings.apply(document);
+        
+        listeners.forEach(listener => listener(code));
+    }
+    
+    // ==========================================
+    // TRANSLATION
+    // ==========================================
+    
+    /**
+     * Translate a key
+     * 
+     * @param {string} key - e.g. 'status.closesIn'
+     * @param {Object} params - Placeholder values, e.g. { time: '2 h' }
+     * @param {string} fallback - Used when no dictionary has the key (defaults to the key)
+     * @returns {string} Translated text
+     */
+    function t(key, params = {}, fallback = key) {
+        const text = lookup(dictionaries[language], key)
+            ?? lookup(dictionaries[CONFIG.i18n.defaultLanguage], key)
+            ?? fallback;
+        
+        return String(text).replace(/\{([\w.]+)\}/g, (match, name) => {
+            if (params[name] !== undefined) return params[name];
+            
+            const value = Bindings.get(name);
+            return value === undefined ? match : value;
+        });
+    }
+    
+    /**
+     * Find a dotted key in a dictionary
+     * 
+     * @param {Object} dictionary - Loaded dictionary
+     * @param {string} key - e.g. 'hero.title'
+     * @returns {string|undefined}
+     */
+    function lookup(dictionary, key) {
+        const value = key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), dictionary);
+        return typeof value === 'string' ? value : undefined;
+    }
+    
+    /**
+     * Translate marked elements inside a root
+     * Elements whose key is missing everywhere keep their current text
+     * 
+     * @param {HTMLElement|Document} root - Where to look
+     */
+    function apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const key = element.dataset.i18n;
+            element.textContent = t(key, {}, element.textContent);
+        });
+        
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                element.setAttribute(attribute, t(key, {}, element.getAttribute(attribute) || ''));
+            });
+        });
+    }
+    
+    // ==========================================
+    // LANGUAGE SWITCH
+    // ==========================================
+    
+    /**
+     * One button per language in every [data-language-switch]
+     */
+    function renderSwitches() {
+        const languages = CONFIG.i18n.languages;
+        
+        DOM.switches.forEach(container => {
+            container.innerHTML = Object.keys(languages).map(code => `
+                <button type="button" class="language-switch__button" data-language="${code}" lang="${code}" title="${Utils.escapeHTML(languages[code].label)}" aria-pressed="false">
+                    ${Utils.escapeHTML(languages[code].short)}
+                </button>
+            `).join('');
+            
+            container.addEventListener('click', handleSwitchClick);
+        });
+        
+        updateSwitches();
+    }
+    
+    /**
+     * Language button pressed
+     */
+    function handleSwitchClick(e) {
+        const button = e.target.closest('[data-language]');
+        if (!button || button.dataset.language === language) return;
+        
+        setLanguage(button.dataset.language);
+        Analytics.track('language_change', { language: button.dataset.language });
+    }
+    
+    /**
+     * Mark the current language's button as pressed
+     */
+    function updateSwitches() {
+        DOM.switches.forEach(container => {
+            container.querySelectorAll('[data-language]').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.language === language));
+            });
+        });
+    }
+    
+    /**
+     * Run a callback whenever the language changes
+     * 
+     * @param {Function} listener - Receives the language code
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        t,
+        apply,
+        setLanguage,
+        onChange,
+        getLanguage: () => language,
+        getLocale: () => CONFIG.i18n.languages[language].locale
+    };
+
+})();
+
+// Make I18n globally available
+window.I18n = I18n;
\ No newline at end of file
@@ -0,0 +1,450 @@
+/**
+ * Gallery Lightbox
+ * 
+ * Purpose: View gallery photos full screen
+ * Responsibilities:
+ * - Open any .gallery__item image in a full-screen viewer
+ * - Previous/next by buttons, arrow keys and swipe
+ * - Pinch, double-tap, wheel and +/- key zoom, drag to pan when zoomed
+ * - Caption from the image's alt text
+ * - Preload the neighbouring photos
+ * 
+ * Focus trap, Escape and backdrop close come from js/modal.js.
+ * 
+ * Markup: add more <div class="gallery__item"><img ...></div> to the
+ * gallery - no JS changes needed. An optional data-full attribute on the
+ * <img> points at a larger version to show in the viewer.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Lightbox = (function() {
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Viewer state
+     */
+    const state = {
+        images: [],           // Gallery <img> elements
+        index: 0,
+        scale: 1,
+        x: 0,                 // Pan offset (px)
+        y: 0,
+        pointers: new Map(),  // pointerId -> { x, y } of fingers/mouse down
+        gesture: null,        // Current swipe/pan/pinch start values
+        dragged: false,       // Last pointer gesture moved (its click doesn't close)
+        pointerType: 'mouse',
+        lastTap: 0
+    };
+    
+    /**
+     * Initialize lightbox
+     */
+    function init() {
+        DOM = {
+            gallery: Utils.getElement('#gallery'),
+            lightbox: Utils.getElement('#lightbox'),
+            stage: Utils.getElement('#lightboxStage'),
+            image: Utils.getElement('#lightboxImage'),
+            caption: Utils.getElement('#lightboxCaption'),
+            counter: Utils.getElement('#lightboxCounter')
+        };
+        
+        if (!DOM.gallery || !DOM.lightbox) return;
+        
+        // Gallery items become keyboard-reachable buttons
+        Utils.getElements('.gallery__item').forEach(item => {
+            const image = item.querySelector('img');
+            if (!image) return;
+            
+            item.setAttribute('role', 'button');
+            item.setAttribute('tabindex', '0');
+            item.setAttribute('aria-label', `View photo: ${image.alt}`);
+        });
+        
+        DOM.gallery.addEventListener('click', handleGalleryClick);
+        DOM.gallery.addEventListener('keydown', handleGalleryKeydown);
+        
+        DOM.lightbox.addEventListener('click', handleLightboxClick);
+        DOM.image.addEventListener('load', () => DOM.lightbox.classList.remove('lightbox--loading'));
+        DOM.image.addEventListener('dblclick', handleDoubleClick);
+        
+        DOM.stage.addEventListener('pointerdown', handlePointerDown);
+        DOM.stage.addEventListener('pointermove', handlePointerMove);
+        DOM.stage.addEventListener('pointerup', handlePointerUp);
+        DOM.stage.addEventListener('pointercancel', handlePointerUp);
+        DOM.stage.addEventListener('wheel', handleWheel, { passive: false });
+    }
+    
+    // ==========================================
+    // OPEN / NAVIGATE
+    // ==========================================
+    
+    /**
+     * Open a gallery item
+     */
+    function handleGalleryClick(e) {
+        const item = e.target.closest('.gallery__item');
+        if (!item || !item.querySelector('img')) return;
+        
+        open(getImages().indexOf(item.querySelector('img')));
+    }
+    
+    /**
+     * Enter/Space opens the focused gallery item
+     */
+    function handleGalleryKeydown(e) {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        if (!e.target.classList.contains('gallery__item')) return;
+        
+        e.preventDefault();
+        handleGalleryClick(e);
+    }
+    
+    /**
+     * Gallery images, read on every open so photos added later are included
+     * 
+     * @returns {Array} <img> elements
+     */
+    function getImages() {
+        return Array.from(DOM.gallery.querySelectorAll('.gallery__item img'));
+    }
+    
+    /**
+     * Open the viewer at an image
+     * 
+     * @param {number} index - Index among the gallery images
+     */
+    function open(index = 0) {
+        state.images = getImages();
+        if (!state.images.length) return;
+        
+        const single = state.images.length < 2;
+        
+        DOM.lightbox.querySelectorAll('[data-lightbox-action="prev"], [data-lightbox-action="next"]')
+            .forEach(button => { button.hidden = single; });
+        DOM.counter.hidden = single;
+        
+        show(index);
+        
+        Modal.open(DOM.lightbox, {
+            onClose: () => document.removeEventListener('keydown', handleKeydown)
+        });
+        document.addEventListener('keydown', handleKeydown);
+    }
+    
+    /**
+     * Show an image, wrapping around at either end
+     * 
+     * @param {number} index - Index in state.images (may be out of range)
+     */
+    function show(index) {
+        const count = state.images.length;
+        state.index = (index + count) % count;
+        
+        const image = state.images[state.index];
+        const source = getSource(image);
+        
+        resetZoom();
+        
+        if (DOM.image.getAttribute('src') !== source) {
+            DOM.lightbox.classList.add('lightbox--loading');
+            DOM.image.src = source;
+        }
+        
+        DOM.image.alt = image.alt;
+        DOM.caption.textContent = image.alt;
+        DOM.caption.hidden = !image.alt;
+        DOM.counter.textContent = `${state.index + 1} / ${count}`;
+        
+        preload(state.index - 1);
+        preload(state.index + 1);
+    }
+    
+    /**
+     * Large version if the gallery provides one
+     * 
+     * @param {HTMLImageElement} image - Gallery image
+     * @returns {string} URL
+     */
+    function getSource(image) {
+        return image.dataset.full || image.currentSrc || image.src;
+    }
+    
+    /**
+     * Start downloading a neighbouring image so swiping is instant
+     * 
+     * @param {number} index - Index (may be out of range)
+     */
+    function preload(index) {
+        const count = state.images.length;
+        if (count < 2) return;
+        
+        const preloader = new Image();
+        preloader.src = getSource(state.images[(index + count) % count]);
+    }
+    
+    /**
+     * Previous/next buttons, click on the empty stage closes
+     */
+    function handleLightboxClick(e) {
+        const button = e.target.closest('[data-lightbox-action]');
+        
+        if (button) {
+            show(state.index + (button.dataset.lightboxAction === 'next' ? 1 : -1));
+        } else if (e.target === DOM.stage && state.scale === 1 && !state.dragged) {
+            Modal.close();
+        }
+    }
+    
+    /**
+     * Arrow keys navigate, +/- zoom (Escape and Tab handled by Modal)
+     */
+    function handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowLeft':
+                show(state.index - 1);
+                break;
+            case 'ArrowRight':
+                show(state.index + 1);
+                break;
+            case '+':
+            case '=':
+                zoomTo(state.scale * 1.5);
+                break;
+            case '-':
+                zoomTo(state.scale / 1.5);
+                break;
+            case '0':
+                resetZoom();
+                break;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+    }
+    
+    // ==========================================
+    // ZOOM AND PAN
+    // ==========================================
+    
+    /**
+     * Zoom, keeping the point under the finger/cursor in place
+     * 
+     * @param {number} scale - Target scale (clamped to 1..maxZoom)
+     * @param {number} clientX - Zoom origin (defaults to stage centre)
+     * @param {number} clientY - Zoom origin
+     */
+    function zoomTo(scale, clientX, clientY) {
+        const next = Math.min(Math.max(scale, 1), CONFIG.gallery.maxZoom);
+        const rect = DOM.stage.getBoundingClientRect();
+        
+        // Offset of the origin from the stage centre
+        const originX = clientX === undefined ? 0 : clientX - rect.left - rect.width / 2;
+        const originY = clientY === undefined ? 0 : clientY - rect.top - rect.height / 2;
+        const ratio = next / state.scale;
+        
+        state.x = originX - (originX - state.x) * ratio;
+        state.y = originY - (originY - state.y) * ratio;
+        state.scale = next;
+        
+        applyTransform();
+    }
+    
+    /**
+     * Double-tap / double-click: zoom in on that point, or back out
+     */
+    function toggleZoom(clientX, clientY) {
+        if (state.scale > 1) {
+            resetZoom();
+        } else {
+            zoomTo(CONFIG.gallery.doubleTapZoom, clientX, clientY);
+        }
+    }
+    
+    /**
+     * Back to fitted, centred image
+     */
+    function resetZoom() {
+        state.scale = 1;
+        state.x = 0;
+        state.y = 0;
+        applyTransform();
+    }
+    
+    /**
+     * Mouse double-click zoom (touch double taps are detected in handlePointerUp)
+     */
+    function handleDoubleClick(e) {
+        if (state.pointerType === 'touch') return;
+        toggleZoom(e.clientX, e.clientY);
+    }
+    
+    /**
+     * Mouse wheel / trackpad pinch zoom
+     */
+    function handleWheel(e) {
+        e.preventDefault();
+        zoomTo(state.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2), e.clientX, e.clientY);
+    }
+    
+    /**
+     * Keep the zoomed image covering the stage - no panning off into empty space
+     */
+    function clampPan() {
+        const maxX = DOM.image.offsetWidth * (state.scale - 1) / 2;
+        const maxY = DOM.image.offsetHeight * (state.scale - 1) / 2;
+        
+        state.x = Math.min(Math.max(state.x, -maxX), maxX);
+        state.y = Math.min(Math.max(state.y, -maxY), maxY);
+    }
+    
+    /**
+     * Write scale and offset to the image
+     * 
+     * @param {number} swipeX - Extra horizontal drag while swiping (px)
+     */
+    function applyTransform(swipeX = 0) {
+        if (state.scale > 1) {
+            clampPan();
+        } else {
+            state.x = 0;
+            state.y = 0;
+        }
+        
+        DOM.image.style.transform = `translate(${state.x + swipeX}px, ${state.y}px) scale(${state.scale})`;
+        DOM.lightbox.classList.toggle('lightbox--zoomed', state.scale > 1);
+    }
+    
+    // ==========================================
+    // GESTURES (Pointer Events: touch, pen and mouse)
+    // ==========================================
+    
+    /**
+     * Finger/mouse down: start swipe or pan, or pinch with a second finger
+     */
+    function handlePointerDown(e) {
+        if (e.target.closest('button')) return;
+        
+        state.dragged = false;
+        state.pointerType = e.pointerType;
+        DOM.stage.setPointerCapture(e.pointerId);
+        state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        
+        const points = Array.from(state.pointers.values());
+        
+        if (points.length === 2) {
+            state.gesture = {
+                type: 'pinch',
+                distance: getDistance(points),
+                scale: state.scale
+            };
+        } else if (points.length === 1) {
+            state.gesture = {
+                type: state.scale > 1 ? 'pan' : 'swipe',
+                startX: e.clientX,
+                startY: e.clientY,
+                x: state.x,
+                y: state.y
+            };
+        }
+        
+        DOM.lightbox.classList.add('lightbox--dragging');
+    }
+    
+    /**
+     * Follow the finger
+     */
+    function handlePointerMove(e) {
+        if (!state.pointers.has(e.pointerId) || !state.gesture) return;
+        
+        state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        const { gesture } = state;
+        
+        if (gesture.type === 'pinch') {
+            const points = Array.from(state.pointers.values());
+            const centerX = (points[0].x + points[1].x) / 2;
+            const centerY = (points[0].y + points[1].y) / 2;
+            
+            zoomTo(gesture.scale * getDistance(points) / gesture.distance, centerX, centerY);
+        } else if (gesture.type === 'pan') {
+            state.x = gesture.x + e.clientX - gesture.startX;
+            state.y = gesture.y + e.clientY - gesture.startY;
+            applyTransform();
+        } else {
+            // Image follows the finger, snaps to the next photo on release
+            applyTransform(e.clientX - gesture.startX);
+        }
+    }
+    
+    /**
+     * Finger lifted: finish swipe, detect double tap
+     */
+    function handlePointerUp(e) {
+        if (!state.pointers.has(e.pointerId)) return;
+        
+        state.pointers.delete(e.pointerId);
+        const { gesture } = state;
+        
+        // One finger still down after a pinch - carry on as a pan
+        if (state.pointers.size) {
+            const [point] = state.pointers.values();
+            state.gesture = { type: 'pan', startX: point.x, startY: point.y, x: state.x, y: state.y };
+            return;
+        }
+        
+        state.gesture = null;
+        DOM.lightbox.classList.remove('lightbox--dragging');
+        
+        if (!gesture || gesture.type === 'pinch') return;
+        
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        state.dragged = Math.abs(dx) > 10 || Math.abs(dy) > 10;
+        
+        if (gesture.type === 'swipe') {
+            if (Math.abs(dx) > CONFIG.gallery.swipeThreshold && Math.abs(dx) > Math.abs(dy) && state.images.length > 1) {
+                show(state.index + (dx < 0 ? 1 : -1));
+            } else {
+                applyTransform();
+            }
+        }
+        
+        // Double tap (touch only - mice use dblclick)
+        if (e.pointerType === 'touch' && !state.dragged) {
+            if (Date.now() - state.lastTap < 300) {
+                toggleZoom(e.clientX, e.clientY);
+                state.lastTap = 0;
+            } else {
+                state.lastTap = Date.now();
+            }
+        }
+    }
+    
+    /**
+     * Distance between two points
+     * 
+     * @param {Array} points - [{ x, y }, { x, y }]
+     * @returns {number} Pixels
+     */
+    function getDistance(points) {
+        return Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        open
+    };
+
+})();
+
+// Make Lightbox globally available
+window.Lightbox = Lightbox;
\ No newline at end of file
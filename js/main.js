@@ -29,12 +29,53 @@ const KelahApp = (function() {
     /**
      * Initialize app - runs once on page load
      */
-    function init() {
+    async function init() {
         try {
+            // Published content (or the admin's draft) replaces CONFIG values before anything renders
+            await SiteContent.load({ draft: Admin.isUnlocked() });
+            
             cacheDOMElements();
+            Branches.init();
+            Bindings.init();
+            const translated = I18n.init();
             initEventListeners();
+            Consent.init();
+            Analytics.init();
             Animations.init();
-            updateContactLinks();
+            Carousel.init();
+            
+            // Catalog loads asynchronously - re-run the stagger for rendered cards
+            Catalog.init().then(rendered => {
+                if (rendered && CONFIG.animation.scrollReveal.enabled) {
+                    Animations.initProductStagger();
+                }
+            });
+            
+            StructuredData.init();
+            
+            // Testimonials replace the fallback cards once loaded - reveal the new ones
+            Testimonials.init().then(rendered => {
+                if (rendered && CONFIG.animation.scrollReveal.enabled) {
+                    Animations.initScrollReveal('.testimonial-card');
+                }
+            });
+            Search.init();
+            Lightbox.init();
+            Outbox.init();
+            Cart.init();
+            Delivery.init();
+            Quote.init();
+            CreditApplication.init();
+            Booking.init();
+            SymptomChecker.init();
+            Dosage.init();
+            Vaccination.init();
+            CropPlanner.init();
+            
+            // Status badge and hours are written in the visitor's language - wait for the dictionaries
+            translated.then(() => StoreStatus.init());
+            Pwa.init();
+            Admin.init();
             
             // Optional: Initialize lazy loading if enabled
             if (CONFIG.performance.lazyLoadImages) {
@@ -64,7 +105,7 @@ const KelahApp = (function() {
             
             // Button elements
             phoneBtns: Utils.getElements('.btn--phone'),
-            whatsappBtns: Utils.getElements('.btn--whatsapp'),
+            whatsappBtns: Utils.getElements('a.btn--whatsapp'),
             
             // Section elements
             hero: Utils.getElement('#hero'),
@@ -108,11 +149,11 @@ const KelahApp = (function() {
         // Window scroll handler for tracking current section
         window.addEventListener('scroll', Utils.throttle(handleScroll, 100));
         
-        // Product category clicks
-        const productCategories = Utils.getElements('.product-category');
-        productCategories.forEach(category => {
-            category.addEventListener('click', handleProductClick);
-        });
+        // Product category clicks (delegated - catalog re-renders the cards)
+        if (DOM.products) {
+            DOM.products.addEventListener('click', handleProductClick);
+            DOM.products.addEventListener('keydown', handleProductKeydown);
+        }
     }
     
     /**
@@ -138,10 +179,7 @@ const KelahApp = (function() {
     function handlePhoneClick(e) {
         console.log('📞 Phone call initiated');
         
-        // TODO: Track with analytics
-        // if (CONFIG.features.enableAnalytics) {
-        //     trackEvent('phone_call', { source: e.target.closest('section')?.id });
-        // }
+        Analytics.track('phone_call', { source: getSource(e.target) });
     }
     
     /**
@@ -151,16 +189,28 @@ const KelahApp = (function() {
     function handleWhatsAppClick(e) {
         console.log('💬 WhatsApp initiated');
         
-        // Update href with current page context
-        const section = e.target.closest('section')?.id || 'unknown';
-        const message = `Hello KELAH Agrovet, I'm interested in your services. I was viewing: ${section}`;
+        // Update href with current page context, in the visitor's language
+        const link = e.currentTarget;
+        const section = getSource(link);
+        const message = I18n.t('whatsapp.viewing', { section },
+            `Hello ${CONFIG.business.name}, I'm interested in your services. I was viewing: ${section}`);
         
-        e.target.href = CONFIG.getWhatsAppLink(message);
+        link.href = CONFIG.getWhatsAppLink(message);
         
-        // TODO: Track with analytics
-        // if (CONFIG.features.enableAnalytics) {
-        //     trackEvent('whatsapp_click', { source: section });
-        // }
+        Analytics.track('whatsapp_click', { source: section });
+    }
+    
+    /**
+     * Page region an element sits in, for analytics
+     * 
+     * @param {HTMLElement} element - Clicked element
+     * @returns {string} Section id, or 'header' / 'footer'
+     */
+    function getSource(element) {
+        const region = element.closest('section, header, footer');
+        if (!region) return 'unknown';
+        
+        return region.id || region.tagName.toLowerCase();
     }
     
     /**
@@ -195,40 +245,37 @@ const KelahApp = (function() {
     
     /**
      * Handle product category clicks
-     * Future: Navigate to product detail page or open modal
+     * Opens the catalog listing for the category
      */
     function handleProductClick(e) {
-        const category = e.currentTarget;
+        const category = e.target.closest('.product-category');
+        if (!category) return;
+        
         const categoryName = category.querySelector('.product-category__title')?.textContent;
         
         console.log(`🛒 Product category clicked: ${categoryName}`);
         
-        // TODO: Implement product detail view
-        // For now, scroll to contact section
-        Utils.smoothScrollTo('#contact');
+        // Fall back to contact section if catalog data isn't available
+        if (!Catalog.openCategory(category.dataset.category)) {
+            Utils.smoothScrollTo('#contact');
+        }
         
-        // TODO: Track with analytics
-        // if (CONFIG.features.enableAnalytics) {
-        //     trackEvent('product_category_click', { category: categoryName });
-        // }
+        Analytics.track('product_category_click', {
+            category: category.dataset.category,
+            label: categoryName
+        });
     }
     
     /**
-     * Update contact links with configured numbers
-     * Ensures all phone/WhatsApp links use CONFIG values
+     * Handle keyboard activation of product category cards
+     * Cards are role="button", so Enter and Space must work
      */
-    function updateContactLinks() {
-        // Update all phone links
-        const phoneLinks = Utils.getElements('a[href^="tel:"]');
-        phoneLinks.forEach(link => {
-            link.href = CONFIG.getPhoneLink();
-        });
+    function handleProductKeydown(e) {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        if (!e.target.classList.contains('product-category')) return;
         
-        // Update all WhatsApp links
-        const whatsappLinks = Utils.getElements('a[href*="wa.me"]');
-        whatsappLinks.forEach(link => {
-            link.href = CONFIG.getWhatsAppLink();
-        });
+        e.preventDefault();
+        handleProductClick(e);
     }
     
     /**
@@ -248,7 +295,7 @@ const KelahApp = (function() {
             top: 20px;
             right: 20px;
             padding: 16px 24px;
-            background: ${type === 'success' ? '#27AE60' : '#E74C3C'};
+            background: ${type === 'success' ? '#27AE60' : type === 'info' ? '#2D5016' : '#E74C3C'};
             color: white;
             border-radius: 8px;
             box-shadow: 0 4px 12px rgba(0,0,0,0.15);
@@ -309,6 +356,8 @@ document.addEventListener('visibilitychange', () => {
         console.log('👀 Page visible');
         // Resume animations
     }
+    
+    Carousel.setPageHidden(document.hidden);
 });
 
 /**
@@ -317,7 +366,7 @@ document.addEventListener('visibilitychange', () => {
  */
 window.addEventListener('beforeunload', () => {
     console.log('👋 User leaving page');
-    // TODO: Send pending analytics
+    Analytics.flush({ unloading: true });
     // TODO: Save user state if needed
 });
 
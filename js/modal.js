@@ -0,0 +1,138 @@
+/**
+ * Modal Dialog Controller
+ * 
+ * Purpose: Shared open/close behaviour for .modal dialogs
+ * Responsibilities:
+ * - Show/hide dialog and lock page scroll
+ * - Close on Escape, backdrop click and [data-modal-close] buttons
+ * - Trap keyboard focus inside the open dialog
+ * - Return focus to the element that opened it
+ * 
+ * Markup:
+ * <div class="modal" id="exampleModal" role="dialog" aria-modal="true" hidden>
+ *     <div class="modal__dialog">...</div>
+ * </div>
+ */
+
+const Modal = (function() {
+    
+    /**
+     * Elements that can receive keyboard focus
+     */
+    const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+    
+    /**
+     * Currently open modal: { element, lastFocused, onClose }
+     */
+    let active = null;
+    
+    /**
+     * Open a modal
+     * 
+     * @param {HTMLElement} element - .modal element
+     * @param {Object} options - { onClose: callback when dismissed }
+     */
+    function open(element, { onClose = null } = {}) {
+        if (!element) return;
+        if (active) close();
+        
+        active = {
+            element,
+            lastFocused: document.activeElement,
+            onClose
+        };
+        
+        element.hidden = false;
+        document.body.style.overflow = 'hidden';
+        
+        element.addEventListener('click', handleClick);
+        document.addEventListener('keydown', handleKeydown);
+        
+        // Focus first visible form field, falling back to the close button
+        const first = element.querySelector('[autofocus]') ||
+            Array.from(element.querySelectorAll('input, select, textarea')).find(isVisible) ||
+            element.querySelector(FOCUSABLE);
+        
+        if (first) first.focus();
+    }
+    
+    /**
+     * Close the open modal
+     */
+    function close() {
+        if (!active) return;
+        
+        const { element, lastFocused, onClose } = active;
+        active = null;
+        
+        element.hidden = true;
+        document.body.style.overflow = 'auto';
+        
+        element.removeEventListener('click', handleClick);
+        document.removeEventListener('keydown', handleKeydown);
+        
+        if (lastFocused) lastFocused.focus();
+        if (onClose) onClose();
+    }
+    
+    /**
+     * Close on backdrop or close-button click
+     */
+    function handleClick(e) {
+        if (e.target === active.element || e.target.closest('[data-modal-close]')) {
+            close();
+        }
+    }
+    
+    /**
+     * Escape closes, Tab cycles within the dialog
+     */
+    function handleKeydown(e) {
+        if (e.key === 'Escape') {
+            close();
+            return;
+        }
+        
+        if (e.key !== 'Tab') return;
+        
+        const focusable = Array.from(active.element.querySelectorAll(FOCUSABLE))
+            .filter(el => isVisible(el) || el === document.activeElement);
+        
+        if (!focusable.length) return;
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    /**
+     * Check element is rendered (not inside a hidden step or panel)
+     * 
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean}
+     */
+    function isVisible(element) {
+        return element.offsetParent !== null;
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        open,
+        close,
+        isOpen: () => Boolean(active),
+        getActive: () => active && active.element
+    };
+
+})();
+
+// Make Modal globally available
+window.Modal = Modal;
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Outbox Store (IndexedDB)
+ * 
+ * Purpose: Keep orders and applications made offline until they can be sent
+ * Used by: js/outbox.js (page) and sw.js (background sync)
+ * 
+ * No DOM access here - this file also runs inside the service worker.
+ * 
+ * Item shape:
+ * {
+ *     id: 'kelah-...',            // Also sent as the reference
+ *     type: 'order',              // 'order', 'booking', 'credit_application'
+ *     label: 'Order - 3 items',   // Shown in the outbox list
+ *     endpoint: 'https://...',    // null = WhatsApp only
+ *     payload: { ... },           // JSON body POSTed to the endpoint as-is
+ *     message: '...',             // WhatsApp text (fallback)
+ *     status: 'queued',           // 'queued' | 'waiting' | 'failed' | 'sent'
+ *     attempts: 0,
+ *     nextAttemptAt: 0,           // ms timestamp
+ *     createdAt: '2026-...',
+ *     sentAt: null
+ * }
+ * 
+ * Status meaning:
+ * - queued:  will be POSTed to the endpoint automatically
+ * - waiting: no endpoint - customer must send it on WhatsApp
+ * - failed:  endpoint kept failing - customer should send it on WhatsApp
+ * - sent:    delivered (endpoint accepted it, or WhatsApp opened)
+ */
+
+const OutboxStore = {
+    
+    DB_NAME: 'kelah-outbox',
+    STORE: 'items',
+    
+    /**
+     * Open (and create) the database - one shared connection
+     * 
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, 1);
+                
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        
+        return this.dbPromise;
+    },
+    
+    /**
+     * Run a single request against the items store
+     * 
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} action - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, action) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.STORE, mode);
+            const request = action(transaction.objectStore(this.STORE));
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // Quota errors abort the transaction without an error event
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+    
+    /**
+     * All items, oldest first
+     * 
+     * @returns {Promise<Array>}
+     */
+    async getAll() {
+        const items = await this.run('readonly', store => store.getAll());
+        return items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+    
+    /**
+     * Add or update an item
+     * 
+     * @param {Object} item - Outbox item
+     * @returns {Promise}
+     */
+    put(item) {
+        return this.run('readwrite', store => store.put(item));
+    },
+    
+    /**
+     * Delete an item
+     * 
+     * @param {string} id - Item id
+     * @returns {Promise}
+     */
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    },
+    
+    /**
+     * Wait before the next retry: baseDelay doubled per attempt, capped, with jitter
+     * Jitter stops many phones retrying at the same moment when a mast comes back
+     * 
+     * @param {number} attempts - Failed attempts so far
+     * @returns {number} Delay in ms
+     */
+    getBackoffDelay(attempts) {
+        const delay = Math.min(CONFIG.outbox.baseDelay * 2 ** (attempts - 1), CONFIG.outbox.maxDelay);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    },
+    
+    /**
+     * POST an item's payload to its endpoint and record the outcome
+     * 
+     * @param {Object} item - Queued item
+     * @param {Object} options - { persist: false } when IndexedDB isn't available
+     * @returns {Promise<Object>} Updated item
+     */
+    async send(item, { persist = true } = {}) {
+        try {
+            const response = await fetch(item.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(item.payload)
+            });
+            
+            if (!response.ok) throw new Error(`Endpoint responded ${response.status}`);
+            
+            item.status = 'sent';
+            item.sentAt = new Date().toISOString();
+        } catch (error) {
+            item.attempts++;
+            item.lastError = error.message;
+            
+            if (item.attempts >= CONFIG.outbox.maxAttempts) {
+                item.status = 'failed';
+            } else {
+                item.nextAttemptAt = Date.now() + this.getBackoffDelay(item.attempts);
+            }
+        }
+        
+        if (persist) await this.put(item);
+        return item;
+    },
+    
+    /**
+     * Send every queued item whose retry time has come
+     * 
+     * @param {Object} options - { immediate: true } when the connection just came back
+     * @returns {Promise<Array>} Items that were attempted
+     */
+    async sendDue({ immediate = false } = {}) {
+        const now = Date.now();
+        const due = (await this.getAll())
+            .filter(item => item.status === 'queued' && (immediate || item.nextAttemptAt <= now));
+        
+        // One at a time - kinder to a weak connection
+        for (const item of due) {
+            await this.send(item);
+        }
+        
+        return due;
+    }
+};
+
+// Make OutboxStore globally available (window on the page, self in the service worker)
+self.OutboxStore = OutboxStore;
\ No newline at end of file
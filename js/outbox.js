@@ -0,0 +1,417 @@
+/**
+ * Offline Outbox
+ * 
+ * Purpose: Don't lose orders and applications made on a dead connection
+ * Responsibilities:
+ * - Queue submissions in IndexedDB (js/outbox-store.js) while offline
+ * - Retry endpoint sends with exponential backoff when the connection returns
+ * - Ask the service worker to send in the background (Background Sync)
+ * - Show waiting/sent status in a small badge and list
+ * - Fall back to WhatsApp when there's no endpoint, or it keeps failing
+ * 
+ * WhatsApp can't be opened without a tap, so WhatsApp-only items wait in the
+ * list until the customer taps "Send on WhatsApp".
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Outbox = (function() {
+    
+    /**
+     * Background Sync tag - sw.js listens for the same one
+     */
+    const SYNC_TAG = 'kelah-outbox';
+    
+    /**
+     * Badge wording per status - English fallback for the outbox.status dictionary keys
+     */
+    const STATUS_LABELS = {
+        queued: 'Sending when online',
+        waiting: 'Ready for WhatsApp',
+        failed: 'Not sent',
+        sent: 'Sent'
+    };
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Outbox state
+     */
+    const state = {
+        items: [],
+        supported: 'indexedDB' in window,
+        processing: false,
+        retryTimer: null
+    };
+    
+    /**
+     * Initialize outbox
+     */
+    function init() {
+        DOM = {
+            badge: Utils.getElement('#outboxBadge'),
+            count: Utils.getElement('#outboxCount'),
+            modal: Utils.getElement('#outboxModal'),
+            list: Utils.getElement('#outboxList')
+        };
+        
+        if (!state.supported) return;
+        
+        if (DOM.badge) {
+            DOM.badge.addEventListener('click', () => Modal.open(DOM.modal));
+        }
+        
+        if (DOM.list) {
+            DOM.list.addEventListener('click', handleListClick);
+        }
+        
+        window.addEventListener('online', handleOnline);
+        I18n.onChange(render);
+        
+        // Service worker sent something in the background
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', e => {
+                if (e.data && e.data.type === 'outbox-updated') refresh();
+            });
+        }
+        
+        pruneSent()
+            .then(refresh)
+            .then(processQueue)
+            .catch(error => Utils.logError('Outbox could not start', error));
+    }
+    
+    // ==========================================
+    // SUBMIT
+    // ==========================================
+    
+    /**
+     * Send a submission now, or keep it for later
+     * 
+     * With an endpoint: POST now if online, otherwise queue and retry.
+     * Without one: open WhatsApp if online, otherwise keep it until the
+     * customer can send it (or POST it to CONFIG.outbox.endpoint if set).
+     * Tells the customer when something was queued; callers handle the rest.
+     * Never rejects - if storage or the send breaks, WhatsApp opens instead.
+     * 
+     * @param {Object} entry - Submission
+     * @param {string} entry.type - 'order', 'booking', 'credit_application'
+     * @param {string} entry.label - Short description for the outbox list
+     * @param {string} entry.message - WhatsApp text
+     * @param {Object} entry.payload - Structured data
+     * @param {string} [entry.endpoint] - Own endpoint; payload is POSTed as-is
+     * @returns {Promise<string>} 'sent', 'whatsapp', 'queued' or 'failed' (no IndexedDB
+     * and the endpoint failed, or something broke and WhatsApp was opened)
+     */
+    async function submit(entry) {
+        try {
+            return await deliver(entry);
+        } catch (error) {
+            Utils.logError('Outbox could not handle a submission', error);
+            openWhatsApp(entry.message);
+            return 'failed';
+        }
+    }
+    
+    /**
+     * Send or keep a submission (see submit)
+     * 
+     * @param {Object} entry - Submission
+     * @returns {Promise<string>} Result for submit()
+     */
+    async function deliver(entry) {
+        const online = navigator.onLine;
+        
+        if (!entry.endpoint && online) {
+            openWhatsApp(entry.message);
+            return 'whatsapp';
+        }
+        
+        if (!state.supported) {
+            if (!entry.endpoint) {
+                // Nowhere to keep it - WhatsApp will show its own offline message
+                openWhatsApp(entry.message);
+                return 'whatsapp';
+            }
+            
+            // Nowhere to keep it - try once, like before the outbox existed
+            const item = await OutboxStore.send(createItem(entry), { persist: false });
+            return item.status === 'sent' ? 'sent' : 'failed';
+        }
+        
+        const item = createItem(entry);
+        
+        try {
+            await OutboxStore.put(item);
+        } catch (error) {
+            Utils.logError('Could not save to outbox', error);
+            openWhatsApp(entry.message);
+            return 'whatsapp';
+        }
+        
+        if (online && item.status === 'queued') {
+            await OutboxStore.send(item);
+        }
+        
+        await refresh();
+        
+        if (item.status === 'sent') return 'sent';
+        
+        const label = item.label;
+        KelahApp.showNotification(item.status === 'queued'
+            ? I18n.t('outbox.saved', { label }, `${label} saved - it will send automatically once you're connected`)
+            : I18n.t('outbox.savedOffline', { label }, `You're offline - ${label} saved. Send it on WhatsApp from the outbox once you're connected`), 'info');
+        
+        requestBackgroundSync();
+        scheduleRetry();
+        return 'queued';
+    }
+    
+    /**
+     * Build an outbox item
+     * Submissions without their own endpoint go to CONFIG.outbox.endpoint (if set)
+     * wrapped with a reference, so the collector can tell retries apart
+     * 
+     * @param {Object} entry - Submission (see submit)
+     * @returns {Object} Item
+     */
+    function createItem(entry) {
+        const id = `kelah-${Utils.generateId()}`;
+        const createdAt = new Date().toISOString();
+        const endpoint = entry.endpoint || CONFIG.outbox.endpoint || null;
+        
+        return {
+            id,
+            type: entry.type,
+            label: entry.label,
+            message: entry.message,
+            endpoint,
+            payload: entry.endpoint ? entry.payload : { type: entry.type, reference: id, createdAt, payload: entry.payload },
+            status: endpoint ? 'queued' : 'waiting',
+            attempts: 0,
+            nextAttemptAt: 0,
+            createdAt,
+            sentAt: null
+        };
+    }
+    
+    /**
+     * Open WhatsApp with a message
+     * 
+     * @param {string} message - Text
+     */
+    function openWhatsApp(message) {
+        window.open(CONFIG.getWhatsAppLink(message), '_blank', 'noopener');
+    }
+    
+    // ==========================================
+    // RETRY
+    // ==========================================
+    
+    /**
+     * Connection back - send what's due and remind about WhatsApp items
+     */
+    async function handleOnline() {
+        await processQueue({ immediate: true });
+        
+        const waiting = state.items.filter(item => item.status === 'waiting' || item.status === 'failed');
+        if (waiting.length) {
+            const count = waiting.length;
+            KelahApp.showNotification(count === 1
+                ? I18n.t('outbox.backOnlineOne', {}, "You're back online - 1 message ready to send on WhatsApp")
+                : I18n.t('outbox.backOnline', { count }, `You're back online - ${count} messages ready to send on WhatsApp`), 'info');
+        }
+    }
+    
+    /**
+     * Send queued items whose retry time has come, then report what changed
+     * 
+     * @param {Object} options - { immediate: true } skips the backoff wait
+     */
+    async function processQueue({ immediate = false } = {}) {
+        clearTimeout(state.retryTimer);
+        
+        if (state.processing || !navigator.onLine) return;
+        state.processing = true;
+        
+        try {
+            const attempted = await OutboxStore.sendDue({ immediate });
+            await refresh();
+            announce(attempted);
+        } catch (error) {
+            Utils.logError('Outbox send failed', error);
+        } finally {
+            state.processing = false;
+            scheduleRetry();
+        }
+    }
+    
+    /**
+     * Wake up for the next queued item's retry time
+     */
+    function scheduleRetry() {
+        clearTimeout(state.retryTimer);
+        
+        const queued = state.items.filter(item => item.status === 'queued');
+        if (!queued.length) return;
+        
+        const next = Math.min(...queued.map(item => item.nextAttemptAt));
+        state.retryTimer = setTimeout(processQueue, Math.max(next - Date.now(), 0));
+    }
+    
+    /**
+     * Ask the service worker to send when the connection returns,
+     * even if this tab is closed. Page retries still run where unsupported.
+     */
+    function requestBackgroundSync() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+        
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync && registration.sync.register(SYNC_TAG))
+            .catch(() => {
+                // Background Sync not allowed - page retries cover it
+            });
+    }
+    
+    /**
+     * Tell the customer how attempted sends went
+     * 
+     * @param {Array} attempted - Items just attempted
+     */
+    function announce(attempted) {
+        const sent = attempted.filter(item => item.status === 'sent');
+        const failed = attempted.filter(item => item.status === 'failed');
+        
+        if (sent.length) {
+            const count = sent.length;
+            KelahApp.showNotification(count === 1
+                ? I18n.t('outbox.sent', { label: sent[0].label }, `${sent[0].label} sent`)
+                : I18n.t('outbox.sentMany', { count }, `${count} items sent`), 'success');
+        }
+        
+        if (failed.length) {
+            KelahApp.showNotification(I18n.t('outbox.failed', {}, 'Some items could not be sent - open the outbox to send them on WhatsApp'), 'error');
+        }
+    }
+    
+    /**
+     * Drop sent items older than CONFIG.outbox.keepSentHours
+     */
+    async function pruneSent() {
+        const cutoff = Date.now() - CONFIG.outbox.keepSentHours * 60 * 60 * 1000;
+        const items = await OutboxStore.getAll();
+        
+        await Promise.all(items
+            .filter(item => item.status === 'sent' && Date.parse(item.sentAt) < cutoff)
+            .map(item => OutboxStore.remove(item.id)));
+    }
+    
+    // ==========================================
+    // UI
+    // ==========================================
+    
+    /**
+     * Reload items and redraw badge and list
+     */
+    async function refresh() {
+        state.items = await OutboxStore.getAll();
+        render();
+    }
+    
+    /**
+     * Update badge count and item list
+     */
+    function render() {
+        const pending = state.items.filter(item => item.status !== 'sent');
+        
+        if (DOM.badge) {
+            DOM.badge.hidden = !state.items.length;
+            DOM.badge.classList.toggle('outbox-badge--pending', pending.length > 0);
+        }
+        
+        if (DOM.count) {
+            DOM.count.textContent = pending.length
+                ? I18n.t('outbox.waiting', { count: pending.length }, `${pending.length} waiting`)
+                : I18n.t('outbox.allSent', {}, 'All sent');
+        }
+        
+        if (!DOM.list) return;
+        
+        if (!state.items.length) {
+            DOM.list.innerHTML = `<li class="outbox-list__empty">${Utils.escapeHTML(I18n.t('outbox.empty', {}, 'Nothing waiting to send.'))}</li>`;
+            return;
+        }
+        
+        DOM.list.innerHTML = state.items.slice().reverse().map(renderItem).join('');
+    }
+    
+    /**
+     * Create HTML for one outbox item
+     * 
+     * @param {Object} item - Outbox item
+     * @returns {string} HTML string
+     */
+    function renderItem(item) {
+        const created = new Date(item.createdAt).toLocaleString(I18n.getLocale(), { dateStyle: 'medium', timeStyle: 'short' });
+        const status = I18n.t(`outbox.status.${item.status}`, {}, STATUS_LABELS[item.status]);
+        const canWhatsApp = item.status !== 'sent';
+        
+        return `
+            <li class="outbox-item outbox-item--${item.status}">
+                <div class="outbox-item__info">
+                    <strong class="outbox-item__label">${Utils.escapeHTML(item.label)}</strong>
+                    <span class="outbox-item__meta">${created} &middot; <span class="outbox-item__status">${Utils.escapeHTML(status)}</span></span>
+                </div>
+                <div class="outbox-item__actions">
+                    ${canWhatsApp ? `<button type="button" class="btn btn--whatsapp btn--small" data-outbox-action="whatsapp" data-id="${item.id}">${Utils.escapeHTML(I18n.t('outbox.whatsapp', {}, 'Send on WhatsApp'))}</button>` : ''}
+                    <button type="button" class="btn btn--outline btn--small" data-outbox-action="remove" data-id="${item.id}">${Utils.escapeHTML(I18n.t('outbox.remove', {}, 'Remove'))}</button>
+                </div>
+            </li>
+        `;
+    }
+    
+    /**
+     * Send on WhatsApp / Remove buttons
+     */
+    async function handleListClick(e) {
+        const button = e.target.closest('[data-outbox-action]');
+        if (!button) return;
+        
+        const item = state.items.find(entry => entry.id === button.dataset.id);
+        if (!item) return;
+        
+        try {
+            if (button.dataset.outboxAction === 'whatsapp') {
+                // Must open before any await - browsers only allow popups straight from a tap
+                openWhatsApp(item.message);
+                
+                item.status = 'sent';
+                item.sentAt = new Date().toISOString();
+                await OutboxStore.put(item);
+            } else {
+                await OutboxStore.remove(item.id);
+            }
+            
+            await refresh();
+        } catch (error) {
+            Utils.logError('Outbox could not be updated', error);
+            KelahApp.showNotification(I18n.t('outbox.updateFailed', {}, 'Could not update the outbox - please try again'), 'error');
+        }
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        submit,
+        refresh
+    };
+
+})();
+
+// Make Outbox globally available
+window.Outbox = Outbox;
\ No newline at end of file
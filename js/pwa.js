@@ -0,0 +1,143 @@
+/**
+ * Progressive Web App
+ * 
+ * Purpose: Offline support and "install to home screen"
+ * Responsibilities:
+ * - Register the service worker (sw.js - caching strategy lives there)
+ * - Show an install prompt when the browser offers one
+ * - Remember "Not now" for CONFIG.pwa.installDismissDays
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Pwa = (function() {
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Browser's deferred install prompt (beforeinstallprompt event)
+     */
+    let installEvent = null;
+    
+    /**
+     * Initialize PWA features
+     */
+    function init() {
+        DOM = {
+            prompt: Utils.getElement('#installPrompt')
+        };
+        
+        registerServiceWorker();
+        
+        window.addEventListener('beforeinstallprompt', handleInstallAvailable);
+        window.addEventListener('appinstalled', handleInstalled);
+        
+        if (DOM.prompt) {
+            DOM.prompt.addEventListener('click', handlePromptClick);
+        }
+        
+        // Don't stack the install prompt on top of the consent banner
+        Consent.onChange(showPrompt);
+    }
+    
+    /**
+     * Register service worker
+     * Needs HTTPS (or localhost) - skipped when previewing from file://
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+        
+        // updateViaCache: 'none' - always check sw.js and js/config.js for a new version
+        navigator.serviceWorker
+            .register(CONFIG.pwa.serviceWorker, { updateViaCache: 'none' })
+            .catch(error => Utils.logError('Service worker registration failed', error));
+    }
+    
+    // ==========================================
+    // INSTALL PROMPT
+    // ==========================================
+    
+    /**
+     * Browser says the site can be installed - keep the event for later
+     */
+    function handleInstallAvailable(e) {
+        e.preventDefault();
+        installEvent = e;
+        showPrompt();
+    }
+    
+    /**
+     * Show install prompt if allowed
+     */
+    function showPrompt() {
+        if (!DOM.prompt || !installEvent || isDismissed() || !Consent.hasDecided()) return;
+        DOM.prompt.hidden = false;
+    }
+    
+    /**
+     * Hide install prompt
+     */
+    function hidePrompt() {
+        if (DOM.prompt) DOM.prompt.hidden = true;
+    }
+    
+    /**
+     * Check visitor recently chose "Not now"
+     * 
+     * @returns {boolean}
+     */
+    function isDismissed() {
+        const dismissedAt = Utils.loadFromStorage(CONFIG.pwa.installDismissKey);
+        if (!dismissedAt) return false;
+        
+        return Date.now() - dismissedAt < CONFIG.pwa.installDismissDays * 24 * 60 * 60 * 1000;
+    }
+    
+    /**
+     * Install / Not now buttons
+     */
+    async function handlePromptClick(e) {
+        const button = e.target.closest('[data-install-action]');
+        if (!button) return;
+        
+        hidePrompt();
+        
+        if (button.dataset.installAction === 'dismiss') {
+            Utils.saveToStorage(CONFIG.pwa.installDismissKey, Date.now());
+            return;
+        }
+        
+        if (!installEvent) return;
+        
+        installEvent.prompt();
+        const { outcome } = await installEvent.userChoice;
+        installEvent = null;
+        
+        if (outcome === 'dismissed') {
+            Utils.saveToStorage(CONFIG.pwa.installDismissKey, Date.now());
+        }
+    }
+    
+    /**
+     * App installed (from our prompt or the browser menu)
+     */
+    function handleInstalled() {
+        installEvent = null;
+        hidePrompt();
+        KelahApp.showNotification('KELAH Agrovet added to your home screen', 'success');
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init
+    };
+
+})();
+
+// Make Pwa globally available
+window.Pwa = Pwa;
\ No newline at end of file
@@ -0,0 +1,820 @@
+/**
+ * Wholesale Quote Builder
+ * 
+ * Purpose: Let bulk buyers price an order before they commit
+ * Responsibilities:
+ * - Pick products, pack sizes and quantities from the catalog
+ * - Apply volume price breaks to the wholesale price automatically
+ *   (CONFIG.quote.tiers, or a pack's own "tiers" in data/products.json)
+ * - Payment terms: cash, or credit terms with a surcharge
+ * - Print / save as PDF, or send on WhatsApp, with a quote reference
+ * 
+ * The quote is kept on this device until it's cleared.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Quote = (function() {
+    
+    /**
+     * Table columns - English fallback for the quote.table dictionary keys
+     */
+    const TABLE_HEADINGS = {
+        sku: 'SKU',
+        product: 'Product',
+        pack: 'Pack',
+        quantity: 'Qty',
+        unitPrice: 'Unit price',
+        total: 'Total',
+        remove: 'Remove'
+    };
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Quote state - persisted as a whole to localStorage
+     * lines: [{ sku, size, quantity }]
+     * reference: set when the quote is first printed or sent, cleared on any change
+     */
+    const state = {
+        lines: [],
+        terms: CONFIG.quote.paymentTerms[0].id,
+        customer: {
+            name: '',
+            business: ''
+        },
+        reference: null
+    };
+    
+    /**
+     * Initialize quote builder - the product list needs the catalog
+     */
+    function init() {
+        DOM = {
+            modal: Utils.getElement('#quoteModal'),
+            form: Utils.getElement('#quoteForm'),
+            tiers: Utils.getElement('#quoteTiers'),
+            product: Utils.getElement('#quoteProduct'),
+            size: Utils.getElement('#quoteSize'),
+            lines: Utils.getElement('#quoteLines'),
+            terms: Utils.getElement('#quoteTerms'),
+            termsHint: Utils.getElement('#quoteTermsHint'),
+            totals: Utils.getElement('#quoteTotals'),
+            print: Utils.getElement('#quotePrint'),
+            triggers: Utils.getElements('[data-quote-open]')
+        };
+        
+        if (!DOM.modal || !DOM.form) return;
+        
+        restore();
+        renderTiers();
+        renderTerms();
+        
+        DOM.triggers.forEach(trigger => trigger.addEventListener('click', open));
+        DOM.form.addEventListener('click', handleClick);
+        DOM.form.addEventListener('change', handleChange);
+        DOM.form.addEventListener('keydown', handleKeydown);
+        DOM.form.addEventListener('submit', handleSend);
+        
+        // Tiers, terms, product list and lines are built here - rebuild them in the new language
+        I18n.onChange(() => {
+            renderTiers();
+            renderTerms();
+            if (DOM.product.options.length) renderProducts();
+            render();
+        });
+        
+        Catalog.ready().then(loaded => {
+            if (!loaded) {
+                // No products to quote - fall back to the plain WhatsApp enquiry
+                DOM.triggers.forEach(trigger => { trigger.hidden = true; });
+                return;
+            }
+            
+            state.lines = state.lines.filter(line => resolveLine(line));
+            renderProducts();
+            render();
+        });
+    }
+    
+    /**
+     * Restore saved quote from localStorage
+     */
+    function restore() {
+        const saved = Utils.loadFromStorage(CONFIG.quote.storageKey, {});
+        
+        state.lines = Array.isArray(saved.lines) ? saved.lines : [];
+        state.customer = Object.assign({ name: '', business: '' }, saved.customer);
+        state.reference = saved.reference || null;
+        
+        if (getTerms(saved.terms)) state.terms = saved.terms;
+    }
+    
+    /**
+     * Persist quote to localStorage
+     */
+    function save() {
+        Utils.saveToStorage(CONFIG.quote.storageKey, {
+            lines: state.lines,
+            terms: state.terms,
+            customer: state.customer,
+            reference: state.reference
+        });
+    }
+    
+    /**
+     * Quote contents changed - a new reference is issued next time it's shared
+     */
+    function changed() {
+        state.reference = null;
+        save();
+        render();
+    }
+    
+    // ==========================================
+    // PRICING
+    // ==========================================
+    
+    /**
+     * Price breaks for a pack, lowest quantity first
+     * A pack's own tiers are fixed prices; CONFIG.quote.tiers are % off wholesale
+     * 
+     * @param {Object} pack - Pack size from data/products.json
+     * @returns {Array} [{ minQuantity, price, discount }]
+     */
+    function getTiers(pack) {
+        if (Array.isArray(pack.tiers) && pack.tiers.length) {
+            return [{ minQuantity: 1, price: pack.wholesale }, ...pack.tiers]
+                .map(tier => ({
+                    minQuantity: tier.minQuantity,
+                    price: tier.price,
+                    discount: 1 - tier.price / pack.wholesale
+                }))
+                .sort((a, b) => a.minQuantity - b.minQuantity);
+        }
+        
+        return CONFIG.quote.tiers.map(tier => ({
+            minQuantity: tier.minQuantity,
+            price: Math.round(pack.wholesale * (1 - tier.discount)),
+            discount: tier.discount
+        }));
+    }
+    
+    /**
+     * Tier that applies to a quantity, and the next one up
+     * 
+     * @param {Object} pack - Pack size
+     * @param {number} quantity - Packs ordered
+     * @returns {Object} { tier, next } - next is null at the top tier
+     */
+    function getTier(pack, quantity) {
+        const tiers = getTiers(pack);
+        const index = tiers.reduce((found, tier, i) => (quantity >= tier.minQuantity ? i : found), 0);
+        
+        return { tier: tiers[index], next: tiers[index + 1] || null };
+    }
+    
+    /**
+     * Clamp quantity to a sane whole number
+     * 
+     * @param {number} quantity - Requested quantity
+     * @returns {number} Quantity between 1 and CONFIG.quote.maxQuantity
+     */
+    function clampQuantity(quantity) {
+        const value = Math.floor(Number(quantity)) || 1;
+        return Math.min(Math.max(value, 1), CONFIG.quote.maxQuantity);
+    }
+    
+    /**
+     * Resolve a stored line against catalog data with its price break
+     * 
+     * @param {Object} line - { sku, size, quantity }
+     * @returns {Object|null} Line with product, list price, tier price and totals
+     */
+    function resolveLine(line) {
+        const product = Catalog.getProduct(line.sku);
+        const pack = product && product.packSizes.find(p => p.size === line.size);
+        
+        if (!pack) return null;
+        
+        const { tier, next } = getTier(pack, line.quantity);
+        
+        return {
+            sku: line.sku,
+            size: line.size,
+            quantity: line.quantity,
+            product,
+            listPrice: pack.wholesale,
+            unitPrice: tier.price,
+            discount: tier.discount,
+            next,
+            listTotal: pack.wholesale * line.quantity,
+            total: tier.price * line.quantity
+        };
+    }
+    
+    /**
+     * Resolved quote lines
+     * 
+     * @returns {Array} Lines
+     */
+    function getLines() {
+        return state.lines.map(resolveLine).filter(Boolean);
+    }
+    
+    /**
+     * Payment terms by id
+     * 
+     * @param {string} id - Terms id from CONFIG.quote.paymentTerms
+     * @returns {Object|undefined}
+     */
+    function getTerms(id) {
+        return CONFIG.quote.paymentTerms.find(terms => terms.id === id);
+    }
+    
+    /**
+     * Quote totals in KES
+     * 
+     * @returns {Object} { list, savings, goods, terms, surcharge, total }
+     */
+    function getTotals() {
+        const lines = getLines();
+        const terms = getTerms(state.terms);
+        const list = lines.reduce((sum, line) => sum + line.listTotal, 0);
+        const goods = lines.reduce((sum, line) => sum + line.total, 0);
+        const surcharge = Math.round(goods * terms.surcharge);
+        
+        return {
+            list,
+            savings: list - goods,
+            goods,
+            terms,
+            surcharge,
+            total: goods + surcharge
+        };
+    }
+    
+    /**
+     * "3% off" / "+2%" style percentage
+     * 
+     * @param {number} fraction - e.g. 0.03
+     * @returns {string}
+     */
+    function formatPercent(fraction) {
+        return `${Math.round(fraction * 1000) / 10}%`;
+    }
+    
+    /**
+     * Payment terms label in the visitor's language
+     * 
+     * @param {Object} terms - Entry from CONFIG.quote.paymentTerms
+     * @returns {string}
+     */
+    function getTermsLabel(terms) {
+        return text(`paymentTerms.${terms.id}`, terms.label);
+    }
+    
+    /**
+     * Text in the visitor's language
+     * 
+     * @param {string} key - Key under quote., e.g. 'empty'
+     * @param {string} fallback - English, used until the dictionary loads
+     * @param {Object} params - Placeholder values
+     * @returns {string}
+     */
+    function text(key, fallback, params = {}) {
+        return I18n.t(`quote.${key}`, params, fallback);
+    }
+    
+    // ==========================================
+    // QUOTE OPERATIONS
+    // ==========================================
+    
+    /**
+     * Add packs to the quote (merges with an existing line)
+     * 
+     * @param {string} sku - Product SKU
+     * @param {string} size - Pack size label
+     * @param {number} quantity - Number of packs
+     * @returns {boolean} False if the product/pack doesn't exist
+     */
+    function add(sku, size, quantity) {
+        if (!resolveLine({ sku, size, quantity: 1 })) return false;
+        
+        const existing = state.lines.find(line => line.sku === sku && line.size === size);
+        
+        if (existing) {
+            existing.quantity = clampQuantity(existing.quantity + Number(quantity));
+        } else {
+            state.lines.push({ sku, size, quantity: clampQuantity(quantity) });
+        }
+        
+        changed();
+        return true;
+    }
+    
+    /**
+     * Set quantity of a line
+     * 
+     * @param {string} sku - Product SKU
+     * @param {string} size - Pack size label
+     * @param {number} quantity - New quantity (0 removes the line)
+     */
+    function setQuantity(sku, size, quantity) {
+        if (Number(quantity) <= 0) {
+            remove(sku, size);
+            return;
+        }
+        
+        const line = state.lines.find(item => item.sku === sku && item.size === size);
+        if (!line) return;
+        
+        line.quantity = clampQuantity(quantity);
+        changed();
+    }
+    
+    /**
+     * Remove a line
+     * 
+     * @param {string} sku - Product SKU
+     * @param {string} size - Pack size label
+     */
+    function remove(sku, size) {
+        state.lines = state.lines.filter(line => !(line.sku === sku && line.size === size));
+        changed();
+    }
+    
+    /**
+     * Empty the quote (customer details are kept for next time)
+     */
+    function clear() {
+        state.lines = [];
+        changed();
+    }
+    
+    /**
+     * Quote reference - issued once per version of the quote
+     * 
+     * @returns {string}
+     */
+    function getReference() {
+        if (!state.reference) {
+            state.reference = Utils.generateId();
+            save();
+        }
+        
+        return state.reference;
+    }
+    
+    /**
+     * Last day the prices are held, as a date key
+     * 
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    function getValidUntil() {
+        return BusinessHours.addDays(BusinessHours.now().date, CONFIG.quote.validDays);
+    }
+    
+    // ==========================================
+    // EXPORT
+    // ==========================================
+    
+    /**
+     * Compose WhatsApp quote message in the visitor's language
+     * 
+     * @returns {string} Message text
+     */
+    function buildMessage() {
+        const totals = getTotals();
+        const customer = state.customer.business
+            ? `${state.customer.name} (${state.customer.business})`
+            : state.customer.name;
+        
+        const lines = getLines().map((line, index) => {
+            const discount = line.discount > 0 ? ` (-${formatPercent(line.discount)})` : '';
+            
+            return `${index + 1}. ${line.product.name} (${line.sku})\n` +
+                `   ${line.size} x ${line.quantity} @ ${Utils.formatCurrency(line.unitPrice)}${discount} = ${Utils.formatCurrency(line.total)}`;
+        });
+        
+        const message = [
+            `*${text('title', 'Bulk Quote - {business.name}')}*`,
+            `${text('reference', 'Quote ref')}: ${getReference()}`,
+            `${text('validUntil', 'Valid until')}: ${BusinessHours.formatDate(getValidUntil())}`,
+            '',
+            `*${text('customer', 'Customer')}:* ${customer}`,
+            '',
+            `*${text('items', 'Items')}:*`,
+            ...lines,
+            ''
+        ];
+        
+        if (totals.savings > 0) {
+            message.push(`*${text('savings', 'Volume discount')}:* -${Utils.formatCurrency(totals.savings)}`);
+        }
+        
+        message.push(`*${text('terms', 'Payment terms')}:* ${getTermsLabel(totals.terms)}` +
+            (totals.surcharge ? ` (+${formatPercent(totals.terms.surcharge)} = ${Utils.formatCurrency(totals.surcharge)})` : ''));
+        message.push(`*${text('total', 'Quote total')}:* ${Utils.formatCurrency(totals.total)}`);
+        
+        return message.join('\n');
+    }
+    
+    /**
+     * Fill the printable quote and open the print dialog (or "Save as PDF")
+     */
+    function print() {
+        const totals = getTotals();
+        const business = CONFIG.business;
+        const longDate = { day: 'numeric', month: 'long', year: 'numeric' };
+        const heading = key => Utils.escapeHTML(text(`table.${key}`, TABLE_HEADINGS[key]));
+        const customer = state.customer.business ? `${state.customer.name}, ${state.customer.business}` : state.customer.name;
+        
+        DOM.print.innerHTML = `
+            <header class="quote-print__header">
+                <div>
+                    <h1 class="quote-print__business">${Utils.escapeHTML(business.name)}</h1>
+                    <p>${Utils.escapeHTML(business.address)}</p>
+                    <p>${Utils.escapeHTML(Utils.formatPhone(business.phone))} · ${Utils.escapeHTML(business.email)}</p>
+                </div>
+                <div class="quote-print__meta">
+                    <h2>${Utils.escapeHTML(text('print.title', 'Quotation'))}</h2>
+                    <p>${Utils.escapeHTML(text('print.reference', 'Ref: {reference}', { reference: getReference() }))}</p>
+                    <p>${Utils.escapeHTML(text('print.date', 'Date: {date}', { date: BusinessHours.formatDate(BusinessHours.now().date, longDate) }))}</p>
+                    <p>${Utils.escapeHTML(text('print.validUntil', 'Valid until: {date}', { date: BusinessHours.formatDate(getValidUntil(), longDate) }))}</p>
+                </div>
+            </header>
+            
+            <p class="quote-print__customer">
+                <strong>${Utils.escapeHTML(text('print.preparedFor', 'Prepared for:'))}</strong> ${Utils.escapeHTML(customer)}
+            </p>
+            
+            <table class="quote-print__table">
+                <thead>
+                    <tr>
+                        <th>${heading('sku')}</th>
+                        <th>${heading('product')}</th>
+                        <th>${heading('pack')}</th>
+                        <th>${heading('quantity')}</th>
+                        <th>${heading('unitPrice')}</th>
+                        <th>${heading('total')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${getLines().map(line => `
+                        <tr>
+                            <td>${Utils.escapeHTML(line.sku)}</td>
+                            <td>${Utils.escapeHTML(line.product.name)}</td>
+                            <td>${Utils.escapeHTML(line.size)}</td>
+                            <td>${line.quantity}</td>
+                            <td>${Utils.formatCurrency(line.unitPrice)}${line.discount > 0 ? ` (-${formatPercent(line.discount)})` : ''}</td>
+                            <td>${Utils.formatCurrency(line.total)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            
+            <dl class="quote-print__totals">
+                ${renderTotalRows(totals)}
+            </dl>
+            
+            <p class="quote-print__notes">
+                ${Utils.escapeHTML(text('print.notes', 'Wholesale prices in KES, volume breaks per product and pack size. Delivery is quoted separately.'))}
+                ${totals.terms.credit ? Utils.escapeHTML(text('print.creditNote', 'Credit terms are subject to an approved credit account.')) : ''}
+            </p>
+        `;
+        
+        // Print styles show only the quote while this class is set
+        document.body.classList.add('is-printing-quote');
+        window.addEventListener('afterprint', () => document.body.classList.remove('is-printing-quote'), { once: true });
+        window.print();
+        
+        Analytics.track('quote_print', { items: state.lines.length, value: totals.total });
+    }
+    
+    // ==========================================
+    // UI
+    // ==========================================
+    
+    /**
+     * Open quote builder
+     */
+    function open() {
+        DOM.form.elements.customerName.value = state.customer.name;
+        DOM.form.elements.customerBusiness.value = state.customer.business;
+        
+        render();
+        Modal.open(DOM.modal);
+    }
+    
+    /**
+     * Price break summary above the builder
+     */
+    function renderTiers() {
+        DOM.tiers.innerHTML = CONFIG.quote.tiers
+            .filter(tier => tier.discount > 0)
+            .map(tier => `
+                <li class="quote-tiers__item">
+                    ${Utils.escapeHTML(text('tierPacks', '{count}+ packs:', { count: tier.minQuantity }))}
+                    <strong>${Utils.escapeHTML(text('tierOff', '{percent} off', { percent: formatPercent(tier.discount) }))}</strong>
+                </li>
+            `)
+            .join('');
+    }
+    
+    /**
+     * Payment terms choices
+     */
+    function renderTerms() {
+        DOM.terms.innerHTML = CONFIG.quote.paymentTerms.map(terms => `
+            <label>
+                <input type="radio" name="terms" value="${Utils.escapeHTML(terms.id)}"${terms.id === state.terms ? ' checked' : ''}>
+                ${Utils.escapeHTML(getTermsLabel(terms))}${terms.surcharge ? ` <span class="quote-terms__surcharge">+${formatPercent(terms.surcharge)}</span>` : ''}
+            </label>
+        `).join('');
+    }
+    
+    /**
+     * Product list grouped by category (out-of-stock products can't be quoted)
+     * Keeps the selected product and pack size when it's rebuilt
+     */
+    function renderProducts() {
+        const selected = { sku: DOM.product.value, size: DOM.size.value };
+        const outOfStock = I18n.t('catalog.stock.out_of_stock', {}, CONFIG.catalog.stockLabels.out_of_stock);
+        
+        DOM.product.innerHTML = Catalog.getCategories().map(category => `
+            <optgroup label="${Utils.escapeHTML(Catalog.getCategoryName(category))}">
+                ${Catalog.getProducts(category.id).map(product => `
+                    <option value="${Utils.escapeHTML(product.sku)}"${product.stock === 'out_of_stock' ? ' disabled' : ''}>
+                        ${Utils.escapeHTML(product.name)}${product.stock === 'out_of_stock' ? ` (${Utils.escapeHTML(outOfStock)})` : ''}
+                    </option>
+                `).join('')}
+            </optgroup>
+        `).join('');
+        
+        if (selected.sku) DOM.product.value = selected.sku;
+        renderSizes();
+        if (selected.size) DOM.size.value = selected.size;
+    }
+    
+    /**
+     * Pack sizes of the selected product
+     */
+    function renderSizes() {
+        const product = Catalog.getProduct(DOM.product.value);
+        
+        DOM.size.innerHTML = product ? product.packSizes.map(pack => `
+            <option value="${Utils.escapeHTML(pack.size)}">${Utils.escapeHTML(pack.size)} · ${Utils.formatCurrency(pack.wholesale)}</option>
+        `).join('') : '';
+    }
+    
+    /**
+     * Re-render lines and totals
+     */
+    function render() {
+        const lines = getLines();
+        const totals = getTotals();
+        
+        DOM.termsHint.hidden = !totals.terms.credit;
+        DOM.form.querySelectorAll('[data-quote-action="print"], [type="submit"]').forEach(button => {
+            button.disabled = !lines.length;
+        });
+        
+        if (!lines.length) {
+            DOM.lines.innerHTML = `<p class="quote-lines__empty">${Utils.escapeHTML(text('empty', 'Add products above to see your wholesale price.'))}</p>`;
+            DOM.totals.innerHTML = '';
+            return;
+        }
+        
+        DOM.lines.innerHTML = `
+            <table class="quote-lines">
+                <thead>
+                    <tr>
+                        <th>${Utils.escapeHTML(text('table.product', TABLE_HEADINGS.product))}</th>
+                        <th>${Utils.escapeHTML(text('table.quantity', TABLE_HEADINGS.quantity))}</th>
+                        <th>${Utils.escapeHTML(text('table.unitPrice', TABLE_HEADINGS.unitPrice))}</th>
+                        <th>${Utils.escapeHTML(text('table.total', TABLE_HEADINGS.total))}</th>
+                        <th><span class="sr-only">${Utils.escapeHTML(text('table.remove', TABLE_HEADINGS.remove))}</span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lines.map(renderLine).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        DOM.totals.innerHTML = renderTotalRows(totals);
+    }
+    
+    /**
+     * One quote line with its price break and the next one up
+     * 
+     * @param {Object} line - Resolved line
+     * @returns {string} HTML
+     */
+    function renderLine(line) {
+        const label = `${line.product.name} ${line.size}`;
+        const nextBreak = line.next
+            ? `<span class="quote-line__next">${Utils.escapeHTML(text('nextBreak', '{count}+ packs: {price} each', { count: line.next.minQuantity, price: Utils.formatCurrency(line.next.price) }))}</span>`
+            : '';
+        
+        return `
+            <tr class="quote-line" data-sku="${Utils.escapeHTML(line.sku)}" data-size="${Utils.escapeHTML(line.size)}">
+                <td>
+                    <span class="quote-line__name">${Utils.escapeHTML(line.product.name)}</span>
+                    <span class="quote-line__meta">${Utils.escapeHTML(line.size)} · ${Utils.escapeHTML(line.sku)}</span>
+                    ${nextBreak}
+                </td>
+                <td>
+                    <input type="number" class="form-field__input quote-line__quantity" min="1" max="${CONFIG.quote.maxQuantity}" value="${line.quantity}" aria-label="${Utils.escapeHTML(text('quantityOf', 'Quantity of {item}', { item: label }))}">
+                </td>
+                <td>
+                    ${line.discount > 0 ? `<s class="quote-line__list">${Utils.formatCurrency(line.listPrice)}</s>` : ''}
+                    ${Utils.formatCurrency(line.unitPrice)}
+                    ${line.discount > 0 ? `<span class="quote-line__discount">-${formatPercent(line.discount)}</span>` : ''}
+                </td>
+                <td class="quote-line__total">${Utils.formatCurrency(line.total)}</td>
+                <td>
+                    <button type="button" class="cart-item__remove" data-quote-action="remove" aria-label="${Utils.escapeHTML(text('removeItem', 'Remove {item}', { item: label }))}">&times;</button>
+                </td>
+            </tr>
+        `;
+    }
+    
+    /**
+     * Totals as <dt>/<dd> pairs (builder and printout)
+     * 
+     * @param {Object} totals - From getTotals()
+     * @returns {string} HTML
+     */
+    function renderTotalRows(totals) {
+        const rows = [[text('listPrice', 'Wholesale list price'), Utils.formatCurrency(totals.list)]];
+        
+        if (totals.savings > 0) rows.push([text('savings', 'Volume discount'), `-${Utils.formatCurrency(totals.savings)}`]);
+        if (totals.surcharge) rows.push([`${getTermsLabel(totals.terms)} (+${formatPercent(totals.terms.surcharge)})`, Utils.formatCurrency(totals.surcharge)]);
+        
+        rows.push([text('total', 'Quote total'), Utils.formatCurrency(totals.total)]);
+        
+        return rows.map(([label, value], index) => `
+            <div class="quote-totals__row${index === rows.length - 1 ? ' quote-totals__row--total' : ''}">
+                <dt>${Utils.escapeHTML(label)}</dt>
+                <dd>${Utils.escapeHTML(value)}</dd>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Add, remove, clear and print buttons
+     */
+    function handleClick(e) {
+        const button = e.target.closest('[data-quote-action]');
+        if (!button) return;
+        
+        const action = button.dataset.quoteAction;
+        
+        if (action === 'add') {
+            add(DOM.product.value, DOM.size.value, DOM.form.elements.quantity.value);
+            return;
+        }
+        
+        if (action === 'clear') {
+            clear();
+            return;
+        }
+        
+        if (action === 'print') {
+            if (!checkDetails()) return;
+            print();
+            return;
+        }
+        
+        if (action === 'remove') {
+            const { sku, size } = button.closest('.quote-line').dataset;
+            remove(sku, size);
+        }
+    }
+    
+    /**
+     * Product, quantity and payment terms changes
+     */
+    function handleChange(e) {
+        if (e.target === DOM.product) {
+            renderSizes();
+            return;
+        }
+        
+        if (e.target.name === 'terms') {
+            state.terms = e.target.value;
+            changed();
+            return;
+        }
+        
+        if (e.target.classList.contains('quote-line__quantity')) {
+            const { sku, size } = e.target.closest('.quote-line').dataset;
+            setQuantity(sku, size, e.target.value);
+        }
+    }
+    
+    /**
+     * Enter in a quantity box updates the quote rather than sending it
+     */
+    function handleKeydown(e) {
+        if (e.key !== 'Enter' || e.target.type !== 'number') return;
+        
+        e.preventDefault();
+        
+        if (e.target.name === 'quantity') {
+            add(DOM.product.value, DOM.size.value, e.target.value);
+        } else {
+            e.target.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+    
+    /**
+     * Name is required on a shared quote - remember the details for next time
+     * 
+     * @returns {boolean} True if the details are complete
+     */
+    function checkDetails() {
+        const name = DOM.form.elements.customerName;
+        
+        if (!name.value.trim()) {
+            name.reportValidity();
+            return false;
+        }
+        
+        state.customer = {
+            name: name.value.trim(),
+            business: DOM.form.elements.customerBusiness.value.trim()
+        };
+        save();
+        
+        return true;
+    }
+    
+    /**
+     * Send quote via WhatsApp
+     */
+    async function handleSend(e) {
+        e.preventDefault();
+        
+        if (!getLines().length || !checkDetails()) return;
+        
+        const totals = getTotals();
+        const reference = getReference();
+        
+        const result = await Outbox.submit({
+            type: 'quote',
+            label: text('label', 'Quote {reference}', { reference }),
+            message: buildMessage(),
+            payload: {
+                reference,
+                customer: state.customer,
+                terms: totals.terms.id,
+                lines: getLines().map(line => ({
+                    sku: line.sku,
+                    name: line.product.name,
+                    size: line.size,
+                    quantity: line.quantity,
+                    listPrice: line.listPrice,
+                    unitPrice: line.unitPrice,
+                    total: line.total
+                })),
+                savings: totals.savings,
+                surcharge: totals.surcharge,
+                total: totals.total,
+                validUntil: getValidUntil()
+            }
+        });
+        
+        Analytics.track('quote_send', { items: state.lines.length, value: totals.total, terms: totals.terms.id });
+        
+        if (result === 'whatsapp') {
+            KelahApp.showNotification(text('ready', 'Quote ready in WhatsApp - tap send and we will confirm stock and delivery'), 'success');
+        }
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        open,
+        add,
+        setQuantity,
+        remove,
+        clear,
+        getLines,
+        getTotals,
+        getTier,
+        buildMessage,
+        print
+    };
+
+})();
+
+// Make Quote globally available
+window.Quote = Quote;
\ No newline at end of file
@@ -0,0 +1,424 @@
+/**
+ * Product Search
+ * 
+ * Purpose: Client-side search over the product catalog from the header
+ * Responsibilities:
+ * - Build a search index from Catalog products + synonym table
+ * - Typo-tolerant matching (Levenshtein) for names, SKUs and local names
+ * - Combobox UI with keyboard navigation (arrows, Enter, Escape)
+ * - Deep-link results into the catalog listing view
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Search = (function() {
+    
+    /**
+     * Field weights - a hit on the product name counts more than description
+     */
+    const WEIGHTS = {
+        sku: 6,
+        name: 4,
+        synonym: 4,
+        category: 2,
+        description: 1
+    };
+    
+    /**
+     * Filler words ignored in queries ("dawa ya kupe" -> "dawa", "kupe")
+     */
+    const STOP_WORDS = ['ya', 'la', 'za', 'cha', 'wa', 'na', 'kwa', 'the', 'of', 'for', 'and'];
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Search state
+     */
+    const state = {
+        index: [],
+        query: '',
+        results: [],
+        activeIndex: -1
+    };
+    
+    /**
+     * Initialize search - builds the index once the catalog is ready
+     */
+    function init() {
+        DOM = {
+            form: Utils.getElement('#headerSearch'),
+            input: Utils.getElement('#searchInput'),
+            results: Utils.getElement('#searchResults')
+        };
+        
+        if (!DOM.form || !DOM.input || !DOM.results) return;
+        
+        Promise.all([Catalog.ready(), loadSynonyms()])
+            .then(([loaded, synonyms]) => {
+                if (!loaded) {
+                    // Nothing to search - hide the box rather than show dead results
+                    DOM.form.hidden = true;
+                    return;
+                }
+                
+                buildIndex(synonyms);
+                bindEvents();
+                
+                // Open results follow the language, and the "ask us" link the selected branch
+                I18n.onChange(refreshResults);
+                Branches.onChange(refreshResults);
+            });
+    }
+    
+    /**
+     * Load synonym table
+     * Search still works without it, so failures are logged and ignored
+     * 
+     * @returns {Promise<Array>} Synonym entries
+     */
+    async function loadSynonyms() {
+        try {
+            const data = await Utils.fetchJSON(CONFIG.search.synonymsUrl);
+            return data.synonyms || [];
+        } catch (error) {
+            Utils.logError('Search synonyms failed to load', error);
+            return [];
+        }
+    }
+    
+    // ==========================================
+    // INDEXING
+    // ==========================================
+    
+    /**
+     * Split text into normalized tokens
+     * 
+     * @param {string} text - Raw text
+     * @returns {Array<string>} Tokens
+     */
+    function tokenize(text) {
+        return Utils.normalizeText(text)
+            .split(' ')
+            .filter(token => token && !STOP_WORDS.includes(token));
+    }
+    
+    /**
+     * Build index entries for every catalog product
+     * 
+     * @param {Array} synonyms - Synonym entries ({ terms, skus } or { terms, category })
+     */
+    function buildIndex(synonyms) {
+        state.index = Catalog.getProducts().map(product => {
+            const category = Catalog.getCategory(product.category);
+            
+            // Synonyms can target products directly or a whole category
+            const terms = synonyms
+                .filter(entry => (entry.skus || []).includes(product.sku) || entry.category === product.category)
+                .flatMap(entry => entry.terms);
+            
+            return {
+                product,
+                name: Utils.normalizeText(product.name),
+                phrases: terms.map(Utils.normalizeText),
+                fields: {
+                    sku: [Utils.normalizeText(product.sku).replace(/ /g, '')],
+                    name: tokenize(product.name),
+                    synonym: tokenize(terms.join(' ')),
+                    category: tokenize(category ? category.name : product.category),
+                    description: tokenize(product.description)
+                }
+            };
+        });
+    }
+    
+    // ==========================================
+    // MATCHING
+    // ==========================================
+    
+    /**
+     * Similarity between a query token and an indexed token
+     * Exact = 1, prefix = 0.9, small typos scale down from 0.8
+     * 
+     * @param {string} query - Query token
+     * @param {string} term - Indexed token
+     * @returns {number} Score between 0 and 1
+     */
+    function similarity(query, term) {
+        if (query === term) return 1;
+        if (term.startsWith(query) && query.length >= 2) return 0.9;
+        
+        // Allow more typos in longer words
+        const allowed = query.length <= 3 ? 0 : query.length <= 6 ? 1 : 2;
+        if (allowed === 0 || Math.abs(query.length - term.length) > allowed) return 0;
+        
+        const distance = Utils.levenshtein(query, term);
+        return distance <= allowed ? 0.8 - (distance - 1) * 0.2 : 0;
+    }
+    
+    /**
+     * Score a product entry against query tokens
+     * 
+     * @param {Object} entry - Index entry
+     * @param {Array<string>} tokens - Query tokens
+     * @param {string} phrase - Whole normalized query
+     * @returns {number} Score (0 = no match)
+     */
+    function scoreEntry(entry, tokens, phrase) {
+        let score = 0;
+        let matchedTokens = 0;
+        
+        tokens.forEach(token => {
+            let best = 0;
+            
+            Object.keys(WEIGHTS).forEach(field => {
+                entry.fields[field].forEach(term => {
+                    best = Math.max(best, similarity(token, term) * WEIGHTS[field]);
+                });
+            });
+            
+            if (best > 0) matchedTokens++;
+            score += best;
+        });
+        
+        if (!matchedTokens) return 0;
+        
+        // Reward products that match every word, and exact phrase hits
+        if (matchedTokens === tokens.length) score *= 1.5;
+        if (entry.name.includes(phrase)) score += 8;
+        if (entry.phrases.some(text => text.includes(phrase))) score += 5;
+        
+        // Typed SKU ("vet 003", "VET-003") beats everything else
+        if (phrase.replace(/ /g, '') === entry.fields.sku[0]) score += 20;
+        
+        return score;
+    }
+    
+    /**
+     * Search products
+     * 
+     * @param {string} text - Raw query text
+     * @returns {Array} Matching products, best first
+     */
+    function query(text) {
+        const phrase = Utils.normalizeText(text);
+        const tokens = tokenize(text);
+        
+        if (phrase.length < CONFIG.search.minQueryLength || !tokens.length) return [];
+        
+        return state.index
+            .map(entry => ({ product: entry.product, score: scoreEntry(entry, tokens, phrase) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CONFIG.search.maxResults)
+            .map(result => result.product);
+    }
+    
+    // ==========================================
+    // UI
+    // ==========================================
+    
+    /**
+     * Bind input, keyboard and result events
+     */
+    function bindEvents() {
+        DOM.input.addEventListener('input', Utils.debounce(handleInput, CONFIG.performance.debounceDelay));
+        DOM.input.addEventListener('keydown', handleKeydown);
+        DOM.form.addEventListener('submit', handleSubmit);
+        
+        // Keep focus in the input while clicking a result
+        DOM.results.addEventListener('mousedown', e => e.preventDefault());
+        DOM.results.addEventListener('click', handleResultClick);
+        
+        DOM.input.addEventListener('blur', closeResults);
+        DOM.input.addEventListener('focus', () => {
+            if (state.results.length) openResults();
+        });
+    }
+    
+    /**
+     * Run search on input
+     */
+    function handleInput() {
+        const text = DOM.input.value;
+        
+        state.query = text;
+        state.results = query(text);
+        state.activeIndex = -1;
+        renderResults(text);
+    }
+    
+    /**
+     * Render results list
+     * 
+     * @param {string} text - Query (used for the no-results message)
+     */
+    function renderResults(text) {
+        if (Utils.normalizeText(text).length < CONFIG.search.minQueryLength) {
+            closeResults();
+            return;
+        }
+        
+        if (!state.results.length) {
+            const phrase = text.trim();
+            const message = I18n.t('search.whatsapp', { query: phrase }, `Hello ${CONFIG.business.name}, do you stock "${phrase}"?`);
+            
+            DOM.results.innerHTML = `
+                <li class="search__empty" role="presentation">
+                    ${Utils.escapeHTML(I18n.t('search.noMatches', { query: phrase }, `No matches for "${phrase}".`))}
+                    <a href="${CONFIG.getWhatsAppLink(message)}" target="_blank" rel="noopener">${Utils.escapeHTML(I18n.t('search.ask', {}, 'Ask us on WhatsApp'))}</a>
+                </li>
+            `;
+            openResults();
+            return;
+        }
+        
+        DOM.results.innerHTML = state.results.map((product, index) => {
+            const category = Catalog.getCategory(product.category);
+            const fromPrice = Utils.formatCurrency(Math.min(...product.packSizes.map(pack => pack.retail)));
+            const meta = [
+                category ? Catalog.getCategoryName(category) : '',
+                I18n.t('search.from', { price: fromPrice }, `from ${fromPrice}`)
+            ].filter(Boolean);
+            
+            return `
+                <li class="search__result" id="searchResult-${index}" role="option" aria-selected="false" data-index="${index}">
+                    <span class="search__result-name">${Utils.escapeHTML(product.name)}</span>
+                    <span class="search__result-meta">${Utils.escapeHTML(meta.join(' · '))}</span>
+                </li>
+            `;
+        }).join('');
+        
+        openResults();
+    }
+    
+    /**
+     * Re-render open results in place, keeping the highlighted one
+     */
+    function refreshResults() {
+        if (DOM.results.hidden) return;
+        
+        const active = state.activeIndex;
+        renderResults(state.query);
+        if (active >= 0) setActive(active);
+    }
+    
+    /**
+     * Keyboard navigation of results
+     */
+    function handleKeydown(e) {
+        const count = state.results.length;
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                if (!count) return;
+                e.preventDefault();
+                openResults();
+                setActive((state.activeIndex + 1) % count);
+                break;
+            
+            case 'ArrowUp':
+                if (!count) return;
+                e.preventDefault();
+                setActive(state.activeIndex <= 0 ? count - 1 : state.activeIndex - 1);
+                break;
+            
+            case 'Escape':
+                if (DOM.results.hidden) {
+                    DOM.input.value = '';
+                } else {
+                    closeResults();
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Open the active (or first) result on Enter
+     */
+    function handleSubmit(e) {
+        e.preventDefault();
+        
+        // Input may still be waiting on the debounce
+        if (DOM.input.value !== state.query) {
+            handleInput();
+        }
+        
+        const index = Math.max(state.activeIndex, 0);
+        if (state.results[index]) {
+            selectResult(index);
+        }
+    }
+    
+    /**
+     * Open clicked result
+     */
+    function handleResultClick(e) {
+        const item = e.target.closest('.search__result');
+        if (!item) return;
+        
+        selectResult(Number(item.dataset.index));
+    }
+    
+    /**
+     * Highlight result for keyboard users
+     * 
+     * @param {number} index - Result index
+     */
+    function setActive(index) {
+        state.activeIndex = index;
+        
+        Utils.getElements('.search__result').forEach((item, i) => {
+            const active = i === index;
+            item.classList.toggle('search__result--active', active);
+            item.setAttribute('aria-selected', String(active));
+        });
+        
+        DOM.input.setAttribute('aria-activedescendant', `searchResult-${index}`);
+    }
+    
+    /**
+     * Deep-link to the product in the catalog view
+     * 
+     * @param {number} index - Result index
+     */
+    function selectResult(index) {
+        const product = state.results[index];
+        if (!product) return;
+        
+        closeResults();
+        DOM.input.blur();
+        Catalog.openCategory(product.category, product.sku);
+    }
+    
+    /**
+     * Show results list
+     */
+    function openResults() {
+        DOM.results.hidden = false;
+        DOM.input.setAttribute('aria-expanded', 'true');
+    }
+    
+    /**
+     * Hide results list
+     */
+    function closeResults() {
+        DOM.results.hidden = true;
+        DOM.input.setAttribute('aria-expanded', 'false');
+        DOM.input.removeAttribute('aria-activedescendant');
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        query
+    };
+
+})();
+
+// Make Search globally available
+window.Search = Search;
\ No newline at end of file
@@ -0,0 +1,428 @@
+/**
+ * Site Content
+ * 
+ * Purpose: Load the content bundle exported from admin mode (js/admin.js)
+ * Responsibilities:
+ * - Fetch data/site-content.json at startup, before anything renders
+ * - Check the bundle and apply its CONFIG values (business details, hours)
+ * - Product descriptions for js/catalog.js, testimonials for js/testimonials.js
+ * - Keep the admin's unpublished draft in localStorage
+ * 
+ * Anything missing or invalid in the bundle keeps the value from js/config.js
+ * or the data files.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const SiteContent = (function() {
+    
+    /**
+     * Bundle format version - bump when the shape changes
+     */
+    const VERSION = 1;
+    
+    /**
+     * Top-level keys a bundle may have
+     */
+    const SECTIONS = ['version', 'updated', 'config', 'testimonials', 'products'];
+    
+    /**
+     * CONFIG values a bundle may set
+     * check() returns an error message, or '' when the value is fine
+     */
+    const FIELDS = [
+        {
+            path: 'business.name',
+            label: 'Business name',
+            check: value => checkText(value, 80, true)
+        },
+        {
+            path: 'business.tagline',
+            label: 'Tagline',
+            check: value => checkText(value, 160)
+        },
+        {
+            path: 'business.phone',
+            label: 'Phone',
+            hint: 'With the country code, e.g. +254722784947',
+            check: value => (/^\+\d{9,15}$/.test(value) ? '' : 'Use + and the country code, digits only, e.g. +254722784947')
+        },
+        {
+            path: 'business.whatsapp',
+            label: 'WhatsApp number',
+            hint: 'Only if WhatsApp is on a different number - digits, no + sign',
+            check: value => (value === '' || /^\d{9,15}$/.test(value) ? '' : 'Digits only with the country code, e.g. 254722784947 - or leave empty')
+        },
+        {
+            path: 'business.email',
+            label: 'Email',
+            check: value => (value === '' || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? '' : 'Enter a valid email address')
+        },
+        {
+            path: 'business.address',
+            label: 'Address',
+            hint: "'Street/building, Town'",
+            check: value => checkText(value, 160, true)
+        },
+        {
+            path: 'business.hours.weekdays',
+            label: 'Hours, Monday - Friday',
+            hint: "e.g. '8:00 AM - 6:00 PM' or 'Closed'",
+            check: checkHours
+        },
+        {
+            path: 'business.hours.saturday',
+            label: 'Hours, Saturday',
+            check: checkHours
+        },
+        {
+            path: 'business.hours.sunday',
+            label: 'Hours, Sunday',
+            check: checkHours
+        }
+    ];
+    
+    /**
+     * Bundle from data/site-content.json
+     */
+    let published = null;
+    
+    /**
+     * Bundle in use (published, or the admin's draft)
+     */
+    let current = null;
+    
+    /**
+     * Paths skipped because they failed the checks
+     */
+    let skipped = [];
+    
+    /**
+     * Load the bundle and apply its CONFIG values
+     * Runs before the other modules initialise; never rejects, and gives up after
+     * CONFIG.content.timeout so a slow connection doesn't hold up the page
+     * 
+     * @param {Object} options - { draft: true } to use the admin's draft when there is one
+     * @returns {Promise<boolean>} True if a bundle was applied
+     */
+    async function load({ draft = false } = {}) {
+        try {
+            published = await Utils.fetchJSON(CONFIG.content.dataUrl, { timeout: CONFIG.content.timeout });
+        } catch (error) {
+            Utils.logError('Site content failed to load - using js/config.js', error);
+        }
+        
+        const bundle = (draft && getDraft()) || published;
+        if (!bundle) return false;
+        
+        const errors = validate(bundle);
+        
+        if (errors.some(error => error.path === 'version')) {
+            Utils.logError(`Site content ignored: ${errors[0].message}`);
+            return false;
+        }
+        
+        if (errors.length) {
+            Utils.logError(`Site content: skipped ${errors.map(error => error.path).join(', ')}`);
+        }
+        
+        current = bundle;
+        skipped = errors.map(error => error.path);
+        
+        flatten(bundle.config || {})
+            .filter(entry => getField(entry.path) && !isSkipped(`config.${entry.path}`))
+            .forEach(entry => setPath(CONFIG, entry.path, entry.value));
+        
+        return true;
+    }
+    
+    // ==========================================
+    // CONTENT
+    // ==========================================
+    
+    /**
+     * Testimonials from the bundle
+     * 
+     * @returns {Array<Object>|null} Null to use data/testimonials.json
+     */
+    function getTestimonials() {
+        if (!current || !Array.isArray(current.testimonials) || isSkipped('testimonials')) return null;
+        return current.testimonials;
+    }
+    
+    /**
+     * Apply the bundle's product descriptions
+     * 
+     * @param {Array<Object>} products - From data/products.json
+     * @returns {Array<Object>} The same products
+     */
+    function applyProducts(products) {
+        const overrides = (current && current.products) || {};
+        
+        products.forEach(product => {
+            const override = overrides[product.sku];
+            if (override && !isSkipped(`products.${product.sku}`)) {
+                product.description = override.description;
+            }
+        });
+        
+        return products;
+    }
+    
+    /**
+     * Published bundle, as a starting point for a draft
+     * 
+     * @returns {Object} Copy of the bundle
+     */
+    function getPublished() {
+        return JSON.parse(JSON.stringify(published || { version: VERSION }));
+    }
+    
+    // ==========================================
+    // DRAFT (admin mode)
+    // ==========================================
+    
+    /**
+     * Unpublished changes on this device
+     * A draft from another bundle version is ignored, so the published content is used
+     * 
+     * @returns {Object|null} Draft bundle
+     */
+    function getDraft() {
+        const bundle = Utils.loadFromStorage(CONFIG.content.draftKey);
+        if (!bundle) return null;
+        
+        const errors = validate(bundle);
+        
+        if (errors.some(error => error.path === 'version')) {
+            Utils.logError(`Site content draft ignored: ${errors[0].message}`);
+            return null;
+        }
+        
+        return bundle;
+    }
+    
+    /**
+     * Keep unpublished changes on this device
+     * 
+     * @param {Object} bundle - Draft bundle
+     * @returns {boolean} False if storage is unavailable or full
+     */
+    function saveDraft(bundle) {
+        return Utils.saveToStorage(CONFIG.content.draftKey, bundle);
+    }
+    
+    /**
+     * Throw away unpublished changes
+     */
+    function clearDraft() {
+        Utils.removeFromStorage(CONFIG.content.draftKey);
+    }
+    
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+    
+    /**
+     * Check a bundle before it is applied or exported
+     * 
+     * @param {Object} bundle - Content bundle
+     * @param {Object} options - { skus } to also check product SKUs exist
+     * @returns {Array<Object>} [{ path, message }] - empty when valid; paths are
+     * bundle paths, e.g. 'config.business.phone', 'testimonials.2.quote'
+     */
+    function validate(bundle, { skus = null } = {}) {
+        if (!isObject(bundle)) return [{ path: 'version', message: 'Not a content bundle' }];
+        if (bundle.version !== VERSION) return [{ path: 'version', message: `Expected version ${VERSION}, got ${bundle.version}` }];
+        
+        const errors = Object.keys(bundle)
+            .filter(key => !SECTIONS.includes(key))
+            .map(key => ({ path: key, message: 'Unknown section' }));
+        
+        const add = (path, message) => {
+            if (message) errors.push({ path, message });
+        };
+        
+        if (bundle.config !== undefined) {
+            if (!isObject(bundle.config)) {
+                add('config', 'Must be an object');
+            } else {
+                flatten(bundle.config).forEach(({ path, value }) => {
+                    const field = getField(path);
+                    add(`config.${path}`, field ? field.check(value) : 'Not editable here - change it in js/config.js');
+                });
+            }
+        }
+        
+        if (bundle.testimonials !== undefined) {
+            if (!Array.isArray(bundle.testimonials) || !bundle.testimonials.length) {
+                add('testimonials', 'Keep at least one testimonial');
+            } else {
+                bundle.testimonials.forEach((item, index) => {
+                    const path = `testimonials.${index}`;
+                    if (!isObject(item)) return add(path, 'Must be an object');
+                    
+                    add(`${path}.name`, checkText(item.name, 60, true));
+                    add(`${path}.quote`, checkText(item.quote, 500, true));
+                    add(`${path}.role`, checkText(item.role, 60));
+                    add(`${path}.location`, checkText(item.location, 60));
+                    add(`${path}.rating`, checkRating(item.rating));
+                });
+            }
+        }
+        
+        if (bundle.products !== undefined) {
+            if (!isObject(bundle.products)) {
+                add('products', 'Must be an object of SKUs');
+            } else {
+                Object.keys(bundle.products).forEach(sku => {
+                    const product = bundle.products[sku];
+                    const path = `products.${sku}`;
+                    
+                    if (skus && !skus.includes(sku)) return add(path, 'No product with this SKU in data/products.json');
+                    if (!isObject(product)) return add(path, 'Must be an object');
+                    
+                    add(`${path}.description`, checkText(product.description, 600, true));
+                });
+            }
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * @param {*} value - Value to check
+     * @param {number} max - Most characters allowed
+     * @param {boolean} required - Must not be empty
+     * @returns {string} Error message, or ''
+     */
+    function checkText(value, max, required = false) {
+        if (value === undefined || value === '') return required ? 'Required' : '';
+        if (typeof value !== 'string') return 'Must be text';
+        if (required && !value.trim()) return 'Required';
+        if (value.length > max) return `Keep it under ${max} characters`;
+        return '';
+    }
+    
+    /**
+     * Opening hours must be readable - a typo would otherwise show the shop as closed
+     * 
+     * @param {*} value - e.g. '8:00 AM - 6:00 PM' or 'Closed'
+     * @returns {string} Error message, or ''
+     */
+    function checkHours(value) {
+        if (typeof value === 'string' && (value.trim().toLowerCase() === 'closed' || BusinessHours.parseRange(value))) return '';
+        return "Use a time range like '8:00 AM - 6:00 PM', or 'Closed'";
+    }
+    
+    /**
+     * @param {*} value - Star rating (optional, half stars allowed)
+     * @returns {string} Error message, or ''
+     */
+    function checkRating(value) {
+        if (value === undefined || value === null) return '';
+        
+        const best = CONFIG.testimonials.bestRating;
+        if (typeof value !== 'number' || value < 1 || value > best || value * 2 % 1) return `Use 1 to ${best} stars`;
+        return '';
+    }
+    
+    // ==========================================
+    // HELPERS
+    // ==========================================
+    
+    /**
+     * Editable field by CONFIG path
+     * 
+     * @param {string} path - e.g. 'business.phone'
+     * @returns {Object|undefined}
+     */
+    function getField(path) {
+        return FIELDS.find(field => field.path === path);
+    }
+    
+    /**
+     * Whether a path (or a section containing it) failed the checks
+     * 
+     * @param {string} path - e.g. 'testimonials' or 'products.VET-001'
+     * @returns {boolean}
+     */
+    function isSkipped(path) {
+        return skipped.some(item => item === path || item.startsWith(`${path}.`));
+    }
+    
+    /**
+     * Nested object as leaf paths
+     * 
+     * @param {Object} object - e.g. { business: { hours: { sunday: 'Closed' } } }
+     * @param {string} prefix - Path so far
+     * @returns {Array<Object>} [{ path: 'business.hours.sunday', value: 'Closed' }]
+     */
+    function flatten(object, prefix = '') {
+        return Object.keys(object).reduce((entries, key) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const value = object[key];
+            
+            return isObject(value) ? entries.concat(flatten(value, path)) : entries.concat({ path, value });
+        }, []);
+    }
+    
+    /**
+     * Read a value by path
+     * 
+     * @param {Object} object - Source
+     * @param {string} path - e.g. 'business.hours.sunday'
+     * @returns {*} Value, or undefined if the path doesn't exist
+     */
+    function getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+    }
+    
+    /**
+     * Set a value by path, creating objects on the way
+     * 
+     * @param {Object} object - Target
+     * @param {string} path - e.g. 'business.hours.sunday'
+     * @param {*} value - New value
+     */
+    function setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        
+        const parent = keys.reduce((target, key) => {
+            if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+            return target[key];
+        }, object);
+        
+        parent[last] = value;
+    }
+    
+    /**
+     * @param {*} value
+     * @returns {boolean} True for plain objects (not arrays or null)
+     */
+    function isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        load,
+        validate,
+        getTestimonials,
+        applyProducts,
+        getPublished,
+        getDraft,
+        saveDraft,
+        clearDraft,
+        getPath,
+        setPath,
+        getFields: () => FIELDS.map(({ path, label, hint }) => ({ path, label, hint: hint || '' }))
+    };
+
+})();
+
+// Make SiteContent globally available
+window.SiteContent = SiteContent;
\ No newline at end of file
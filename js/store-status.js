@@ -0,0 +1,238 @@
+/**
+ * Store Status
+ * 
+ * Purpose: Show whether the shop is open right now and render opening hours
+ * Responsibilities:
+ * - "Open now - Closes in 2 h" / "Closed - Opens tomorrow at 8:00 AM" badges
+ * - Honour public holidays and special closures (via BusinessHours)
+ * - Render hours text from CONFIG so the markup can't drift out of date
+ * - Day names and status text in the visitor's language (js/i18n.js)
+ * 
+ * Markup hooks:
+ * - [data-store-status]           Live status badge
+ * - [data-hours="summary"]        Compact lines, e.g. 'Mon-Sat: 8:00 AM - 6:00 PM'
+ * - [data-hours="availability"]   'Available Mon-Sat, 8:00 AM - 6:00 PM'
+ * - [data-hours="table"]          Footer <ul> with one <li> per day group
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const StoreStatus = (function() {
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Initialize store status
+     */
+    function init() {
+        DOM = {
+            badges: Utils.getElements('[data-store-status]'),
+            summaries: Utils.getElements('[data-hours="summary"]'),
+            availability: Utils.getElements('[data-hours="availability"]'),
+            tables: Utils.getElements('[data-hours="table"]')
+        };
+        
+        renderHours();
+        render();
+        
+        // Re-render in the new language, or with the new branch's hours
+        const refresh = () => {
+            renderHours();
+            render();
+        };
+        I18n.onChange(refresh);
+        Branches.onChange(refresh);
+        
+        if (!DOM.badges.length) return;
+        
+        setInterval(render, CONFIG.storeStatus.refreshInterval);
+        
+        // Timers are throttled in background tabs - catch up when visible again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) render();
+        });
+    }
+    
+    // ==========================================
+    // HOURS TEXT
+    // ==========================================
+    
+    /**
+     * Render opening hours text from CONFIG.business.hours
+     */
+    function renderHours() {
+        const merged = getHoursRows(true);
+        
+        DOM.summaries.forEach(element => {
+            element.innerHTML = merged
+                .map(row => `${Utils.escapeHTML(row.label)}: ${Utils.escapeHTML(row.text)}`)
+                .join('<br>');
+        });
+        
+        DOM.availability.forEach(element => {
+            element.textContent = I18n.t('hours.available', {
+                hours: merged
+                    .filter(row => row.open)
+                    .map(row => `${row.label}, ${row.text}`)
+                    .join('; ')
+            });
+        });
+        
+        const rows = getHoursRows().map(row => `
+            <li>
+                <span class="day">${Utils.escapeHTML(row.label)}</span>
+                <span class="time">${Utils.escapeHTML(row.text)}</span>
+            </li>
+        `).join('');
+        
+        const closures = getUpcomingClosures().map(closure => `
+            <li class="footer__closure">
+                <span class="day">${Utils.escapeHTML(BusinessHours.formatDate(closure.date))}</span>
+                <span class="time">${Utils.escapeHTML(closure.text)}</span>
+            </li>
+        `).join('');
+        
+        DOM.tables.forEach(element => {
+            element.innerHTML = rows + closures;
+        });
+    }
+    
+    /**
+     * Hours rows with day names and "Closed" in the visitor's language
+     * 
+     * @param {boolean} merge - Combine consecutive days with the same hours
+     * @returns {Array} [{ label, text, open }]
+     */
+    function getHoursRows(merge = false) {
+        const labels = {};
+        
+        Object.keys(BusinessHours.LABELS).forEach(key => {
+            const label = BusinessHours.LABELS[key];
+            
+            labels[key] = {
+                full: I18n.t(`hours.${key}.full`, {}, label.full),
+                from: I18n.t(`hours.${key}.from`, {}, label.from),
+                to: I18n.t(`hours.${key}.to`, {}, label.to)
+            };
+        });
+        
+        return BusinessHours.getHoursRows(merge, labels).map(row => ({
+            ...row,
+            text: row.open ? row.text : I18n.t('hours.closed', {}, row.text)
+        }));
+    }
+    
+    /**
+     * Holidays and special closures on normally open days
+     * 
+     * @returns {Array} [{ date, text }] e.g. { date: '2026-10-20', text: 'Closed - Mashujaa Day' }
+     */
+    function getUpcomingClosures() {
+        const today = BusinessHours.now().date;
+        const weekly = BusinessHours.getWeeklySchedule();
+        const closures = [];
+        
+        for (let offset = 0; offset <= CONFIG.storeStatus.upcomingClosureDays; offset++) {
+            const date = BusinessHours.addDays(today, offset);
+            const reason = BusinessHours.getClosureReason(date);
+            
+            if (!reason || !weekly[BusinessHours.dayOfWeek(date)]) continue;
+            
+            const hours = BusinessHours.getHoursForDate(date);
+            const text = hours
+                ? `${BusinessHours.formatTime(hours.open)} - ${BusinessHours.formatTime(hours.close)} (${reason})`
+                : I18n.t('hours.closedFor', { reason });
+            
+            closures.push({ date, text });
+        }
+        
+        return closures;
+    }
+    
+    // ==========================================
+    // LIVE STATUS
+    // ==========================================
+    
+    /**
+     * Format a duration in minutes
+     * 
+     * @param {number} minutes - Duration
+     * @returns {string} e.g. '45 min', '2 h 15 min'
+     */
+    function formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        
+        if (!hours) return I18n.t('status.minutes', { minutes: mins });
+        return mins
+            ? I18n.t('status.hoursMinutes', { hours, minutes: mins })
+            : I18n.t('status.hours', { hours });
+    }
+    
+    /**
+     * Describe when the shop next opens
+     * 
+     * @param {Object} status - BusinessHours.getStatus() result
+     * @returns {string}
+     */
+    function describeOpening(status) {
+        if (!status.opensAt) return I18n.t('status.callForTimes');
+        
+        // Within the working day a countdown is more useful than a clock time
+        if (status.minutesLeft <= 12 * 60) return I18n.t('status.opensIn', { time: formatDuration(status.minutesLeft) });
+        
+        const { date, minutes } = status.opensAt;
+        const tomorrow = BusinessHours.addDays(BusinessHours.now().date, 1);
+        const day = date === tomorrow ? I18n.t('status.tomorrow') : BusinessHours.formatDate(date);
+        
+        return I18n.t('status.opensAt', { day, time: BusinessHours.formatTime(minutes) });
+    }
+    
+    /**
+     * Update every status badge
+     */
+    function render() {
+        const status = BusinessHours.getStatus();
+        const closingSoon = status.isOpen && status.minutesLeft <= CONFIG.storeStatus.closingSoonMinutes;
+        
+        let label;
+        let detail;
+        
+        if (status.isOpen) {
+            label = I18n.t('status.open');
+            detail = I18n.t('status.closesIn', { time: formatDuration(status.minutesLeft) });
+        } else {
+            label = status.reason
+                ? I18n.t('status.closedToday', { reason: status.reason })
+                : I18n.t('status.closed');
+            detail = describeOpening(status);
+        }
+        
+        DOM.badges.forEach(badge => {
+            badge.classList.toggle('store-status--open', status.isOpen && !closingSoon);
+            badge.classList.toggle('store-status--closing', closingSoon);
+            badge.classList.toggle('store-status--closed', !status.isOpen);
+            
+            badge.innerHTML = `
+                <span class="store-status__dot" aria-hidden="true"></span>
+                <strong class="store-status__label">${Utils.escapeHTML(label)}</strong>
+                <span class="store-status__detail">${Utils.escapeHTML(detail)}</span>
+            `;
+        });
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        refresh: render
+    };
+
+})();
+
+// Make StoreStatus globally available
+window.StoreStatus = StoreStatus;
\ No newline at end of file
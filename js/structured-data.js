@@ -0,0 +1,395 @@
+/**
+ * Structured Data (JSON-LD)
+ * 
+ * Purpose: Tell search engines who we are, where, when we're open and what we sell
+ * Responsibilities:
+ * - Build a LocalBusiness (VeterinaryCare) block from the head office details
+ *   (Branches.getDefaults()), whichever branch the visitor has picked
+ * - Every branch as a department when there is more than one
+ * - Opening hours from CONFIG.business.hours, plus upcoming holidays/closures
+ * - Product/Offer entries once the catalog has loaded
+ * - Accept extra business fields from other modules (testimonials' ratings)
+ * - Warn through Utils.logError when required business details are missing
+ * 
+ * Everything goes into one <script type="application/ld+json" id="structuredData">
+ * as an @graph, so Google sees a single business with its products and reviews.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const StructuredData = (function() {
+    
+    /**
+     * schema.org day names (0 = Sunday, matching BusinessHours)
+     */
+    const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    
+    /**
+     * Catalog stock status -> schema.org availability
+     */
+    const AVAILABILITY = {
+        in_stock: 'https://schema.org/InStock',
+        low_stock: 'https://schema.org/LimitedAvailability',
+        out_of_stock: 'https://schema.org/OutOfStock'
+    };
+    
+    /**
+     * Extra business fields from other modules, e.g. { aggregateRating, review }
+     */
+    const extras = {};
+    
+    /**
+     * Product nodes (filled once the catalog loads)
+     */
+    let products = [];
+    
+    /**
+     * Set once init() has run - extend() before then just stores fields
+     */
+    let initialized = false;
+    
+    /**
+     * Build and insert the JSON-LD, then add products when the catalog is ready
+     */
+    function init() {
+        initialized = true;
+        
+        validate().forEach(problem => Utils.logError(`Structured data: ${problem}`));
+        render();
+        
+        // Branch changes leave the head office alone, but admin edits to it come through here
+        Branches.onChange(render);
+        
+        if (CONFIG.structuredData.includeProducts) {
+            Catalog.ready().then(loaded => {
+                if (!loaded) return;
+                
+                products = Catalog.getProducts().map(buildProduct);
+                render();
+            });
+        }
+    }
+    
+    /**
+     * Add fields to the business node and re-render
+     * 
+     * @param {Object} fields - schema.org properties, e.g. { aggregateRating: {...} }
+     */
+    function extend(fields) {
+        Object.assign(extras, fields);
+        if (initialized) render();
+    }
+    
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+    
+    /**
+     * Check CONFIG.business has what search engines require
+     * 
+     * @returns {Array} Problems found (empty when complete)
+     */
+    function validate() {
+        const business = Branches.getDefaults();
+        const problems = [];
+        
+        if (!business.name) problems.push('CONFIG.business.name is missing');
+        if (!business.address) problems.push('CONFIG.business.address is missing');
+        
+        if (!business.phone) {
+            problems.push('CONFIG.business.phone is missing');
+        } else if (!Utils.parseKenyanPhone(business.phone)) {
+            problems.push(`CONFIG.business.phone "${business.phone}" is not a valid Kenyan number`);
+        }
+        
+        Object.keys(BusinessHours.LABELS).forEach(key => {
+            const text = business.hours && business.hours[key];
+            
+            if (!text) {
+                problems.push(`CONFIG.business.hours.${key} is missing`);
+            } else if (!/^closed$/i.test(text.trim()) && !BusinessHours.parseRange(text)) {
+                problems.push(`CONFIG.business.hours.${key} "${text}" can't be read - use '8:00 AM - 6:00 PM' or 'Closed'`);
+            }
+        });
+        
+        return problems;
+    }
+    
+    // ==========================================
+    // BUILDERS
+    // ==========================================
+    
+    /**
+     * Page address without hash or query - the base for every @id
+     * 
+     * @returns {string} URL
+     */
+    function getPageUrl() {
+        return `${window.location.origin}${window.location.pathname}`;
+    }
+    
+    /**
+     * Turn a site path into a full URL
+     * 
+     * @param {string} path - e.g. 'assets/images/products/poultry.jpg'
+     * @returns {string} Absolute URL
+     */
+    function toAbsolute(path) {
+        return new URL(path, document.baseURI).href;
+    }
+    
+    /**
+     * Main business node - the head office, not the visitor's branch
+     * 
+     * @returns {Object} schema.org LocalBusiness
+     */
+    function buildBusiness() {
+        const business = Branches.getDefaults();
+        const sameAs = Object.values(business.social || {}).filter(Boolean);
+        
+        const node = {
+            '@type': CONFIG.structuredData.type,
+            '@id': `${getPageUrl()}#business`,
+            name: business.name,
+            description: business.tagline,
+            url: getPageUrl(),
+            telephone: business.phone,
+            email: business.email,
+            image: toAbsolute(CONFIG.structuredData.image),
+            logo: toAbsolute(CONFIG.structuredData.logo),
+            currenciesAccepted: CONFIG.catalog.currency,
+            address: buildAddress(business.address),
+            openingHoursSpecification: buildOpeningHours(business.hours),
+            specialOpeningHoursSpecification: buildSpecialHours(business),
+            department: CONFIG.branches.length > 1 ? CONFIG.branches.map(buildBranch) : undefined,
+            ...extras
+        };
+        
+        if (sameAs.length) node.sameAs = sameAs;
+        
+        const priceRange = getPriceRange();
+        if (priceRange) node.priceRange = priceRange;
+        
+        return compact(node);
+    }
+    
+    /**
+     * One branch with its own phone, address and hours
+     * 
+     * @param {Object} branch - Branch from CONFIG.branches
+     * @returns {Object} schema.org LocalBusiness
+     */
+    function buildBranch(branch) {
+        const business = Branches.getDetails(branch.id);
+        
+        const node = {
+            '@type': CONFIG.structuredData.type,
+            '@id': `${getPageUrl()}#branch-${branch.id}`,
+            name: `${business.name} - ${branch.name}`,
+            telephone: business.phone,
+            email: business.email,
+            address: buildAddress(business.address),
+            openingHoursSpecification: buildOpeningHours(business.hours),
+            specialOpeningHoursSpecification: buildSpecialHours(business)
+        };
+        
+        if (branch.coordinates) {
+            node.geo = {
+                '@type': 'GeoCoordinates',
+                latitude: branch.coordinates.lat,
+                longitude: branch.coordinates.lng
+            };
+        }
+        
+        return compact(node);
+    }
+    
+    /**
+     * Drop empty values so validators don't flag them
+     * 
+     * @param {Object} node - schema.org node
+     * @returns {Object} The same node
+     */
+    function compact(node) {
+        Object.keys(node).forEach(key => {
+            if (node[key] === '' || node[key] === undefined || (Array.isArray(node[key]) && !node[key].length)) {
+                delete node[key];
+            }
+        });
+        
+        return node;
+    }
+    
+    /**
+     * Split a one-line address into PostalAddress parts
+     * Format: 'Street/building, Town, Kenya' (country optional)
+     * 
+     * @param {string} address - CONFIG.business.address
+     * @returns {Object|undefined} schema.org PostalAddress
+     */
+    function buildAddress(address) {
+        if (!address) return undefined;
+        
+        const parts = address.split(',').map(part => part.trim()).filter(Boolean);
+        if (/^kenya$/i.test(parts[parts.length - 1])) parts.pop();
+        
+        const locality = parts.length > 1 ? parts.pop() : '';
+        
+        return {
+            '@type': 'PostalAddress',
+            streetAddress: parts.join(', '),
+            addressLocality: locality,
+            addressCountry: 'KE'
+        };
+    }
+    
+    /**
+     * Weekly hours, days with the same hours grouped together
+     * 
+     * @param {Object} hours - Shaped like CONFIG.business.hours
+     * @returns {Array} OpeningHoursSpecification entries
+     */
+    function buildOpeningHours(hours) {
+        const groups = [];
+        
+        BusinessHours.getWeeklySchedule(hours).forEach((hours, day) => {
+            if (!hours) return;
+            
+            const opens = toClock(hours.open);
+            const closes = toClock(hours.close);
+            const group = groups.find(entry => entry.opens === opens && entry.closes === closes);
+            
+            if (group) {
+                group.dayOfWeek.push(DAY_NAMES[day]);
+            } else {
+                groups.push({ '@type': 'OpeningHoursSpecification', dayOfWeek: [DAY_NAMES[day]], opens, closes });
+            }
+        });
+        
+        return groups;
+    }
+    
+    /**
+     * Holidays and special closures in the next CONFIG.structuredData.upcomingDays
+     * Closed all day is written as opens = closes = 00:00 (Google's convention)
+     * Special closures win over holidays, holidays over the weekly schedule (as in BusinessHours)
+     * 
+     * @param {Object} business - Shaped like CONFIG.business
+     * @returns {Array} OpeningHoursSpecification entries
+     */
+    function buildSpecialHours(business) {
+        const today = BusinessHours.now().date;
+        const until = BusinessHours.addDays(today, CONFIG.structuredData.upcomingDays);
+        const holidays = business.holidays || [];
+        const closures = business.specialClosures || [];
+        const weekly = BusinessHours.getWeeklySchedule(business.hours);
+        
+        return Array.from(new Set([...holidays, ...closures].map(entry => entry.date)))
+            .filter(date => date >= today && date <= until)
+            .sort()
+            .map(date => {
+                const closure = closures.find(entry => entry.date === date);
+                const hours = closure
+                    ? BusinessHours.parseRange(closure.hours)
+                    : holidays.some(entry => entry.date === date) ? null : weekly[BusinessHours.dayOfWeek(date)];
+                
+                return {
+                    '@type': 'OpeningHoursSpecification',
+                    validFrom: date,
+                    validThrough: date,
+                    opens: hours ? toClock(hours.open) : '00:00',
+                    closes: hours ? toClock(hours.close) : '00:00'
+                };
+            });
+    }
+    
+    /**
+     * One product with an offer per pack size (retail price)
+     * 
+     * @param {Object} product - Catalog product
+     * @returns {Object} schema.org Product
+     */
+    function buildProduct(product) {
+        const category = Catalog.getCategory(product.category);
+        
+        return {
+            '@type': 'Product',
+            '@id': `${getPageUrl()}#product-${product.sku}`,
+            name: product.name,
+            sku: product.sku,
+            description: product.description,
+            image: toAbsolute(product.image),
+            category: category ? category.name : undefined,
+            offers: product.packSizes.map(pack => ({
+                '@type': 'Offer',
+                name: pack.size,
+                price: pack.retail,
+                priceCurrency: CONFIG.catalog.currency,
+                availability: AVAILABILITY[product.stock],
+                url: `${getPageUrl()}${Catalog.getProductLink(product)}`,
+                seller: { '@id': `${getPageUrl()}#business` }
+            }))
+        };
+    }
+    
+    /**
+     * Retail price span across the catalog, e.g. 'KES 150 - 8,500'
+     * 
+     * @returns {string|null}
+     */
+    function getPriceRange() {
+        const prices = products.flatMap(product => product.offers.map(offer => offer.price));
+        if (!prices.length) return null;
+        
+        const format = value => value.toLocaleString('en-KE');
+        return `${CONFIG.catalog.currency} ${format(Math.min(...prices))} - ${format(Math.max(...prices))}`;
+    }
+    
+    /**
+     * Minutes after midnight as 24-hour 'HH:MM'
+     * 
+     * @param {number} minutes - Minutes after midnight
+     * @returns {string}
+     */
+    function toClock(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+    
+    // ==========================================
+    // OUTPUT
+    // ==========================================
+    
+    /**
+     * Write the @graph into <head>
+     */
+    function render() {
+        if (!CONFIG.business.name) return;
+        
+        let script = document.getElementById('structuredData');
+        
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = 'structuredData';
+            document.head.appendChild(script);
+        }
+        
+        script.textContent = JSON.stringify({
+            '@context': 'https://schema.org',
+            '@graph': [buildBusiness(), ...products]
+        });
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        extend,
+        validate
+    };
+
+})();
+
+// Make StructuredData globally available
+window.StructuredData = StructuredData;
\ No newline at end of file
@@ -0,0 +1,470 @@
+/**
+ * Animal Health Symptom Checker
+ * 
+ * Purpose: Help farmers judge how serious a sick animal is and reach a vet
+ * Responsibilities:
+ * - Load the decision tree from data/symptom-checker.json (maintained by the vets)
+ * - Walk the farmer through species and one question at a time, with Back
+ * - Show possible conditions, urgency, first steps and related product categories
+ * - Emergencies and urgent cases go straight to a call or a prefilled WhatsApp
+ *   message; routine cases offer a vet booking with the answers filled in
+ * 
+ * Opened by any [data-symptom-open] element - the value limits the species
+ * to one catalog category (e.g. "poultry"), empty shows them all.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const SymptomChecker = (function() {
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Decision tree: { disclaimer, urgency, species, questions, results }
+     */
+    let tree = null;
+    
+    /**
+     * Tree loading promise
+     */
+    let loading = null;
+    
+    /**
+     * Current walk
+     * choices: species offered, steps: [{ questionId, index }], result: result id
+     */
+    const state = {
+        choices: [],
+        species: null,
+        steps: [],
+        result: null
+    };
+    
+    /**
+     * Initialize symptom checker
+     */
+    function init() {
+        DOM = {
+            modal: Utils.getElement('#symptomModal'),
+            body: Utils.getElement('#symptomBody')
+        };
+        
+        if (!DOM.modal || !DOM.body) return;
+        
+        loading = loadTree();
+        
+        // Triggers are also rendered later (catalog listing header)
+        document.addEventListener('click', e => {
+            const trigger = e.target.closest('[data-symptom-open]');
+            if (!trigger) return;
+            
+            e.preventDefault();
+            open(trigger.dataset.symptomOpen);
+        });
+        
+        DOM.body.addEventListener('click', handleClick);
+        
+        // Buttons, headings and the WhatsApp message are in the visitor's language
+        I18n.onChange(() => {
+            if (!DOM.modal.hidden && tree) render();
+        });
+    }
+    
+    /**
+     * Fetch the decision tree
+     * 
+     * @returns {Promise<boolean>} True if loaded
+     */
+    async function loadTree() {
+        try {
+            tree = await Utils.fetchJSON(CONFIG.symptomChecker.dataUrl);
+            return true;
+        } catch (error) {
+            Utils.logError('Symptom checker failed to load', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Resolves once the decision tree has loaded
+     * 
+     * @returns {Promise<boolean>} True if the checker is available
+     */
+    function ready() {
+        return loading || Promise.resolve(false);
+    }
+    
+    /**
+     * Species the checker covers
+     * 
+     * @param {string} categoryId - Catalog category to limit to (optional)
+     * @returns {Array<Object>} Species
+     */
+    function getSpecies(categoryId) {
+        if (!tree) return [];
+        return tree.species.filter(species => !categoryId || species.category === categoryId);
+    }
+    
+    /**
+     * Open the checker
+     * 
+     * @param {string} categoryId - Catalog category to limit species to (optional)
+     */
+    async function open(categoryId) {
+        if (!await ready()) {
+            KelahApp.showNotification(I18n.t('symptoms.unavailable', {}, 'The symptom checker is unavailable right now - please call or WhatsApp us.'), 'error');
+            return;
+        }
+        
+        const species = getSpecies(categoryId);
+        state.choices = species.length ? species : getSpecies();
+        
+        restart();
+        Modal.open(DOM.modal);
+        Analytics.track('symptom_check_start', { category: categoryId || 'all' });
+    }
+    
+    /**
+     * Back to the first step (skips the species choice when there's only one)
+     */
+    function restart() {
+        state.species = state.choices.length === 1 ? state.choices[0] : null;
+        state.steps = [];
+        state.result = null;
+        
+        render();
+    }
+    
+    // ==========================================
+    // NAVIGATION
+    // ==========================================
+    
+    /**
+     * Question the farmer is on
+     * 
+     * @returns {string} Question id
+     */
+    function getQuestionId() {
+        const last = state.steps[state.steps.length - 1];
+        return last ? getOption(last).next : state.species.start;
+    }
+    
+    /**
+     * Option picked at a step
+     * 
+     * @param {Object} step - { questionId, index }
+     * @returns {Object} Option
+     */
+    function getOption(step) {
+        return tree.questions[step.questionId].options[step.index];
+    }
+    
+    /**
+     * Pick a species and show its first question
+     * 
+     * @param {string} id - Species id
+     */
+    function chooseSpecies(id) {
+        state.species = state.choices.find(species => species.id === id) || null;
+        render();
+    }
+    
+    /**
+     * Answer the current question
+     * 
+     * @param {number} index - Option index
+     */
+    function answer(index) {
+        const step = { questionId: getQuestionId(), index };
+        const option = getOption(step);
+        if (!option) return;
+        
+        state.steps.push(step);
+        
+        if (option.result) {
+            state.result = option.result;
+            
+            Analytics.track('symptom_check', {
+                species: state.species.id,
+                result: state.result,
+                urgency: tree.results[state.result].urgency
+            });
+        }
+        
+        render();
+    }
+    
+    /**
+     * Undo the last answer (or the species choice)
+     */
+    function back() {
+        if (state.steps.length) {
+            state.steps.pop();
+            state.result = null;
+        } else if (state.choices.length > 1) {
+            state.species = null;
+        }
+        
+        render();
+    }
+    
+    /**
+     * Clicks inside the checker
+     */
+    function handleClick(e) {
+        const button = e.target.closest('[data-species], [data-answer], [data-action]');
+        if (!button) return;
+        
+        if (button.dataset.species) chooseSpecies(button.dataset.species);
+        if (button.dataset.answer) answer(Number(button.dataset.answer));
+        
+        switch (button.dataset.action) {
+            case 'back':
+                back();
+                break;
+            case 'restart':
+                restart();
+                break;
+            case 'book':
+                bookVisit();
+                break;
+            case 'category':
+                Modal.close();
+                Catalog.openCategory(button.dataset.category);
+                break;
+        }
+    }
+    
+    // ==========================================
+    // RENDERING
+    // ==========================================
+    
+    /**
+     * Render the current step and move focus to its heading
+     */
+    function render() {
+        if (!state.species) {
+            DOM.body.innerHTML = renderSpeciesChoice();
+        } else if (state.result) {
+            DOM.body.innerHTML = renderResult(tree.results[state.result]);
+        } else {
+            DOM.body.innerHTML = renderQuestion(tree.questions[getQuestionId()]);
+        }
+        
+        const heading = DOM.body.querySelector('[data-step-title]');
+        if (heading && !DOM.modal.hidden) heading.focus();
+    }
+    
+    /**
+     * Which animals are sick?
+     * 
+     * @returns {string} Markup
+     */
+    function renderSpeciesChoice() {
+        const options = state.choices.map(species => `
+            <button type="button" class="symptom-checker__option symptom-checker__option--species" data-species="${Utils.escapeHTML(species.id)}">
+                <span class="symptom-checker__icon" aria-hidden="true">${Utils.escapeHTML(species.icon || '')}</span>
+                ${Utils.escapeHTML(species.name)}
+            </button>
+        `).join('');
+        
+        return `
+            <h3 class="symptom-checker__question" tabindex="-1" data-step-title>${text('whichAnimals', 'Which animals are sick?')}</h3>
+            <div class="symptom-checker__options">${options}</div>
+            <p class="symptom-checker__disclaimer">${Utils.escapeHTML(tree.disclaimer)}</p>
+        `;
+    }
+    
+    /**
+     * One question with its answers
+     * 
+     * @param {Object} question - { question, options }
+     * @returns {string} Markup
+     */
+    function renderQuestion(question) {
+        const options = question.options.map((option, index) => `
+            <button type="button" class="symptom-checker__option" data-answer="${index}">${Utils.escapeHTML(option.label)}</button>
+        `).join('');
+        
+        return `
+            ${renderTrail()}
+            <h3 class="symptom-checker__question" tabindex="-1" data-step-title>${Utils.escapeHTML(question.question)}</h3>
+            <div class="symptom-checker__options">${options}</div>
+            ${renderNav()}
+        `;
+    }
+    
+    /**
+     * Possible conditions, urgency and what to do next
+     * 
+     * @param {Object} result - { urgency, conditions, advice, categories }
+     * @returns {string} Markup
+     */
+    function renderResult(result) {
+        const level = tree.urgency[result.urgency] || tree.urgency.urgent;
+        const message = buildMessage();
+        
+        const conditions = result.conditions
+            .map(condition => `<li>${Utils.escapeHTML(condition)}</li>`)
+            .join('');
+        
+        const contact = level.contactNow
+            ? `
+                <a href="${CONFIG.getPhoneLink()}" class="btn btn--primary">${text('callVet', '📞 Call the vet now')}</a>
+                <a href="${CONFIG.getWhatsAppLink(message)}" class="btn btn--whatsapp" target="_blank" rel="noopener">${text('sendVet', '💬 Send to the vet on WhatsApp')}</a>
+            `
+            : `
+                <button type="button" class="btn btn--primary" data-action="book">${text('book', 'Book a vet visit')}</button>
+                <a href="${CONFIG.getWhatsAppLink(message)}" class="btn btn--whatsapp" target="_blank" rel="noopener">${text('ask', '💬 Ask us on WhatsApp')}</a>
+            `;
+        
+        const categories = (result.categories || [])
+            .map(id => Catalog.getCategory(id))
+            .filter(Boolean)
+            .map(category => `
+                <button type="button" class="btn btn--outline btn--small" data-action="category" data-category="${Utils.escapeHTML(category.id)}">${Utils.escapeHTML(Catalog.getCategoryName(category))}</button>
+            `).join('');
+        
+        return `
+            ${renderTrail()}
+            <div class="symptom-result symptom-result--${Utils.escapeHTML(result.urgency)}">
+                <p class="symptom-result__urgency">
+                    <span class="symptom-result__badge">${Utils.escapeHTML(level.label)}</span>
+                    ${Utils.escapeHTML(level.description)}
+                </p>
+                <div class="symptom-result__actions">${contact}</div>
+                
+                <h3 class="symptom-result__title" tabindex="-1" data-step-title>${text('causes', 'Possible causes')}</h3>
+                <ul class="symptom-result__conditions">${conditions}</ul>
+                
+                <h4 class="symptom-result__title">${text('whatNow', 'What to do now')}</h4>
+                <p class="symptom-result__advice">${Utils.escapeHTML(result.advice)}</p>
+                
+                ${categories ? `
+                    <h4 class="symptom-result__title">${text('related', 'Related products')}</h4>
+                    <div class="symptom-result__categories">${categories}</div>
+                ` : ''}
+            </div>
+            <p class="symptom-checker__disclaimer">${Utils.escapeHTML(tree.disclaimer)}</p>
+            ${renderNav()}
+        `;
+    }
+    
+    /**
+     * Species and answers so far
+     * 
+     * @returns {string} Markup
+     */
+    function renderTrail() {
+        const items = [state.species.name, ...getAnswers()]
+            .map(item => `<li>${Utils.escapeHTML(item)}</li>`)
+            .join('');
+        
+        return `<ol class="symptom-checker__trail" aria-label="${text('answers', 'Your answers')}">${items}</ol>`;
+    }
+    
+    /**
+     * Back / start over buttons
+     * 
+     * @returns {string} Markup
+     */
+    function renderNav() {
+        const canGoBack = state.steps.length || state.choices.length > 1;
+        
+        return `
+            <div class="symptom-checker__nav">
+                ${canGoBack ? `<button type="button" class="btn btn--outline btn--small" data-action="back">&larr; ${Utils.escapeHTML(I18n.t('form.back', {}, 'Back'))}</button>` : ''}
+                ${state.steps.length ? `<button type="button" class="btn btn--outline btn--small" data-action="restart">${text('restart', 'Start over')}</button>` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Checker wording in the visitor's language, escaped for markup
+     * 
+     * @param {string} key - Key in the dictionaries' symptoms section
+     * @param {string} fallback - English, until a dictionary loads
+     * @returns {string}
+     */
+    function text(key, fallback) {
+        return Utils.escapeHTML(I18n.t(`symptoms.${key}`, {}, fallback));
+    }
+    
+    // ==========================================
+    // CONTACTING THE VET
+    // ==========================================
+    
+    /**
+     * Labels of the answers picked so far
+     * 
+     * @returns {Array<string>}
+     */
+    function getAnswers() {
+        return state.steps.map(step => getOption(step).label);
+    }
+    
+    /**
+     * Questions with the answers given, e.g. 'Are birds dying? Yes'
+     * 
+     * @returns {Array<string>}
+     */
+    function getSigns() {
+        return state.steps.map(step => `${tree.questions[step.questionId].question} ${getOption(step).label}`);
+    }
+    
+    /**
+     * Compose WhatsApp message for the vet in the visitor's language
+     * 
+     * @returns {string} Message text
+     */
+    function buildMessage() {
+        const result = tree.results[state.result];
+        const level = tree.urgency[result.urgency] || tree.urgency.urgent;
+        
+        return [
+            `*${I18n.t('symptoms.title')}*`,
+            '',
+            `*${I18n.t('symptoms.animals')}:* ${state.species.name}`,
+            `*${I18n.t('symptoms.signs')}:*`,
+            ...getSigns().map(sign => `- ${sign}`),
+            `*${I18n.t('symptoms.possible')}:* ${result.conditions.join(', ')}`,
+            `*${I18n.t('symptoms.urgency')}:* ${level.label}`,
+            '',
+            I18n.t(level.contactNow ? 'symptoms.callBack' : 'symptoms.advice')
+        ].join('\n');
+    }
+    
+    /**
+     * Open vet booking with the animal and answers filled in
+     */
+    function bookVisit() {
+        const result = tree.results[state.result];
+        
+        const conditions = result.conditions.join(', ');
+        
+        Booking.open({
+            animalType: state.species.animalType,
+            symptoms: [
+                ...getSigns(),
+                I18n.t('symptoms.bookingPossible', { conditions }, `Possible: ${conditions}`)
+            ].join('\n')
+        });
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        ready,
+        open,
+        getSpecies
+    };
+
+})();
+
+// Make SymptomChecker globally available
+window.SymptomChecker = SymptomChecker;
\ No newline at end of file
@@ -0,0 +1,284 @@
+/**
+ * Testimonials
+ * 
+ * Purpose: Customer testimonials from data/testimonials.json
+ * Responsibilities:
+ * - Render testimonial cards with star ratings (half stars supported)
+ * - Show the average rating above the cards
+ * - Add AggregateRating + reviews to the business structured data
+ * - Turn the cards into a slider on mobile (js/carousel.js)
+ * 
+ * The cards written in index.html stay as a fallback if the data can't load.
+ * Testimonials published from admin mode (js/site-content.js) replace the data file.
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Testimonials = (function() {
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Loaded testimonials
+     */
+    let testimonials = [];
+    
+    /**
+     * List behind the cards, incomplete ones included (positions match data-testimonial)
+     */
+    let shown = [];
+    
+    /**
+     * Mobile slider controller (null on larger screens)
+     */
+    let slider = null;
+    
+    /**
+     * Initialize testimonials - loads data and renders cards
+     * 
+     * @returns {Promise<boolean>} True if cards were rendered from data
+     */
+    async function init() {
+        DOM = {
+            slider: Utils.getElement('#testimonialsSlider'),
+            grid: Utils.getElement('#testimonialsGrid'),
+            summary: Utils.getElement('#testimonialsSummary')
+        };
+        
+        if (!DOM.grid) return false;
+        
+        let list = SiteContent.getTestimonials();
+        
+        if (!list) {
+            try {
+                const data = await Utils.fetchJSON(CONFIG.testimonials.dataUrl);
+                list = data.testimonials || [];
+            } catch (error) {
+                // Static fallback cards stay in place
+                Utils.logError('Testimonials failed to load', error);
+                return false;
+            }
+        }
+        
+        if (!render(list)) return false;
+        
+        initSlider();
+        
+        // Star labels and the summary are built in JavaScript
+        I18n.onChange(() => render(shown));
+        
+        return true;
+    }
+    
+    // ==========================================
+    // RENDERING
+    // ==========================================
+    
+    /**
+     * Replace the cards (also the admin mode live preview)
+     * Each card keeps its position in the list as data-testimonial
+     * 
+     * @param {Array<Object>} list - Testimonials; ones without a name or quote are left out
+     * @returns {boolean} True if any cards were rendered
+     */
+    function render(list) {
+        const complete = list.filter(item => item.quote && item.name);
+        if (!complete.length) return false;
+        
+        testimonials = complete;
+        shown = list;
+        DOM.grid.innerHTML = list.map((item, index) => (item.quote && item.name ? renderCard(item, index) : '')).join('');
+        
+        const aggregate = getAggregateRating();
+        renderSummary(aggregate);
+        renderStructuredData(aggregate);
+        
+        // The slider still holds the old cards
+        if (slider) {
+            slider.destroy();
+            slider = Carousel.create(DOM.slider, CONFIG.testimonials.slider);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Create HTML for one testimonial
+     * 
+     * @param {Object} item - { name, role, location, rating, quote }
+     * @param {number} index - Position in the list
+     * @returns {string} HTML string
+     */
+    function renderCard(item, index) {
+        const role = [item.role, item.location].filter(Boolean).join(', ');
+        
+        return `
+            <figure class="testimonial-card" data-testimonial="${index}">
+                ${item.rating ? renderStars(item.rating) : ''}
+                <blockquote class="testimonial-card__quote">"${Utils.escapeHTML(item.quote)}"</blockquote>
+                <figcaption class="testimonial-card__author">
+                    <div class="testimonial-card__avatar" aria-hidden="true">${Utils.escapeHTML(getInitials(item.name))}</div>
+                    <div class="testimonial-card__info">
+                        <p class="testimonial-card__name">${Utils.escapeHTML(item.name)}</p>
+                        ${role ? `<p class="testimonial-card__role">${Utils.escapeHTML(role)}</p>` : ''}
+                    </div>
+                </figcaption>
+            </figure>
+        `;
+    }
+    
+    /**
+     * Star rating, rounded to the nearest half star
+     * Screen readers hear "Rated 4.5 out of 5" instead of five symbols
+     * 
+     * @param {number} rating - Rating out of CONFIG.testimonials.bestRating
+     * @returns {string} HTML string
+     */
+    function renderStars(rating) {
+        const best = CONFIG.testimonials.bestRating;
+        const value = Math.min(Math.max(Math.round(Number(rating) * 2) / 2, 0), best) || 0;
+        
+        const stars = Array.from({ length: best }, (star, i) => {
+            const type = value >= i + 1 ? 'full' : value === i + 0.5 ? 'half' : 'empty';
+            return `<span class="star star--${type}" aria-hidden="true">★</span>`;
+        }).join('');
+        
+        const label = I18n.t('testimonials.rated', { value, best }, 'Rated {value} out of {best}');
+        
+        return `<div class="testimonial-card__rating" role="img" aria-label="${Utils.escapeHTML(label)}">${stars}</div>`;
+    }
+    
+    /**
+     * Initials for the avatar circle
+     * 
+     * @param {string} name - Full name
+     * @returns {string} e.g. 'SA'
+     */
+    function getInitials(name) {
+        return name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+    }
+    
+    /**
+     * Average line above the cards, e.g. "★ 4.8 out of 5 from 12 reviews"
+     * 
+     * @param {Object} aggregate - From getAggregateRating()
+     */
+    function renderSummary(aggregate) {
+        if (!DOM.summary || !aggregate) return;
+        
+        const params = { rating: aggregate.ratingValue, best: aggregate.bestRating, count: aggregate.reviewCount };
+        
+        DOM.summary.textContent = aggregate.reviewCount === 1
+            ? I18n.t('testimonials.summaryOne', params, '★ {rating} out of {best} from 1 review')
+            : I18n.t('testimonials.summary', params, '★ {rating} out of {best} from {count} reviews');
+        DOM.summary.hidden = false;
+    }
+    
+    // ==========================================
+    // AGGREGATE RATING
+    // ==========================================
+    
+    /**
+     * Average of all rated testimonials
+     * 
+     * @returns {Object|null} { ratingValue, reviewCount, bestRating, worstRating }
+     */
+    function getAggregateRating() {
+        const ratings = testimonials
+            .map(item => Number(item.rating))
+            .filter(rating => rating > 0);
+        
+        if (!ratings.length) return null;
+        
+        const average = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+        
+        return {
+            ratingValue: Math.round(average * 10) / 10,
+            reviewCount: ratings.length,
+            bestRating: CONFIG.testimonials.bestRating,
+            worstRating: 1
+        };
+    }
+    
+    /**
+     * Add AggregateRating + Review to the business JSON-LD (js/structured-data.js)
+     * 
+     * @param {Object|null} aggregate - From getAggregateRating()
+     */
+    function renderStructuredData(aggregate) {
+        if (!aggregate) return;
+        
+        StructuredData.extend({
+            aggregateRating: { '@type': 'AggregateRating', ...aggregate },
+            review: testimonials.filter(item => item.rating).map(item => ({
+                '@type': 'Review',
+                author: { '@type': 'Person', name: item.name },
+                reviewBody: item.quote,
+                reviewRating: {
+                    '@type': 'Rating',
+                    ratingValue: item.rating,
+                    bestRating: aggregate.bestRating,
+                    worstRating: aggregate.worstRating
+                }
+            }))
+        });
+    }
+    
+    // ==========================================
+    // MOBILE SLIDER
+    // ==========================================
+    
+    /**
+     * Slider below the mobile breakpoint, plain grid above it
+     */
+    function initSlider() {
+        if (!DOM.slider) return;
+        
+        const mobile = window.matchMedia(`(max-width: ${CONFIG.breakpoints.mobile - 1}px)`);
+        
+        updateSlider(mobile.matches);
+        mobile.addEventListener('change', e => updateSlider(e.matches));
+    }
+    
+    /**
+     * Switch between slider and grid
+     * 
+     * @param {boolean} enable - Use the slider
+     */
+    function updateSlider(enable) {
+        if (enable === Boolean(slider)) return;
+        
+        const controls = DOM.slider.querySelectorAll('.carousel__arrow, .carousel__controls');
+        
+        if (slider) {
+            slider.destroy();
+            slider = null;
+        }
+        
+        DOM.slider.classList.toggle('carousel', enable);
+        DOM.slider.classList.toggle('testimonials__slider--active', enable);
+        DOM.grid.classList.toggle('carousel__track', enable);
+        controls.forEach(control => { control.hidden = !enable; });
+        
+        if (enable) {
+            slider = Carousel.create(DOM.slider, CONFIG.testimonials.slider);
+        }
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        render,
+        getAll: () => testimonials.slice(),
+        getAggregateRating
+    };
+
+})();
+
+// Make Testimonials globally available
+window.Testimonials = Testimonials;
\ No newline at end of file
@@ -152,23 +152,240 @@ const Utils = {
     },
     
     /**
-     * Format phone number for display
+     * Parse a Kenyan phone number into international digits
+     * Accepts 0722 784 947, 722784947, 254722784947 and +254 722 784 947
+     * 
+     * @param {string} phone - Phone number as typed
+     * @returns {string|null} 12 digits starting 254, or null if not a Kenyan number
+     */
+    parseKenyanPhone(phone) {
+        // Remove all non-digits
+        let digits = String(phone ?? '').replace(/\D/g, '');
+        
+        if (digits.startsWith('254')) {
+            digits = digits.slice(3);
+        } else if (digits.startsWith('0')) {
+            digits = digits.slice(1);
+        }
+        
+        // National number: 9 digits, never starting with 0 (7xx/1xx mobile, 2x-6x landlines)
+        return /^[1-9]\d{8}$/.test(digits) ? `254${digits}` : null;
+    },
+    
+    /**
+     * Check if phone number is a valid Kenyan mobile (Safaricom, Airtel, Telkom)
      * 
      * @param {string} phone - Phone number
-     * @returns {string} Formatted phone
+     * @returns {boolean}
+     */
+    isKenyanMobile(phone) {
+        const digits = this.parseKenyanPhone(phone);
+        return Boolean(digits) && /^254[17]/.test(digits);
+    },
+    
+    /**
+     * Format phone number for display
+     * 
+     * @param {string} phone - Phone number (local or international)
+     * @returns {string} Formatted phone, e.g. +254 722 784 947
      */
     formatPhone(phone) {
-        // Remove all non-digits
-        const digits = phone.replace(/\D/g, '');
+        const digits = this.parseKenyanPhone(phone);
         
         // Format as +254 700 000 000
-        if (digits.length === 12) {
+        if (digits) {
             return `+${digits.slice(0, 3)} ${digits.slice(3, 6)} ${digits.slice(6, 9)} ${digits.slice(9)}`;
         }
         
         return phone;
     },
     
+    /**
+     * Check KRA PIN format
+     * A = individual, P = company/partnership, then 9 digits and a check letter
+     * 
+     * @param {string} pin - KRA PIN, e.g. P051234567X
+     * @returns {boolean}
+     */
+    isValidKraPin(pin) {
+        return /^[AP]\d{9}[A-Z]$/.test(String(pin ?? '').trim().toUpperCase());
+    },
+    
+    /**
+     * Format amount as currency for display
+     * 
+     * @param {number} amount - Amount in whole shillings
+     * @param {string} currency - Currency code prefix
+     * @returns {string} Formatted amount, e.g. "KES 1,250"
+     */
+    formatCurrency(amount, currency = CONFIG.catalog.currency) {
+        return `${currency} ${Number(amount).toLocaleString('en-KE')}`;
+    },
+    
+    /**
+     * Escape text for safe insertion into HTML templates
+     * 
+     * Why: Data files and user input are rendered with template strings
+     * 
+     * @param {string} value - Raw text
+     * @returns {string} HTML-safe text
+     */
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+    
+    /**
+     * Normalize text for matching
+     * Lowercases, strips accents/apostrophes and collapses punctuation to spaces
+     * 
+     * @param {string} value - Raw text
+     * @returns {string} Normalized text, e.g. "Ng'ombe Dip!" -> "ngombe dip"
+     */
+    normalizeText(value) {
+        return String(value ?? '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/['’]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+    
+    /**
+     * Levenshtein edit distance between two strings
+     * Used for typo-tolerant matching ("duodipp" -> "duodip")
+     * 
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Number of single-character edits
+     */
+    levenshtein(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+        
+        // Single-row dynamic programming table
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(
+                    previous[j] + 1,        // deletion
+                    current[j - 1] + 1,     // insertion
+                    previous[j - 1] + cost  // substitution
+                );
+            }
+            
+            previous = current;
+        }
+        
+        return previous[b.length];
+    },
+    
+    /**
+     * Fetch and parse a JSON data file
+     * 
+     * Note: Needs an HTTP server - file:// access is blocked by CORS
+     * 
+     * @param {string} url - File URL
+     * @param {Object} options - { timeout } in ms to give up on a slow connection (rejects with an AbortError)
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    async fetchJSON(url, { timeout = 0 } = {}) {
+        const controller = new AbortController();
+        const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+        
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to load ${url} (${response.status})`);
+            }
+            
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+    
+    /**
+     * Read JSON value from localStorage
+     * 
+     * Why: localStorage throws in some private browsing modes and
+     * stored data may be corrupt - never let that break the page
+     * 
+     * @param {string} key - Storage key
+     * @param {*} fallback - Returned when nothing valid is stored
+     * @returns {*} Stored value or fallback
+     */
+    loadFromStorage(key, fallback = null) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            return fallback;
+        }
+    },
+    
+    /**
+     * Write JSON value to localStorage
+     * 
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     * @returns {boolean} False if storage is unavailable or full
+     */
+    saveToStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            this.logError(`Could not save "${key}" to storage`, error);
+            return false;
+        }
+    },
+    
+    /**
+     * Remove value from localStorage
+     * 
+     * @param {string} key - Storage key
+     */
+    removeFromStorage(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            // Storage unavailable - nothing to remove
+        }
+    },
+    
+    /**
+     * Trigger a file download from text content
+     * 
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(filename, content, type = 'text/plain') {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+    
     /**
      * Lazy load images
      * Modern browsers support loading="lazy" attribute
@@ -192,8 +409,8 @@ const Utils = {
     },
     
     /**
-     * Log errors to console in development
-     * In production, send to error tracking service
+     * Log errors to console and queue them for error reporting
+     * Sent to CONFIG.errorReporting.endpoint when one is set (js/error-reporter.js)
      * 
      * @param {string} message - Error message
      * @param {Error} error - Error object
@@ -201,10 +418,9 @@ const Utils = {
     logError(message, error = null) {
         console.error(`[KELAH Error] ${message}`, error);
         
-        // TODO: Send to error tracking service (Sentry, LogRocket, etc.)
-        // if (CONFIG.features.enableAnalytics) {
-        //     sendToErrorTracking(message, error);
-        // }
+        if (window.ErrorReporter) {
+            ErrorReporter.report(message, error instanceof Error ? error : null);
+        }
     },
     
     /**
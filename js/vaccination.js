@@ -0,0 +1,504 @@
+/**
+ * Poultry Vaccination Schedule
+ * 
+ * Purpose: Turn a hatch date into a dated vaccination and deworming plan
+ * Responsibilities:
+ * - Load schedules per bird type from data/vaccination-schedules.json
+ * - Date every task from the hatch date (hatch day is day 1), with repeats
+ * - Doses and packs needed for the flock (from the dosage calculator's table)
+ * - "Order by" date before each vaccine - a day the shop is open
+ * - Export as .ics (with reminders), print, or share on WhatsApp
+ * 
+ * Pattern: Module Pattern (encapsulation)
+ */
+
+const Vaccination = (function() {
+    
+    /**
+     * Tasks that need something bought from us first
+     */
+    const REORDER_KINDS = ['vaccine', 'deworm'];
+    
+    /**
+     * Printed table columns - English fallback for the vaccination.table dictionary keys
+     */
+    const TABLE_HEADINGS = {
+        date: 'Date',
+        day: 'Day',
+        task: 'Vaccine / task',
+        how: 'How',
+        orderBy: 'Order by',
+        done: 'Done'
+    };
+    
+    /**
+     * Cached DOM references
+     */
+    let DOM = {};
+    
+    /**
+     * Schedules: { disclaimer, categories, birdTypes }
+     */
+    let schedules = null;
+    
+    /**
+     * Schedules loading promise
+     */
+    let loading = null;
+    
+    /**
+     * Plan on screen: { reference, hatchDate, birdType, flockSize, tasks }
+     */
+    let current = null;
+    
+    /**
+     * Initialize vaccination schedule generator
+     */
+    function init() {
+        DOM = {
+            modal: Utils.getElement('#vaccinationModal'),
+            form: Utils.getElement('#vaccinationForm'),
+            birdType: Utils.getElement('#vaccinationBirdType'),
+            plan: Utils.getElement('#vaccinationPlan'),
+            print: Utils.getElement('#vaccinationPrint')
+        };
+        
+        if (!DOM.modal || !DOM.form) return;
+        
+        loading = loadSchedules();
+        
+        // Triggers are rendered with the catalog listing
+        document.addEventListener('click', e => {
+            const trigger = e.target.closest('[data-vaccination-open]');
+            if (!trigger) return;
+            
+            e.preventDefault();
+            open();
+        });
+        
+        DOM.form.addEventListener('submit', handleSubmit);
+        DOM.plan.addEventListener('click', handlePlanClick);
+        
+        // Dates and the WhatsApp message are in the visitor's language
+        I18n.onChange(() => {
+            if (current && !DOM.modal.hidden) renderPlan();
+        });
+    }
+    
+    /**
+     * Fetch the schedules
+     * 
+     * @returns {Promise<boolean>} True if loaded
+     */
+    async function loadSchedules() {
+        try {
+            schedules = await Utils.fetchJSON(CONFIG.vaccination.dataUrl);
+            return true;
+        } catch (error) {
+            Utils.logError('Vaccination schedules failed to load', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Resolves once the schedules have loaded
+     * 
+     * @returns {Promise<boolean>} True if the generator is available
+     */
+    function ready() {
+        return loading || Promise.resolve(false);
+    }
+    
+    /**
+     * Whether a catalog category links to the generator
+     * 
+     * @param {string} categoryId - Catalog category
+     * @returns {boolean}
+     */
+    function covers(categoryId) {
+        return Boolean(schedules && schedules.categories.includes(categoryId));
+    }
+    
+    /**
+     * Open the generator with the last plan's details
+     */
+    async function open() {
+        if (!await ready()) {
+            KelahApp.showNotification(text('unavailable', 'The vaccination planner is unavailable right now - please call or WhatsApp us.'), 'error');
+            return;
+        }
+        
+        const saved = Utils.loadFromStorage(CONFIG.vaccination.storageKey, {});
+        const elements = DOM.form.elements;
+        
+        DOM.birdType.innerHTML = schedules.birdTypes.map(type => `
+            <option value="${Utils.escapeHTML(type.id)}">${Utils.escapeHTML(type.name)} - ${Utils.escapeHTML(type.description)}</option>
+        `).join('');
+        
+        elements.hatchDate.value = saved.hatchDate || BusinessHours.now().date;
+        elements.flockSize.max = CONFIG.vaccination.maxFlock;
+        if (saved.birdType) DOM.birdType.value = saved.birdType;
+        if (saved.flockSize) elements.flockSize.value = saved.flockSize;
+        
+        DOM.plan.hidden = true;
+        Modal.open(DOM.modal);
+    }
+    
+    // ==========================================
+    // PLAN
+    // ==========================================
+    
+    /**
+     * Dated tasks for a flock
+     * 
+     * @param {Object} details - { hatchDate: 'YYYY-MM-DD', birdType, flockSize }
+     * @returns {Array<Object>} [{ date, day, title, kind, method, note, product, packs, orderBy, past }] by date
+     */
+    function buildPlan({ hatchDate, birdType, flockSize }) {
+        const type = schedules.birdTypes.find(item => item.id === birdType);
+        if (!type) return [];
+        
+        const today = BusinessHours.now().date;
+        const tasks = [];
+        
+        type.tasks.forEach(task => {
+            const last = task.repeatEvery ? task.until : task.day;
+            
+            for (let day = task.day; day <= last; day += task.repeatEvery || 1) {
+                const date = BusinessHours.addDays(hatchDate, day - 1);
+                const product = task.sku ? Catalog.getProduct(task.sku) : null;
+                const dosing = product ? Dosage.calculate({ sku: task.sku, species: 'poultry', count: flockSize }) : null;
+                
+                tasks.push({
+                    date,
+                    day,
+                    title: task.title,
+                    kind: task.kind,
+                    method: task.method,
+                    note: task.note || '',
+                    product,
+                    packs: dosing ? dosing.packs.items : [],
+                    orderBy: REORDER_KINDS.includes(task.kind) && date > today ? getOrderBy(date) : null,
+                    past: date < today
+                });
+            }
+        });
+        
+        return tasks.sort((a, b) => a.day - b.day);
+    }
+    
+    /**
+     * Last day to order before a task - reorderDays ahead, moved back to an open day
+     * 
+     * @param {string} date - Task date
+     * @returns {string} Date key (never before today)
+     */
+    function getOrderBy(date) {
+        const today = BusinessHours.now().date;
+        let key = BusinessHours.addDays(date, -CONFIG.vaccination.reorderDays);
+        
+        for (let tries = 0; tries < 7 && key > today && !BusinessHours.getHoursForDate(key); tries++) {
+            key = BusinessHours.addDays(key, -1);
+        }
+        
+        return key < today ? today : key;
+    }
+    
+    /**
+     * Packs to order, e.g. '1 x 1000 doses Newcastle Disease Vaccine (LaSota)'
+     * 
+     * @param {Object} task - Plan task
+     * @returns {string}
+     */
+    function describeOrder(task) {
+        if (!task.product) return task.kind === 'deworm' ? text('dewormer', 'poultry dewormer') : task.title;
+        
+        const packs = task.packs.map(item => `${item.count} x ${item.size}`).join(' + ');
+        return packs ? `${packs} ${task.product.name}` : task.product.name;
+    }
+    
+    /**
+     * Bird type by id
+     * 
+     * @param {string} id - Bird type id
+     * @returns {Object}
+     */
+    function getBirdType(id) {
+        return schedules.birdTypes.find(type => type.id === id);
+    }
+    
+    /**
+     * Short date in the visitor's language (I18n.getLocale()), e.g. 'Tue 27 Oct 2026'
+     * 
+     * @param {string} key - 'YYYY-MM-DD'
+     * @returns {string}
+     */
+    function formatDay(key) {
+        return BusinessHours.formatDate(key, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+    }
+    
+    /**
+     * Text in the visitor's language
+     * 
+     * @param {string} key - Key under vaccination., e.g. 'age'
+     * @param {string} fallback - English, used until the dictionary loads
+     * @param {Object} params - Placeholder values
+     * @returns {string}
+     */
+    function text(key, fallback, params = {}) {
+        return I18n.t(`vaccination.${key}`, params, fallback);
+    }
+    
+    // ==========================================
+    // FORM
+    // ==========================================
+    
+    /**
+     * Validate and show the plan
+     */
+    async function handleSubmit(e) {
+        e.preventDefault();
+        
+        if (!DOM.form.checkValidity()) {
+            DOM.form.reportValidity();
+            return;
+        }
+        
+        const elements = DOM.form.elements;
+        const details = {
+            hatchDate: elements.hatchDate.value,
+            birdType: elements.birdType.value,
+            flockSize: Math.floor(Number(elements.flockSize.value))
+        };
+        
+        // Pack counts come from the dosing table
+        await Dosage.ready();
+        
+        current = Object.assign({ reference: Utils.generateId() }, details);
+        Utils.saveToStorage(CONFIG.vaccination.storageKey, details);
+        
+        renderPlan();
+        DOM.plan.querySelector('[data-plan-title]').focus();
+        
+        Analytics.track('vaccination_plan', { bird_type: details.birdType, flock_size: details.flockSize });
+    }
+    
+    // ==========================================
+    // RENDERING
+    // ==========================================
+    
+    /**
+     * Heading for the plan, e.g. '500 Layers hatched Tue 20 Oct 2026'
+     * 
+     * @returns {string}
+     */
+    function describeFlock() {
+        return text('flock', '{count} {type} hatched {date}', {
+            count: current.flockSize.toLocaleString(I18n.getLocale()),
+            type: getBirdType(current.birdType).name,
+            date: formatDay(current.hatchDate)
+        });
+    }
+    
+    /**
+     * Render the plan with its export buttons
+     */
+    function renderPlan() {
+        current.tasks = buildPlan(current);
+        
+        const items = current.tasks.map(task => {
+            const age = [text('age', 'Day {day}', { day: task.day }), task.past ? text('past', 'past') : ''].filter(Boolean).join(' · ');
+            const order = task.orderBy && text('orderBy', 'Order by {date}: {items}', { date: formatDay(task.orderBy), items: describeOrder(task) });
+            
+            return `
+                <li class="vaccination-plan__item vaccination-plan__item--${Utils.escapeHTML(task.kind)}${task.past ? ' vaccination-plan__item--past' : ''}">
+                    <p class="vaccination-plan__date">
+                        ${Utils.escapeHTML(formatDay(task.date))}
+                        <span class="vaccination-plan__age">${Utils.escapeHTML(age)}</span>
+                    </p>
+                    <p class="vaccination-plan__task">${Utils.escapeHTML(task.title)}</p>
+                    <p class="vaccination-plan__method">${Utils.escapeHTML([task.method, task.note].filter(Boolean).join(' · '))}</p>
+                    ${order ? `<p class="vaccination-plan__order">${Utils.escapeHTML(order)}</p>` : ''}
+                </li>
+            `;
+        }).join('');
+        
+        DOM.plan.innerHTML = `
+            <h3 class="vaccination-plan__title" tabindex="-1" data-plan-title>${Utils.escapeHTML(describeFlock())}</h3>
+            <ol class="vaccination-plan__list">${items}</ol>
+            <div class="vaccination-plan__actions">
+                <button type="button" class="btn btn--primary" data-action="calendar">${Utils.escapeHTML(text('calendar', '📅 Add to calendar'))}</button>
+                <button type="button" class="btn btn--outline" data-action="print">${Utils.escapeHTML(text('print', '🖨️ Print'))}</button>
+                <a href="${getShareLink()}" class="btn btn--whatsapp" target="_blank" rel="noopener" data-action="share">${Utils.escapeHTML(text('share', '💬 Share on WhatsApp'))}</a>
+            </div>
+            <p class="vaccination-plan__disclaimer">${Utils.escapeHTML(schedules.disclaimer)}</p>
+        `;
+        
+        DOM.plan.hidden = false;
+    }
+    
+    // ==========================================
+    // EXPORT
+    // ==========================================
+    
+    /**
+     * Calendar events: each upcoming task, plus an order reminder before vaccines
+     * 
+     * @returns {Array<Object>} Calendar events
+     */
+    function buildEvents() {
+        const business = CONFIG.business;
+        const contact = `${business.name}: ${Utils.formatPhone(business.phone)}`;
+        const events = [];
+        
+        current.tasks.filter(task => !task.past).forEach((task, index) => {
+            events.push({
+                uid: `${current.reference}-${index}`,
+                title: task.title,
+                date: task.date,
+                description: [
+                    `${text('age', 'Day {day}', { day: task.day })} - ${describeFlock()}`,
+                    task.method,
+                    task.note,
+                    text('vetAdvice', 'Vet advice: {contact}', { contact })
+                ].filter(Boolean).join('\n'),
+                alarmMinutes: CONFIG.vaccination.reminderMinutes
+            });
+            
+            if (task.orderBy) {
+                events.push({
+                    uid: `${current.reference}-${index}-order`,
+                    title: text('orderEvent', 'Order {items} from {business.name}', { items: describeOrder(task) }),
+                    date: task.orderBy,
+                    description: [
+                        text('neededOn', 'Needed on {date} for {task}.', { date: formatDay(task.date), task: task.title }),
+                        text('callOrWhatsApp', 'Call or WhatsApp {contact}', { contact }),
+                        CONFIG.getWhatsAppLink(buildOrderMessage(task))
+                    ].join('\n'),
+                    alarmMinutes: CONFIG.vaccination.reminderMinutes
+                });
+            }
+        });
+        
+        return events;
+    }
+    
+    /**
+     * WhatsApp message to us ordering a task's vaccine
+     * 
+     * @param {Object} task - Plan task
+     * @returns {string}
+     */
+    function buildOrderMessage(task) {
+        return text('order', "Hello {business.name}, I'd like to order {items} for vaccination on {date}.", { items: describeOrder(task), date: formatDay(task.date) });
+    }
+    
+    /**
+     * Upcoming plan as a WhatsApp message, with order-by dates
+     * 
+     * @returns {string} Message text
+     */
+    function buildMessage() {
+        const lines = current.tasks.filter(task => !task.past).map(task => {
+            const line = `• ${formatDay(task.date)} (${text('day', 'day {day}', { day: task.day })}): ${task.title} - ${task.method}`;
+            return task.orderBy
+                ? `${line}\n   ${text('orderBy', 'Order by {date}: {items}', { date: formatDay(task.orderBy), items: describeOrder(task) })}`
+                : line;
+        });
+        
+        return [
+            `*${text('title', 'Poultry Vaccination Plan')}*`,
+            describeFlock(),
+            '',
+            ...lines,
+            '',
+            text('reorder', 'Order vaccines from {business.name} a few days before each date - call or WhatsApp {phone}. We deliver.', {
+                phone: Utils.formatPhone(CONFIG.business.phone)
+            })
+        ].join('\n');
+    }
+    
+    /**
+     * wa.me link without a number - the farmer picks who to share with
+     * 
+     * @returns {string}
+     */
+    function getShareLink() {
+        return `https://wa.me/?text=${encodeURIComponent(buildMessage())}`;
+    }
+    
+    /**
+     * Fill the printable plan and open the print dialog
+     */
+    function print() {
+        const business = CONFIG.business;
+        const heading = key => Utils.escapeHTML(text(`table.${key}`, TABLE_HEADINGS[key]));
+        
+        const rows = current.tasks.map(task => `
+            <tr>
+                <td>${Utils.escapeHTML(formatDay(task.date))}</td>
+                <td>${task.day}</td>
+                <td>${Utils.escapeHTML(task.title)}</td>
+                <td>${Utils.escapeHTML([task.method, task.note].filter(Boolean).join(' · '))}</td>
+                <td>${task.orderBy ? Utils.escapeHTML(`${formatDay(task.orderBy)}: ${describeOrder(task)}`) : ''}</td>
+                <td class="vaccination-print__done"></td>
+            </tr>
+        `).join('');
+        
+        DOM.print.innerHTML = `
+            <h1 class="vaccination-print__title">${Utils.escapeHTML(text('printTitle', 'Vaccination Plan'))}</h1>
+            <p><strong>${Utils.escapeHTML(describeFlock())}</strong></p>
+            <table class="vaccination-print__table">
+                <thead>
+                    <tr>${Object.keys(TABLE_HEADINGS).map(key => `<th>${heading(key)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="vaccination-print__notes">
+                ${Utils.escapeHTML(text('printContact', 'Order vaccines from {business.name}: {phone} · {address}', {
+                    phone: Utils.formatPhone(business.phone),
+                    address: business.address
+                }))}<br>
+                ${Utils.escapeHTML(schedules.disclaimer)}
+            </p>
+        `;
+        
+        // Print styles show only the plan while this class is set
+        document.body.classList.add('is-printing-vaccination');
+        window.addEventListener('afterprint', () => document.body.classList.remove('is-printing-vaccination'), { once: true });
+        window.print();
+    }
+    
+    /**
+     * Export buttons
+     */
+    function handlePlanClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button || !current) return;
+        
+        const action = button.dataset.action;
+        
+        if (action === 'calendar') {
+            Calendar.download(`kelah-vaccination-${current.hatchDate}`, buildEvents());
+        }
+        
+        if (action === 'print') print();
+        
+        Analytics.track('vaccination_export', { format: action, bird_type: current.birdType });
+    }
+    
+    /**
+     * Public API
+     */
+    return {
+        init,
+        ready,
+        open,
+        covers,
+        buildPlan
+    };
+
+})();
+
+// Make Vaccination globally available
+window.Vaccination = Vaccination;
\ No newline at end of file
@@ -0,0 +1,297 @@
+/**
+ * Service Worker
+ * 
+ * Purpose: Keep the site usable on patchy rural data
+ * Strategy:
+ * - Precache the app shell (HTML, CSS, JS, icons, data) on install
+ * - Pages: network first, then cached copy, then offline.html
+ * - Product data (data/*.json): network first so prices stay fresh, cache as fallback
+ * - CSS/JS/icons: cache first (new deploys arrive via a version bump)
+ * - Images: cache at runtime with entry and age limits
+ * - Background Sync: send the offline outbox (js/outbox-store.js) when the
+ *   connection returns, even if the tab was closed
+ * 
+ * Versioning: cache names come from CONFIG.pwa.version. Changing it in
+ * js/config.js changes this worker's imported script, so browsers install
+ * the new worker, which fills fresh caches and deletes the old ones.
+ */
+
+importScripts('js/config.js', 'js/outbox-store.js');
+
+const VERSION = CONFIG.pwa.version;
+const STATIC_CACHE = `kelah-static-${VERSION}`;
+
+// Images aren't versioned - they survive deploys and expire by age instead
+const IMAGE_CACHE = 'kelah-images';
+
+/**
+ * App shell - everything needed to render the page offline
+ * Add new files here when adding them to index.html
+ */
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    CONFIG.pwa.offlinePage,
+    'manifest.webmanifest',
+    
+    'css/reset.css',
+    'css/variables.css',
+    'css/base.css',
+    'css/components.css',
+    'css/layout.css',
+    'css/responsive.css',
+    
+    'js/config.js',
+    'js/utils.js',
+    'js/error-reporter.js',
+    'js/hours.js',
+    'js/bindings.js',
+    'js/site-content.js',
+    'js/i18n.js',
+    'js/branches.js',
+    'js/calendar.js',
+    'js/consent.js',
+    'js/analytics.js',
+    'js/animations.js',
+    'js/carousel.js',
+    'js/modal.js',
+    'js/lightbox.js',
+    'js/catalog.js',
+    'js/testimonials.js',
+    'js/structured-data.js',
+    'js/search.js',
+    'js/outbox-store.js',
+    'js/outbox.js',
+    'js/cart.js',
+    'js/delivery.js',
+    'js/quote.js',
+    'js/credit.js',
+    'js/booking.js',
+    'js/symptom-checker.js',
+    'js/dosage.js',
+    'js/vaccination.js',
+    'js/crop-planner.js',
+    'js/store-status.js',
+    'js/pwa.js',
+    'js/admin.js',
+    'js/main.js',
+    
+    'data/products.json',
+    'data/delivery-zones.json',
+    'data/symptom-checker.json',
+    'data/dosing.json',
+    'data/vaccination-schedules.json',
+    'data/crop-plans.json',
+    'data/site-content.json',
+    'data/search-synonyms.json',
+    'data/testimonials.json',
+    'data/i18n/en.json',
+    'data/i18n/sw.json',
+    
+    'assets/images/icons/kelah-favicon.svg',
+    'assets/images/icons/kelah-logo-primary.svg',
+    'assets/images/icons/favicon-32x32.png',
+    'assets/images/icons/favicon-192x192.png',
+    'assets/images/icons/apple-touch-icon.png',
+    'assets/images/icons/phone-icon.svg',
+    'assets/images/icons/whatsapp-icon.svg',
+    'assets/images/icons/location-icon.svg',
+    'assets/images/icons/vet-icon.svg',
+    'assets/images/icons/credit-icon.svg',
+    'assets/images/icons/delivery-icon.svg',
+    'assets/images/icons/credit-application-icon.svg'
+];
+
+// ==========================================
+// LIFECYCLE
+// ==========================================
+
+/**
+ * Install: download the app shell, bypassing the HTTP cache
+ */
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Activate: delete caches from previous versions
+ */
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('kelah-') && key !== STATIC_CACHE && key !== IMAGE_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ==========================================
+// FETCH ROUTING
+// ==========================================
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    
+    // Only handle our own GET requests - form posts and CDNs go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    
+    if (request.mode === 'navigate') {
+        event.respondWith(handlePage(request));
+    } else if (url.pathname.includes('/data/')) {
+        event.respondWith(networkFirst(request));
+    } else if (request.destination === 'image' && !PRECACHE_URLS.some(path => url.pathname.endsWith(path))) {
+        event.respondWith(handleImage(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Pages: network, then cached page, then offline fallback
+ * 
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+async function handlePage(request) {
+    try {
+        const response = await fetch(request);
+        
+        if (response.ok) {
+            const cache = await caches.open(STATIC_CACHE);
+            cache.put(request, response.clone());
+        }
+        
+        return response;
+    } catch (error) {
+        return (await caches.match(request, { ignoreSearch: true })) ||
+            (await caches.match(CONFIG.pwa.offlinePage));
+    }
+}
+
+/**
+ * Network first, falling back to the cache
+ * 
+ * @param {Request} request - Request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(STATIC_CACHE);
+    
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Cache first, falling back to the network
+ * 
+ * @param {Request} request - Request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+// ==========================================
+// IMAGE CACHE
+// ==========================================
+
+/**
+ * Images: cached copy if fresh enough, otherwise network (and cache it)
+ * 
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>}
+ */
+async function handleImage(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    
+    if (cached && !isExpired(cached)) return cached;
+    
+    try {
+        const response = await fetch(request);
+        
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            await trimImageCache(cache);
+        }
+        
+        return response;
+    } catch (error) {
+        // Offline: an old image beats a broken one
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Check a cached response against CONFIG.pwa.imageCache.maxAgeDays
+ * 
+ * @param {Response} response - Cached response
+ * @returns {boolean}
+ */
+function isExpired(response) {
+    const date = Date.parse(response.headers.get('date'));
+    if (!date) return false;
+    
+    return Date.now() - date > CONFIG.pwa.imageCache.maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Delete the oldest images beyond CONFIG.pwa.imageCache.maxEntries
+ * cache.keys() returns entries in insertion order
+ * 
+ * @param {Cache} cache - Image cache
+ */
+async function trimImageCache(cache) {
+    const keys = await cache.keys();
+    const excess = keys.length - CONFIG.pwa.imageCache.maxEntries;
+    
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+// ==========================================
+// BACKGROUND SYNC
+// ==========================================
+
+/**
+ * Connection is back: send due outbox items, then let open tabs update their badge
+ * Rejecting while items are still queued makes the browser retry the sync later
+ */
+self.addEventListener('sync', event => {
+    if (event.tag !== 'kelah-outbox') return;
+    
+    event.waitUntil(sendOutbox());
+});
+
+/**
+ * Send the outbox and notify pages
+ */
+async function sendOutbox() {
+    await OutboxStore.sendDue({ immediate: true });
+    
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'outbox-updated' }));
+    
+    const items = await OutboxStore.getAll();
+    if (items.some(item => item.status === 'queued')) {
+        throw new Error('Outbox items still queued');
+    }
+}
\ No newline at end of file